@@ -0,0 +1,122 @@
+// scripts/__tests__/add.test.mjs
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { blobHash } from '../_manifest.mjs';
+import { apiDeployConfig, netlifyToml, readme } from '../_templates.mjs';
+
+const script = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../add.mjs');
+
+// A repo as new-project generates it (without the heavy parts), plus a fake `flutter` on PATH
+function sandbox() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'rapid-add-'));
+  const repo = path.join(root, 'shop-web');
+  const bin = path.join(root, 'bin');
+  fs.mkdirSync(path.join(repo, 'apps', 'client'), { recursive: true });
+  fs.mkdirSync(path.join(repo, 'functions', 'api'), { recursive: true });
+  fs.mkdirSync(bin);
+  fs.writeFileSync(path.join(repo, 'apps', 'client', 'pubspec.yaml'), 'name: client\n');
+  fs.writeFileSync(path.join(repo, 'functions', 'api', 'package.json'), '{}\n');
+  fs.writeFileSync(path.join(repo, 'README.md'), readme({ repoName: 'shop-web' }));
+  fs.writeFileSync(path.join(repo, 'netlify.toml'), netlifyToml({ nodeVersion: '22' }));
+  fs.writeFileSync(path.join(bin, 'flutter'), '#!/bin/sh\nmkdir -p "$2" && echo "name: x" > "$2/pubspec.yaml"\n', { mode: 0o755 });
+  const env = { ...process.env, PATH: `${bin}${path.delimiter}${process.env.PATH}` };
+  const exec = (...args) => spawnSync(process.execPath, [script, ...args, '--dir', repo], { env, encoding: 'utf8' });
+  const read = (rel) => fs.readFileSync(path.join(repo, rel), 'utf8');
+  return { repo, exec, read };
+}
+
+describe('add service', () => {
+  test('scaffolds functions/<name> and lists it in the wrapper, smoke script and README', () => {
+    const box = sandbox();
+    const res = box.exec('service', 'billing', '--skip-install');
+    assert.equal(res.status, 0, res.stderr);
+
+    assert.equal(JSON.parse(box.read('functions/billing/package.json')).name, 'shop-web-billing');
+    assert.match(box.read('functions/billing/scripts/deploy.mjs'), /getArg\("service", "billing"\)/);
+    assert.match(box.read('scripts/deploy-api.mjs'), /"api":"functions\/api","billing":"functions\/billing"/);
+    assert.match(box.read('scripts/smoke.mjs'), /canBuildApi\("functions\/billing"\)/);
+    assert.match(box.read('scripts/smoke.mjs'), /canBuildFlutter\("apps\/client"\)/);
+    assert.match(box.read('scripts/dev.mjs'), /"billing":"functions\/billing"/);
+    assert.match(box.read('functions/billing/src/api-types.ts'), /export type GetStatusResponse = Status;/);
+
+    const readmeText = box.read('README.md');
+    assert.match(readmeText, /- `functions\/api`: .*\n- `functions\/billing`: /);
+    assert.ok(readmeText.indexOf('### Functions (`functions/billing`)') < readmeText.indexOf('## Deploy'));
+    assert.match(readmeText, /deploy-api\.mjs billing/);
+  });
+
+  test('records the service in the manifest for upgrade', () => {
+    const box = sandbox();
+    fs.mkdirSync(path.join(box.repo, '.rapid-dev'));
+    fs.writeFileSync(path.join(box.repo, '.rapid-dev', 'manifest.json'), JSON.stringify({ vars: { repoName: 'shop' }, components: [], files: {} }));
+    assert.equal(box.exec('service', 'billing', '--skip-install').status, 0);
+
+    const manifest = JSON.parse(box.read('.rapid-dev/manifest.json'));
+    assert.deepEqual(manifest.components, [{ kind: 'service', dir: 'functions/billing', service: 'billing', docker: false }]);
+    assert.equal(manifest.files['functions/billing/package.json'], blobHash(box.read('functions/billing/package.json')));
+    assert.equal(JSON.parse(box.read('functions/billing/package.json')).name, 'shop-billing');
+  });
+
+  test('deploys to Cloud Run like the first API, as its deploy.config.json says', () => {
+    const box = sandbox();
+    fs.writeFileSync(path.join(box.repo, 'functions', 'api', 'deploy.config.json'), apiDeployConfig({ target: 'run' }));
+    assert.equal(box.exec('service', 'billing', '--skip-install').status, 0);
+
+    assert.equal(JSON.parse(box.read('functions/billing/deploy.config.json')).defaults.target, 'run');
+    assert.ok(fs.existsSync(path.join(box.repo, 'functions', 'billing', 'Dockerfile')));
+    assert.match(box.read('README.md'), /deploy-api\.mjs billing --target run --image/);
+  });
+
+  test('refuses existing components and invalid names', () => {
+    const box = sandbox();
+    assert.match(box.exec('service', 'api').stderr, /functions\/api already exists/);
+    assert.match(box.exec('service', 'Billing_V2').stderr, /Invalid name/);
+  });
+
+  test('changes nothing with --dry-run', () => {
+    const box = sandbox();
+    const before = box.read('README.md');
+    const res = box.exec('service', 'billing', '--dry-run');
+    assert.equal(res.status, 0, res.stderr);
+    assert.match(res.stdout, /Would run \(dry-run\): npm install/);
+    assert.ok(!fs.existsSync(path.join(box.repo, 'functions', 'billing')));
+    assert.equal(box.read('README.md'), before);
+  });
+});
+
+describe('add app', () => {
+  test('creates apps/<name> with its own netlify.toml', { skip: os.platform() === 'win32' }, () => {
+    const box = sandbox();
+    const res = box.exec('app', 'admin-portal');
+    assert.equal(res.status, 0, res.stderr);
+
+    assert.match(res.stdout, /flutter create apps\/admin-portal --project-name admin_portal/);
+    assert.doesNotMatch(box.read('apps/admin-portal/netlify.toml'), /base =/);
+    assert.match(box.read('apps/admin-portal/netlify.toml'), /NODE_VERSION = "22"/);
+    assert.match(box.read('netlify.toml'), /apps\/admin-portal is a separate Netlify site/);
+    assert.match(box.read('scripts/smoke.mjs'), /canBuildFlutter\("apps\/admin-portal"\)/);
+    assert.match(box.read('README.md'), /Web: Netlify builds from `apps\/admin-portal`/);
+  });
+});
+
+describe('add docker', () => {
+  test('adds a Dockerfile for the API with its Node version and records it', () => {
+    const box = sandbox();
+    fs.writeFileSync(path.join(box.repo, 'functions', 'api', 'package.json'), '{ "engines": { "node": ">=22" } }\n');
+    fs.mkdirSync(path.join(box.repo, '.rapid-dev'));
+    fs.writeFileSync(path.join(box.repo, '.rapid-dev', 'manifest.json'), JSON.stringify({ vars: {}, components: [], files: {} }));
+    const res = box.exec('docker');
+    assert.equal(res.status, 0, res.stderr);
+
+    assert.match(box.read('functions/api/Dockerfile'), /^FROM node:22-slim/m);
+    assert.ok(fs.existsSync(path.join(box.repo, 'functions', 'api', '.dockerignore')));
+    assert.deepEqual(JSON.parse(box.read('.rapid-dev/manifest.json')).components, [{ kind: 'docker', dir: 'functions/api' }]);
+    assert.match(box.exec('docker').stderr, /functions\/api\/Dockerfile already exists/);
+    assert.match(box.exec('docker', 'billing').stderr, /No API at functions\/billing/);
+  });
+});
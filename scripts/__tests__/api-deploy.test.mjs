@@ -0,0 +1,312 @@
+// scripts/__tests__/api-deploy.test.mjs
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync, spawn, spawnSync } from 'child_process';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { loadConfig } from '../_config.mjs';
+import { apiDeployConfig, apiDeployScript, apiPackageJson } from '../_templates.mjs';
+
+// A generated API directory (deploy script + deploy.config.json) committed to its own git repo
+function sandbox(config = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rapid-deploy-'));
+  fs.mkdirSync(path.join(dir, 'scripts'));
+  fs.writeFileSync(path.join(dir, 'scripts', 'deploy.mjs'), apiDeployScript());
+  fs.writeFileSync(path.join(dir, 'deploy.config.json'), apiDeployConfig({ project: 'acme-dev', region: 'us-east1', ...config }));
+  fs.writeFileSync(path.join(dir, '.env.example'), 'NODE_ENV=development\n');
+  fs.writeFileSync(path.join(dir, 'package.json'), apiPackageJson('shop', 'api', '22'));
+  fs.writeFileSync(path.join(dir, '.gitignore'), '.env.*\n!.env.example\n');
+  const env = { ...process.env, GIT_AUTHOR_NAME: 't', GIT_AUTHOR_EMAIL: 't@example.com', GIT_COMMITTER_NAME: 't', GIT_COMMITTER_EMAIL: 't@example.com' };
+  delete env.GCP_PROJECT;
+  execFileSync('git', ['init', '-q'], { cwd: dir });
+  execFileSync('git', ['add', '-A'], { cwd: dir });
+  execFileSync('git', ['commit', '-qm', 'init'], { cwd: dir, env });
+  const deploy = (...args) => spawnSync(process.execPath, ['scripts/deploy.mjs', ...args], { cwd: dir, env, input: '', encoding: 'utf8' });
+  return { dir, env, deploy };
+}
+
+// A fake gcloud on PATH for Cloud Run deploys: `run services describe` prints before.json until
+// `run deploy` has run and after.json from then on, and every call is logged
+function cloudRun(box, { before: prior, after: next, revisions = [] }) {
+  const state = fs.mkdtempSync(path.join(os.tmpdir(), 'rapid-gcloud-'));
+  const log = path.join(state, 'calls.log');
+  if (prior) fs.writeFileSync(path.join(state, 'before.json'), JSON.stringify(prior));
+  fs.writeFileSync(path.join(state, 'after.json'), JSON.stringify(next || prior));
+  fs.writeFileSync(path.join(state, 'revisions.json'), JSON.stringify(revisions));
+  const script = `#!/bin/sh
+echo "gcloud $*" >> "${log}"
+case "$1 $2 $3" in
+  "run services describe") if [ -f "${state}/deployed" ]; then cat "${state}/after.json"; elif [ -f "${state}/before.json" ]; then cat "${state}/before.json"; else exit 1; fi ;;
+  "run deploy "*) touch "${state}/deployed" ;;
+  "run revisions list") cat "${state}/revisions.json" ;;
+  "auth print-identity-token ") echo tok ;;
+esac
+`;
+  fs.writeFileSync(path.join(state, 'gcloud'), script, { mode: 0o755 });
+  // Runs deploy.mjs without blocking the event loop, so the stub server can answer its health checks
+  return (...args) =>
+    new Promise((resolve) => {
+      const child = spawn(process.execPath, ['scripts/deploy.mjs', ...args, '--project', 'acme', '--target', 'run', '--rollout-wait', '0', '--health-retries', '0'], {
+        cwd: box.dir,
+        env: { ...box.env, PATH: `${state}${path.delimiter}${process.env.PATH}` }
+      });
+      let stdout = '';
+      let stderr = '';
+      child.stdout.on('data', (d) => (stdout += d));
+      child.stderr.on('data', (d) => (stderr += d));
+      child.on('close', (status) => {
+        const calls = fs.existsSync(log) ? fs.readFileSync(log, 'utf8').trim().split('\n') : [];
+        resolve({ status, stdout, stderr, traffic: calls.filter((c) => c.includes('update-traffic')).map((c) => c.match(/--to-revisions=(\S+)/)[1]), calls });
+      });
+    });
+}
+
+// A service serving api-00001, and the same service after deploying api-00002 tagged "candidate" at `url`
+const serving = { status: { url: 'https://api-abc-ue.a.run.app', traffic: [{ revisionName: 'api-00001', percent: 100 }] } };
+const withCandidate = (url) => ({
+  status: { url: 'https://api-abc-ue.a.run.app', traffic: [{ revisionName: 'api-00001', percent: 100 }, { revisionName: 'api-00002', percent: 0, tag: 'candidate', url }] }
+});
+
+describe('apiDeployConfig', () => {
+  test('merges configured environments over dev, staging and prod', () => {
+    const { environments } = JSON.parse(
+      apiDeployConfig({ project: 'p', environments: { prod: { project: 'p-prod', minInstances: 2 }, qa: { serviceSuffix: '-qa' } } })
+    );
+    assert.deepEqual(Object.keys(environments), ['dev', 'staging', 'prod', 'qa']);
+    assert.equal(environments.staging.project, 'p');
+    assert.equal(environments.prod.project, 'p-prod');
+    assert.equal(environments.prod.minInstances, 2);
+    assert.equal(environments.prod.confirm, true);
+    assert.equal(environments.qa.region, 'us-east1');
+  });
+
+  test('allows the web app as a CORS origin, plus Netlify previews outside prod', () => {
+    const { environments } = JSON.parse(apiDeployConfig({ project: 'p', webUrl: 'https://shop.netlify.app' }));
+    assert.equal(environments.prod.env.CORS_ORIGINS, 'https://shop.netlify.app');
+    assert.equal(environments.staging.env.CORS_ORIGINS, 'https://shop.netlify.app,https://*--shop.netlify.app');
+  });
+});
+
+describe('generated deploy.mjs', () => {
+  test('takes project, region, suffix, env vars and sizing from --env', () => {
+    const box = sandbox({ environments: { staging: { project: 'acme-stg', region: 'europe-west1', env: { LOG_LEVEL: 'debug', ORIGINS: 'a,b' } } } });
+    const res = box.deploy('--env', 'staging', '--dryRun');
+
+    assert.equal(res.status, 0, res.stderr);
+    assert.match(res.stdout, /gcloud functions deploy api-staging /);
+    assert.match(res.stdout, /--project=acme-stg --region=europe-west1 /);
+    assert.match(res.stdout, /--memory=256Mi --timeout=60s --min-instances=0 --max-instances=10 /);
+    assert.match(res.stdout, /--set-env-vars='\^@\^NODE_ENV=production@CORS_ORIGINS=@LOG_LEVEL=debug@ORIGINS=a,b'/);
+  });
+
+  test('lets flags override the environment', () => {
+    const res = sandbox().deploy('--env', 'dev', '--project', 'other', '--target', 'run', '--dryRun');
+    assert.equal(res.status, 0, res.stderr);
+    assert.match(res.stdout, /gcloud run deploy api-dev --ingress=all --project=other /);
+  });
+
+  test('rejects unknown environments', () => {
+    const res = sandbox().deploy('--env', 'qa', '--dryRun');
+    assert.equal(res.status, 1);
+    assert.match(res.stderr, /Unknown environment "qa"\. deploy\.config\.json defines: dev, staging, prod/);
+  });
+
+  test('refuses to deploy from a dirty git tree', () => {
+    const box = sandbox();
+    fs.writeFileSync(path.join(box.dir, 'scratch.txt'), 'wip');
+    const res = box.deploy('--env', 'dev');
+    assert.equal(res.status, 1);
+    assert.match(res.stderr, /dirty git tree/);
+    assert.match(box.deploy('--env', 'dev', '--dryRun').stdout, /a real deploy would be refused/);
+  });
+
+  test('asks before deploying to prod and needs --yes without a terminal', () => {
+    const res = sandbox().deploy('--env', 'prod');
+    assert.equal(res.status, 1);
+    assert.match(res.stderr, /Deploy api for "prod" needs confirmation; pass --yes/);
+  });
+
+  test('passes Secret Manager references as --set-secrets', () => {
+    const box = sandbox({ environments: { prod: { secrets: { STRIPE_KEY: 'stripe-key-prod', DB_URL: 'db-url:3' } } } });
+    const res = box.deploy('--env', 'prod', '--dryRun');
+    assert.equal(res.status, 0, res.stderr);
+    assert.match(res.stdout, /--set-env-vars='NODE_ENV=production,CORS_ORIGINS=' --set-secrets='STRIPE_KEY=stripe-key-prod:latest,DB_URL=db-url:3'/);
+  });
+
+  test('requires every .env.example key to be covered by env or secrets', () => {
+    const box = sandbox();
+    fs.appendFileSync(path.join(box.dir, '.env.example'), 'STRIPE_KEY=\nLOG_LEVEL=info\n');
+    execFileSync('git', ['commit', '-qam', 'keys'], { cwd: box.dir, env: { ...process.env, GIT_AUTHOR_NAME: 't', GIT_AUTHOR_EMAIL: 't@e', GIT_COMMITTER_NAME: 't', GIT_COMMITTER_EMAIL: 't@e' } });
+    const res = box.deploy('--env', 'dev', '--dryRun');
+    assert.equal(res.status, 1);
+    assert.match(res.stderr, /\.env\.example declares STRIPE_KEY, LOG_LEVEL, but environment "dev" sets neither/);
+  });
+
+  test('secrets push reads .env.<env> and sends values on stdin', () => {
+    const box = sandbox({ environments: { staging: { secrets: { STRIPE_KEY: 'stripe-key-staging', MISSING: 'other' } } } });
+    fs.writeFileSync(path.join(box.dir, '.env.staging'), 'STRIPE_KEY="sk_test_123"\n');
+    const res = box.deploy('secrets', 'push', '--env', 'staging', '--dryRun');
+    assert.equal(res.status, 0, res.stderr);
+    assert.match(res.stdout, /gcloud secrets create stripe-key-staging --project=acme-dev --replication-policy=automatic --data-file=-\s+\(STRIPE_KEY from \.env\.staging\)/);
+    assert.match(res.stdout, /Skipping MISSING: not set in \.env\.staging/);
+    assert.doesNotMatch(res.stdout, /sk_test_123/);
+  });
+
+  test('deploys IAM-only by default, with the runtime from engines.node', () => {
+    const res = sandbox().deploy('--project', 'acme', '--dryRun');
+    assert.equal(res.status, 0, res.stderr);
+    assert.match(res.stdout, /gcloud functions deploy api --gen2 --runtime=nodejs22 .*--ingress-settings=all .*--no-allow-unauthenticated/);
+    assert.doesNotMatch(res.stdout, /--allow-unauthenticated/);
+  });
+
+  test('takes auth, invokers, service account, ingress and sizing from config and flags', () => {
+    const box = sandbox({
+      deploy: { serviceAccount: 'api@acme.iam.gserviceaccount.com', ingress: 'internal-and-lb', cpu: '2', concurrency: 40 },
+      environments: { staging: { invokers: ['serviceAccount:web@acme.iam.gserviceaccount.com'], maxInstances: 3 } }
+    });
+    const res = box.deploy('--env', 'staging', '--target', 'run', '--timeout', '300s', '--dryRun');
+    assert.equal(res.status, 0, res.stderr);
+    assert.match(res.stdout, /--ingress=internal-and-cloud-load-balancing /);
+    assert.match(res.stdout, /--no-allow-unauthenticated --service-account=api@acme\.iam\.gserviceaccount\.com --memory=256Mi --cpu=2 --timeout=300s --concurrency=40 --min-instances=0 --max-instances=3 /);
+    assert.match(res.stdout, /gcloud run services add-iam-policy-binding api-staging .*--member=serviceAccount:web@acme\.iam\.gserviceaccount\.com --role=roles\/run\.invoker/);
+
+    const pub = box.deploy('--env', 'staging', '--auth', 'public', '--dryRun');
+    assert.match(pub.stdout, / --allow-unauthenticated /);
+    assert.match(pub.stdout, /invokers are ignored because auth is public/);
+    assert.doesNotMatch(pub.stdout, /add-invoker-policy-binding/);
+  });
+
+  test('rejects unknown auth and ingress values', () => {
+    assert.match(sandbox().deploy('--project', 'acme', '--auth', 'open', '--dryRun').stderr, /Unknown --auth "open"/);
+    assert.match(sandbox().deploy('--project', 'acme', '--ingress', 'private', '--dryRun').stderr, /Unknown --ingress "private"/);
+  });
+
+  test('--image builds and pushes to Artifact Registry, then deploys the image to Cloud Run', () => {
+    const box = sandbox();
+    fs.writeFileSync(path.join(box.dir, 'Dockerfile'), 'FROM node:22-slim\n');
+    const res = box.deploy('--project', 'acme', '--target', 'run', '--image', '--dryRun');
+    assert.equal(res.status, 0, res.stderr);
+    assert.match(res.stdout, /gcloud artifacts repositories create containers --project=acme --location=us-east1 --repository-format=docker/);
+    assert.match(res.stdout, /gcloud auth configure-docker us-east1-docker\.pkg\.dev --quiet/);
+    assert.match(res.stdout, /docker build --platform linux\/amd64 -t us-east1-docker\.pkg\.dev\/acme\/containers\/api:[0-9a-f]+ \./);
+    assert.match(res.stdout, /docker push us-east1-docker\.pkg\.dev\/acme\/containers\/api:/);
+    assert.match(res.stdout, /gcloud run deploy api .*--image=us-east1-docker\.pkg\.dev\/acme\/containers\/api:/);
+    assert.doesNotMatch(res.stdout, /--source=/);
+
+    const given = box.deploy('--project', 'acme', '--target', 'run', '--image', 'gcr.io/acme/api:1', '--dryRun');
+    assert.match(given.stdout, /--image=gcr\.io\/acme\/api:1/);
+    assert.doesNotMatch(given.stdout, /docker build/);
+  });
+
+  test('url prints the URL gcloud describes for the service', { skip: os.platform() === 'win32' }, () => {
+    const box = sandbox();
+    const bin = fs.mkdtempSync(path.join(os.tmpdir(), 'rapid-gcloud-'));
+    // Answers only the describe calls deploy.mjs should make
+    const gcloud = `#!/bin/sh
+case "$*" in
+  "functions describe api-staging --gen2 --project=acme-dev --region=us-east1 --format=value(serviceConfig.uri)") echo https://api-staging-abc-ue.a.run.app ;;
+  "run services describe api --project=acme --region=us-east1 --format=value(status.url)") echo ;;
+  *) exit 1 ;;
+esac
+`;
+    fs.writeFileSync(path.join(bin, 'gcloud'), gcloud, { mode: 0o755 });
+    const env = { ...box.env, PATH: `${bin}${path.delimiter}${process.env.PATH}` };
+    const url = (...args) => spawnSync(process.execPath, ['scripts/deploy.mjs', 'url', ...args], { cwd: box.dir, env, encoding: 'utf8' });
+
+    const functions = url('--env', 'staging');
+    assert.equal(functions.status, 0, functions.stderr);
+    assert.equal(functions.stdout, 'https://api-staging-abc-ue.a.run.app\n');
+
+    const missing = url('--project', 'acme', '--target', 'run');
+    assert.equal(missing.status, 1);
+    assert.match(missing.stderr, /gcloud reports no URL for api in acme \(us-east1, --target run\)\. Is it deployed there\?/);
+  });
+
+  test('--image needs Cloud Run and a Dockerfile', () => {
+    assert.match(sandbox().deploy('--project', 'acme', '--image', '--dryRun').stderr, /pass --target run/);
+    assert.match(sandbox().deploy('--project', 'acme', '--target', 'run', '--image', '--dryRun').stderr, /node scripts\/add\.mjs docker/);
+  });
+});
+
+describe('generated deploy.mjs on Cloud Run', { skip: os.platform() === 'win32' }, () => {
+  let server;
+  let base;
+  let flakyCalls = 0;
+  before(async () => {
+    // /ok is a healthy revision (it needs the identity token), /down an unhealthy one, /flaky fails after its first check
+    server = http.createServer((req, res) => {
+      if (req.url === '/flaky/health') flakyCalls++;
+      const healthy = (req.url === '/ok/health' && req.headers.authorization === 'Bearer tok') || (req.url === '/flaky/health' && flakyCalls === 1);
+      res.statusCode = healthy ? 200 : 503;
+      res.end(healthy ? '{"status":"ok"}' : '');
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+  after(() => server.close());
+
+  test('deploys a tagged revision without traffic, checks it and then moves traffic to it gradually', async () => {
+    const res = await cloudRun(sandbox(), { before: serving, after: withCandidate(`${base}/ok`) })('--gradual');
+
+    assert.equal(res.status, 0, res.stderr);
+    assert.match(res.calls.find((c) => c.startsWith('gcloud run deploy')), / --no-traffic --tag=candidate$/);
+    assert.match(res.stdout, new RegExp(`GET ${base}/ok/health: 200`));
+    assert.deepEqual(res.traffic, ['api-00002=10,api-00001=90', 'api-00002=50,api-00001=50', 'api-00002=100']);
+    assert.match(res.stdout, /Service URL: https:\/\/api-abc-ue\.a\.run\.app/);
+  });
+
+  test('leaves the traffic on the previous revision when the tagged revision is unhealthy', async () => {
+    const res = await cloudRun(sandbox({ deploy: { healthPath: '/health', rollout: [100] } }), { before: serving, after: withCandidate(`${base}/down`) })();
+
+    assert.equal(res.status, 1);
+    assert.deepEqual(res.traffic, []);
+    assert.match(res.stderr, new RegExp(`Revision api-00002 failed its health check at ${base}/down/health\\. It gets no traffic; api-00001 keeps serving\\.`));
+  });
+
+  test('returns the traffic to the previous revision when a check fails during the rollout', async () => {
+    const res = await cloudRun(sandbox(), { before: serving, after: withCandidate(`${base}/flaky`) })('--rollout', '25,100');
+
+    assert.equal(res.status, 1);
+    assert.deepEqual(res.traffic, ['api-00002=25,api-00001=75', 'api-00001=100']);
+    assert.match(res.stderr, /failed its health check at 25% of traffic; all traffic is back on api-00001/);
+  });
+
+  test('takes the rollout steps from .rapid-dev.json', async () => {
+    const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'rapid-rollout-'));
+    fs.writeFileSync(path.join(cwd, '.rapid-dev.json'), JSON.stringify({ deploy: { rollout: [10, 50, 100] } }));
+    const config = loadConfig({ cwd, home: cwd, env: {}, args: { 'strict-config': true } });
+    assert.deepEqual(config.deploy.rollout, [10, 50, 100]);
+
+    const res = await cloudRun(sandbox({ deploy: config.deploy }), { before: serving, after: withCandidate(`${base}/ok`) })();
+    assert.equal(res.status, 0, res.stderr);
+    assert.deepEqual(res.traffic, ['api-00002=10,api-00001=90', 'api-00002=50,api-00001=50', 'api-00002=100']);
+  });
+
+  test('moves all traffic at once when the rollout list is empty', async () => {
+    const res = await cloudRun(sandbox({ deploy: { rollout: [] } }), { before: serving, after: withCandidate(`${base}/ok`) })();
+    assert.equal(res.status, 0, res.stderr);
+    assert.deepEqual(res.traffic, ['api-00002=100']);
+  });
+
+  test('serves the first revision of a new service straight away', async () => {
+    const res = await cloudRun(sandbox(), { after: { status: { url: `${base}/ok`, traffic: [{ latestRevision: true, percent: 100 }] } } })();
+
+    assert.equal(res.status, 0, res.stderr);
+    assert.doesNotMatch(res.calls.find((c) => c.startsWith('gcloud run deploy')), /--no-traffic/);
+    assert.deepEqual(res.traffic, []);
+  });
+
+  test('rollback moves all traffic to the ready revision before the serving one', async () => {
+    const ready = (name, status = 'True') => ({ metadata: { name }, status: { conditions: [{ type: 'Ready', status }] } });
+    const current = { status: { traffic: [{ revisionName: 'api-00003', percent: 100 }] } };
+    const revisions = [ready('api-00004', 'False'), ready('api-00003'), ready('api-00002', 'False'), ready('api-00001')];
+    const res = await cloudRun(sandbox(), { before: current, revisions })('rollback');
+
+    assert.equal(res.status, 0, res.stderr);
+    assert.match(res.stdout, /Rolling back api from api-00003 to api-00001/);
+    assert.deepEqual(res.traffic, ['api-00001=100']);
+    assert.match(sandbox().deploy('rollback', '--project', 'acme', '--dryRun').stderr, /rollback moves Cloud Run traffic between revisions; pass --target run/);
+  });
+});
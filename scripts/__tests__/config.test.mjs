@@ -0,0 +1,145 @@
+// scripts/__tests__/config.test.mjs
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { configLayers, configOrigins, deepMerge, envConfig, flagsConfig, loadConfig } from '../_config.mjs';
+
+describe('deepMerge', () => {
+  test('merges nested objects and replaces arrays and scalars', () => {
+    const merged = deepMerge(
+      { defaults: { org: 'a', gcp: { project: 'p', region: 'us-east1' } }, tools: [{ key: 'x' }] },
+      { defaults: { gcp: { region: 'europe-west1' } }, tools: [{ key: 'y' }] }
+    );
+    assert.deepEqual(merged, {
+      defaults: { org: 'a', gcp: { project: 'p', region: 'europe-west1' } },
+      tools: [{ key: 'y' }]
+    });
+  });
+
+  test('does not modify its inputs', () => {
+    const base = { defaults: { gcp: { region: 'us-east1' } } };
+    deepMerge(base, { defaults: { gcp: { region: 'europe-west1' } } });
+    assert.equal(base.defaults.gcp.region, 'us-east1');
+  });
+});
+
+describe('envConfig', () => {
+  test('maps RAPID_DEV_* variables to nested keys', () => {
+    assert.deepEqual(
+      envConfig({ RAPID_DEV_DEFAULTS__GCP__REGION: 'europe-west1', RAPID_DEV_DEFAULTS__PRIVATE: 'false', PATH: '/bin' }),
+      { defaults: { gcp: { region: 'europe-west1' }, private: false } }
+    );
+  });
+
+  test('matches camelCase keys regardless of case and converts values to the schema type', () => {
+    assert.deepEqual(
+      envConfig({
+        RAPID_DEV_DEFAULTS__WEBHOST: 'firebase',
+        RAPID_DEV_NETLIFY__APIURL: 'https://api-abc-ue.a.run.app',
+        RAPID_DEV_DEPLOY__MAXINSTANCES: '3',
+        RAPID_DEV_DEPLOY__ROLLOUT: '[10,50,100]',
+        RAPID_DEV_ENVIRONMENTS__STAGING__MININSTANCES: '1',
+        RAPID_DEV_DEFAULTS__ORG: '007'
+      }),
+      {
+        defaults: { webHost: 'firebase', org: '007' },
+        netlify: { apiUrl: 'https://api-abc-ue.a.run.app' },
+        deploy: { maxInstances: 3, rollout: [10, 50, 100] },
+        environments: { staging: { minInstances: 1 } }
+      }
+    );
+  });
+});
+
+describe('flagsConfig', () => {
+  test('maps only the config flags', () => {
+    assert.deepEqual(flagsConfig({ org: 'acme', region: 'asia-east1', repo: 'x-y', 'dry-run': true }), {
+      defaults: { org: 'acme', gcp: { region: 'asia-east1' } }
+    });
+  });
+});
+
+describe('loadConfig', () => {
+  let root, home, cwd;
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'rapid-config-'));
+    home = path.join(root, 'home');
+    cwd = path.join(root, 'project');
+    fs.mkdirSync(home);
+    fs.mkdirSync(cwd);
+    fs.writeFileSync(path.join(home, '.rapid-dev.json'), JSON.stringify({ defaults: { gcp: { region: 'europe-west1' } } }));
+    fs.writeFileSync(path.join(cwd, '.rapid-dev.json'), JSON.stringify({ defaults: { org: 'my-company', private: true } }));
+  });
+
+  after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  test('keeps built-in defaults that a partial file does not set', () => {
+    const config = loadConfig({ cwd, home: path.join(root, 'nowhere'), env: {} });
+    assert.equal(config.defaults.org, 'my-company');
+    assert.equal(config.defaults.gcp.region, 'us-east1');
+    assert.equal(config.defaults.netlify, false);
+  });
+
+  test('applies defaults, user, project, env and flags in order', () => {
+    const env = { RAPID_DEV_DEFAULTS__ORG: 'env-org' };
+    assert.equal(loadConfig({ cwd, home, env: {} }).defaults.gcp.region, 'europe-west1');
+    assert.equal(loadConfig({ cwd, home, env }).defaults.org, 'env-org');
+    assert.equal(loadConfig({ cwd, home, env, args: { org: 'flag-org' } }).defaults.org, 'flag-org');
+  });
+
+  test('applies camelCase and number keys from the environment without issues', () => {
+    const env = { RAPID_DEV_DEFAULTS__WEBHOST: 'gcs', RAPID_DEV_DEPLOY__MAXINSTANCES: '4' };
+    assert.deepEqual(configLayers({ cwd, home, env }).flatMap((l) => l.issues), []);
+    const config = loadConfig({ cwd, home, env, args: { 'strict-config': true } });
+    assert.equal(config.defaults.webHost, 'gcs');
+    assert.equal(config.deploy.maxInstances, 4);
+  });
+
+  test('reports the origin of every value', () => {
+    const layers = configLayers({ cwd, home, env: { RAPID_DEV_DEFAULTS__NETLIFY: 'true' }, args: { 'gcp-project': 'p1' } });
+    const origin = Object.fromEntries(configOrigins(layers).map((o) => [o.path, o.layer]));
+    assert.deepEqual(origin, {
+      'defaults.org': 'project',
+      'defaults.private': 'project',
+      'defaults.netlify': 'env',
+      'defaults.gcp.project': 'cli',
+      'defaults.gcp.region': 'user'
+    });
+  });
+
+  test('ignores invalid values and reports them with file and line', () => {
+    const dir = path.join(root, 'invalid');
+    fs.mkdirSync(dir);
+    fs.writeFileSync(path.join(dir, '.rapid-dev.json'), '{\n  "defaults": {\n    "netlfy": true,\n    "gcp": { "region": "Europe" }\n  }\n}\n');
+    const layers = configLayers({ cwd: dir, home, env: {} });
+    const issues = layers.flatMap((l) => l.issues);
+    assert.equal(issues.length, 2);
+    assert.match(issues[0], /invalid[/\\]\.rapid-dev\.json:3: defaults\.netlfy: unknown key/);
+    assert.match(issues[1], /\.rapid-dev\.json:4: defaults\.gcp\.region: "Europe" is not valid/);
+
+    const warn = console.error;
+    console.error = () => {};
+    try {
+      assert.equal(loadConfig({ cwd: dir, home, env: {} }).defaults.gcp.region, 'europe-west1');
+    } finally {
+      console.error = warn;
+    }
+  });
+
+  test('throws in strict mode', () => {
+    const dir = path.join(root, 'invalid');
+    assert.throws(() => loadConfig({ cwd: dir, home, env: { RAPID_DEV_STRICT: 'true' } }), /strict mode[\s\S]*netlfy/);
+    assert.throws(() => loadConfig({ cwd: dir, home, env: {}, args: { 'strict-config': true } }), /strict mode/);
+  });
+
+  test('reports malformed JSON with its position', () => {
+    const dir = path.join(root, 'malformed');
+    fs.mkdirSync(dir);
+    fs.writeFileSync(path.join(dir, '.rapid-dev.json'), '{\n  "defaults": {\n    "org": "x"\n  \n}\n');
+    const [issue] = configLayers({ cwd: dir, home, env: {} }).flatMap((l) => l.issues);
+    assert.match(issue, /\.rapid-dev\.json:\d+:\d+: invalid JSON/);
+  });
+});
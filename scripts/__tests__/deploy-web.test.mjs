@@ -0,0 +1,116 @@
+// scripts/__tests__/deploy-web.test.mjs
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { deployWebScript, firebaseJson } from '../_templates.mjs';
+
+// A repo with the generated deploy-web.mjs, and fake CLIs on PATH that log how they were called;
+// the fake flutter writes a small web build, and netlify and firebase print what their --json output looks like
+function sandbox(options, webConfig) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'rapid-web-'));
+  const bin = path.join(root, 'bin');
+  const log = path.join(root, 'calls.log');
+  fs.mkdirSync(path.join(root, 'scripts'));
+  fs.mkdirSync(path.join(root, 'apps', 'client'), { recursive: true });
+  fs.mkdirSync(bin);
+  fs.writeFileSync(path.join(root, 'scripts', 'deploy-web.mjs'), deployWebScript(options));
+  fs.writeFileSync(path.join(root, 'firebase.json'), firebaseJson());
+  if (webConfig) fs.writeFileSync(path.join(root, 'apps', 'client', 'deploy.config.json'), JSON.stringify(webConfig));
+  const logCall = (name) => `echo "${name} $*" >> "${log}"\n`;
+  const build = 'mkdir -p build/web/canvaskit && touch build/web/index.html build/web/main.dart.js build/web/canvaskit/canvaskit.wasm\n';
+  fs.writeFileSync(path.join(bin, 'flutter'), `#!/bin/sh\n${logCall('flutter')}${build}`, { mode: 0o755 });
+  fs.writeFileSync(path.join(bin, 'gcloud'), `#!/bin/sh\n${logCall('gcloud')}[ "$2 $3" = "buckets describe" ] && exit \${BUCKET_MISSING:-0}\nexit 0\n`, { mode: 0o755 });
+  const netlifyJson = '{"site_id":"abc123","deploy_url":"https://665f--shop-web.netlify.app","url":"https://shop-web.netlify.app"}';
+  const channelJson = '{"status":"success","result":{"shop-prod":{"url":"https://shop-prod--staging-x1y2.web.app"}}}';
+  fs.writeFileSync(path.join(bin, 'netlify'), `#!/bin/sh\n${logCall('netlify')}echo 'Deploying...'\necho '${netlifyJson}'\n`, { mode: 0o755 });
+  fs.writeFileSync(path.join(bin, 'firebase'), `#!/bin/sh\n${logCall('firebase')}[ "$1" = "hosting:channel:deploy" ] && echo '${channelJson}'\nexit 0\n`, { mode: 0o755 });
+  const run = (args, env = {}) => {
+    const res = spawnSync(process.execPath, ['scripts/deploy-web.mjs', ...args], {
+      cwd: root,
+      env: { ...process.env, PATH: `${bin}${path.delimiter}${process.env.PATH}`, BUILD_NUMBER: '', API_URL: '', ...env },
+      encoding: 'utf8',
+      timeout: 10000
+    });
+    return { ...res, calls: fs.existsSync(log) ? fs.readFileSync(log, 'utf8').trim().split('\n') : [] };
+  };
+  return { root, run };
+}
+
+describe('generated deploy-web.mjs', { skip: os.platform() === 'win32' }, () => {
+  test('builds against /api and deploys to Firebase Hosting', () => {
+    const res = sandbox({ host: 'firebase', gcpProject: 'shop-prod' }).run(['--project', 'shop-prod', '--prod']);
+
+    assert.equal(res.status, 0, res.stderr);
+    assert.deepEqual(res.calls, ['flutter build web --release --dart-define=API_URL=/api', 'firebase deploy --only hosting --project shop-prod']);
+    assert.match(res.stdout, /URL: https:\/\/shop-prod\.web\.app\n$/);
+  });
+
+  test('builds with the environment settings, defines and build number, and deploys to a preview channel', () => {
+    const webConfig = {
+      defaults: { baseHref: '/', renderer: 'canvaskit', defines: { SENTRY_ENV: 'dev', FLAG: 'on' } },
+      environments: { staging: { baseHref: '/shop/', renderer: 'skwasm', defines: { SENTRY_ENV: 'staging' } } }
+    };
+    const res = sandbox({ host: 'firebase', gcpProject: 'shop-prod' }, webConfig).run(['--env', 'staging', '--define', 'FLAG=off'], { BUILD_NUMBER: '42' });
+
+    assert.equal(res.status, 0, res.stderr);
+    assert.equal(res.calls[0], 'flutter build web --release --base-href=/shop/ --wasm --build-number=42 --dart-define=API_URL=/api --dart-define=SENTRY_ENV=staging --dart-define=FLAG=off');
+    assert.equal(res.calls[1], 'firebase hosting:channel:deploy staging --json');
+    assert.match(res.stdout, /URL: https:\/\/shop-prod--staging-x1y2\.web\.app\n$/);
+  });
+
+  test('rejects an unknown environment, renderer or base href before building', () => {
+    const webConfig = { defaults: {}, environments: { prod: { prod: true } } };
+    for (const [args, message] of [
+      [['--env', 'qa'], /Unknown environment "qa".*defines: prod/],
+      [['--renderer', 'skia'], /Unknown --renderer "skia"/],
+      [['--base-href', 'shop'], /Invalid --base-href "shop"/]
+    ]) {
+      const res = sandbox({ host: 'netlify' }, webConfig).run(args);
+      assert.equal(res.status, 1);
+      assert.match(res.stderr, message);
+      assert.deepEqual(res.calls, []);
+    }
+  });
+
+  test('syncs the build to a bucket with content types and no-cache entry points', () => {
+    const res = sandbox({ host: 'gcs', gcpProject: 'shop-prod' }).run(['--api-url', 'https://api-abc-ue.a.run.app', '--url-map', 'web-lb']);
+
+    assert.equal(res.status, 0, res.stderr);
+    assert.equal(res.calls[0], 'flutter build web --release --dart-define=API_URL=https://api-abc-ue.a.run.app');
+    assert.equal(res.calls[1], 'gcloud storage buckets describe gs://shop-prod-web');
+    assert.match(res.calls[2], /^gcloud storage rsync \S+\/apps\/client\/build\/web gs:\/\/shop-prod-web --recursive --delete-unmatched-destination-objects --cache-control=public, max-age=3600$/);
+    assert.ok(res.calls.includes('gcloud storage objects update gs://shop-prod-web/canvaskit/canvaskit.wasm --content-type=application/wasm'));
+    assert.ok(res.calls.includes('gcloud storage objects update gs://shop-prod-web/index.html gs://shop-prod-web/main.dart.js --cache-control=no-cache'));
+    assert.equal(res.calls.at(-1), 'gcloud compute url-maps invalidate-cdn-cache web-lb --path /* --async');
+  });
+
+  test('explains how to create a missing bucket', () => {
+    const res = sandbox({ host: 'gcs' }).run(['--bucket', 'shop-web'], { BUCKET_MISSING: '1' });
+
+    assert.equal(res.status, 1);
+    assert.match(res.stderr, /gcloud storage buckets create gs:\/\/shop-web/);
+    assert.ok(!res.calls.some((c) => c.includes('rsync')));
+  });
+
+  test('makes a Netlify draft deploy, warns when the build has no API URL and prints the draft URL', () => {
+    const res = sandbox({ host: 'netlify' }).run(['--site', 'abc123']);
+
+    assert.equal(res.status, 0, res.stderr);
+    assert.match(res.stdout, /Warning: no API URL/);
+    assert.match(res.calls[1], /^netlify deploy --dir \S+\/apps\/client\/build\/web --site abc123 --json$/);
+    assert.match(res.stdout, /URL: https:\/\/665f--shop-web\.netlify\.app\n$/);
+  });
+
+  test('publishes to the Netlify production site for a prod environment', () => {
+    const webConfig = { defaults: {}, environments: { prod: { prod: true, defines: { API_URL: 'https://api-abc-ue.a.run.app' } } } };
+    const res = sandbox({ host: 'netlify' }, webConfig).run(['--env', 'prod']);
+
+    assert.equal(res.status, 0, res.stderr);
+    assert.equal(res.calls[0], 'flutter build web --release --dart-define=API_URL=https://api-abc-ue.a.run.app');
+    assert.match(res.calls[1], /^netlify deploy --dir \S+ --prod --json$/);
+    assert.match(res.stdout, /URL: https:\/\/shop-web\.netlify\.app\n$/);
+  });
+});
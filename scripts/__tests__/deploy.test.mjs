@@ -0,0 +1,154 @@
+// scripts/__tests__/deploy.test.mjs
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { apiDeployConfig, deployScript } from '../_templates.mjs';
+
+// Stand-ins for deploy-api.mjs and deploy-web.mjs: they log their arguments, print what the real
+// scripts print around the URL (FAKE_API_URL for `deploy-api.mjs <api> url`, FAKE_WEB_URL) and fail
+// with FAKE_FAIL=<script name>
+const fakeStage = (name, output) => `import fs from "fs";
+fs.appendFileSync("calls.log", ${JSON.stringify(name)} + " " + process.argv.slice(2).join(" ") + "\\n");
+if (process.env.FAKE_FAIL === ${JSON.stringify(name)}) { console.error("gcloud crashed"); process.exit(2); }
+${output}
+`;
+
+// A repo with both components on `host`, whose API deploys with `auth`; a fake gcloud (logging to
+// gcloud.log) hands out identity tokens
+function sandbox({ host = 'netlify', auth = 'public' } = {}) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'rapid-deploy-'));
+  fs.mkdirSync(path.join(root, 'scripts'));
+  fs.mkdirSync(path.join(root, 'functions', 'api'), { recursive: true });
+  fs.mkdirSync(path.join(root, 'bin'));
+  fs.writeFileSync(path.join(root, 'scripts', 'deploy.mjs'), deployScript({ apps: ['apps/client', 'apps/admin'], apis: ['functions/api'], host }));
+  fs.writeFileSync(path.join(root, 'functions', 'api', 'deploy.config.json'), apiDeployConfig({ deploy: { auth } }));
+  fs.writeFileSync(path.join(root, 'bin', 'gcloud'), `#!/bin/sh\necho "gcloud $*" >> "${path.join(root, 'gcloud.log')}"\necho tok\n`, { mode: 0o755 });
+  fs.writeFileSync(
+    path.join(root, 'scripts', 'deploy-api.mjs'),
+    fakeStage(
+      'deploy-api',
+      `if (process.argv[3] === "url") {
+  console.log("\\n> node scripts/deploy.mjs " + process.argv.slice(3).join(" "));
+  if (!process.env.FAKE_API_URL) { console.error("gcloud reports no URL for api"); process.exit(1); }
+  console.log(process.env.FAKE_API_URL);
+} else console.error("Service URL: https://scraped.example.com");`
+    )
+  );
+  fs.writeFileSync(path.join(root, 'scripts', 'deploy-web.mjs'), fakeStage('deploy-web', 'console.log("\\n✅ Deployed apps/client\\nURL: " + process.env.FAKE_WEB_URL);'));
+  // Runs deploy.mjs without blocking the event loop, so the stub server below can answer it
+  const run = (args, env = {}) =>
+    new Promise((resolve) => {
+      const child = spawn(process.execPath, ['scripts/deploy.mjs', ...args], {
+        cwd: root,
+        env: { ...process.env, PATH: `${path.join(root, 'bin')}${path.delimiter}${process.env.PATH}`, ...env }
+      });
+      let stdout = '';
+      let stderr = '';
+      child.stdout.on('data', (d) => (stdout += d));
+      child.stderr.on('data', (d) => (stderr += d));
+      child.on('close', (status) => {
+        const log = path.join(root, 'calls.log');
+        resolve({ status, stdout, stderr, calls: fs.existsSync(log) ? fs.readFileSync(log, 'utf8').trim().split('\n') : [] });
+      });
+    });
+  return { root, run };
+}
+
+describe('generated deploy.mjs', () => {
+  let server;
+  let base;
+  before(async () => {
+    // The deployed API (/health, and /api/health through the web host's proxy) and web app (/web/),
+    // a broken API (/broken/health) and an IAM-only one (/private/health, which needs a token)
+    server = http.createServer((req, res) => {
+      if (req.url === '/health' || req.url === '/api/health') return res.end('{"status":"ok"}');
+      if (req.url === '/private/health' && req.headers.authorization === 'Bearer tok') return res.end('{"status":"ok"}');
+      if (req.url === '/web/') return res.end('<script src="flutter_bootstrap.js" async></script>');
+      res.statusCode = req.url === '/private/health' ? 403 : 503;
+      res.end();
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+  after(() => server.close());
+
+  test('deploys the API, builds the web app against its URL, checks both and summarizes', async () => {
+    const res = await sandbox().run(['--env', 'staging', '--yes', '--retries', '0'], { FAKE_API_URL: base, FAKE_WEB_URL: `${base}/web/` });
+
+    assert.equal(res.status, 0, res.stderr);
+    assert.deepEqual(res.calls, [
+      'deploy-api api --env staging --yes',
+      'deploy-api api url --env staging',
+      `deploy-web --app client --env staging --api-url ${base}`
+    ]);
+    assert.match(res.stdout, /Deploy summary \(staging\), commit /);
+    assert.match(res.stdout, new RegExp(`✅ api +functions/api → ${base} \\(\\d+\\.\\ds\\)`));
+    assert.match(res.stdout, new RegExp(`✅ web +apps/client → ${base}/web/ \\(\\d+\\.\\ds\\)`));
+    assert.match(res.stdout, /✅ smoke +API 200, web 200/);
+    assert.match(res.stdout, /Total \d+\.\ds/);
+  });
+
+  test('refuses to deploy a web app that would call an IAM-only API directly', async () => {
+    const res = await sandbox({ auth: 'iam' }).run(['--env', 'staging']);
+
+    assert.equal(res.status, 1);
+    assert.deepEqual(res.calls, []);
+    assert.match(res.stderr, /The web app calls the API directly, but functions\/api\/deploy\.config\.json deploys it with "auth": "iam"/);
+  });
+
+  test('keeps the /api proxy in the web build and checks the API through it', async () => {
+    const res = await sandbox({ host: 'firebase', auth: 'iam' }).run(['--retries', '0'], { FAKE_API_URL: `${base}/private`, FAKE_WEB_URL: `${base}/web/` });
+
+    assert.equal(res.status, 0, res.stderr);
+    assert.equal(res.calls[2], 'deploy-web --app client');
+    assert.match(res.stdout, new RegExp(`GET ${base}/api/health`));
+    assert.match(res.stdout, new RegExp(`✅ api +functions/api → ${base}/private `));
+  });
+
+  test('checks the API the way the browser calls it, without an identity token', async () => {
+    const box = sandbox();
+    const res = await box.run(['--retries', '0'], { FAKE_API_URL: `${base}/private`, FAKE_WEB_URL: `${base}/web/` });
+
+    assert.equal(res.status, 1);
+    assert.match(res.stderr, new RegExp(`API health check failed: ${base}/private/health \\(HTTP 403\\)`));
+    assert.ok(!fs.existsSync(path.join(box.root, 'gcloud.log')));
+  });
+
+  test('checks the API with an identity token when no web app is deployed', async () => {
+    const res = await sandbox({ auth: 'iam' }).run(['--retries', '0', '--skip-web'], { FAKE_API_URL: `${base}/private` });
+
+    assert.equal(res.status, 0, res.stderr);
+    assert.match(res.stdout, /✅ smoke +API 200/);
+  });
+
+  test('stops after a failed API deploy without deploying the web app', async () => {
+    const res = await sandbox().run(['--app', 'admin'], { FAKE_FAIL: 'deploy-api' });
+
+    assert.equal(res.status, 1);
+    assert.deepEqual(res.calls, ['deploy-api api']);
+    assert.match(res.stdout, /❌ api +API deploy failed \(exit code 2\)/);
+    assert.match(res.stdout, /➖ web +not run/);
+    assert.match(res.stderr, /Deploy stopped: API deploy failed/);
+  });
+
+  test('fails the smoke stage when the health check does not pass', async () => {
+    const res = await sandbox().run(['--retries', '0', '--prod'], { FAKE_API_URL: `${base}/broken`, FAKE_WEB_URL: `${base}/web/` });
+
+    assert.equal(res.status, 1);
+    assert.equal(res.calls[2], `deploy-web --app client --prod --api-url ${base}/broken`);
+    assert.match(res.stderr, new RegExp(`Deploy stopped: API health check failed: ${base}/broken/health \\(HTTP 503\\)`));
+  });
+
+  test('stops before the web deploy when gcloud reports no URL for the API', async () => {
+    const res = await sandbox().run(['--skip-smoke'], { FAKE_API_URL: '' });
+
+    assert.equal(res.status, 1);
+    assert.deepEqual(res.calls, ['deploy-api api', 'deploy-api api url']);
+    assert.match(res.stderr, /gcloud reported no URL for it \(node scripts\/deploy-api\.mjs api url\)\. Deploy the web app with --skip-api --api-url <url>/);
+    assert.match(res.stdout, /➖ web +not run/);
+  });
+});
@@ -0,0 +1,51 @@
+// scripts/__tests__/dev.test.mjs
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { devScript } from '../_templates.mjs';
+
+// A repo with the generated dev.mjs, and fake `npm` and `flutter` on PATH that report how they were started
+function sandbox() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'rapid-dev-'));
+  const bin = path.join(root, 'bin');
+  fs.mkdirSync(path.join(root, 'scripts'));
+  fs.mkdirSync(path.join(root, 'functions', 'api', 'node_modules'), { recursive: true });
+  fs.mkdirSync(path.join(root, 'apps', 'client'), { recursive: true });
+  fs.mkdirSync(bin);
+  fs.writeFileSync(path.join(root, 'scripts', 'dev.mjs'), devScript());
+  fs.writeFileSync(path.join(bin, 'npm'), '#!/bin/sh\necho "npm $* on port $PORT"\nsleep 10\n', { mode: 0o755 });
+  fs.writeFileSync(path.join(bin, 'flutter'), '#!/bin/sh\necho "flutter $*"\nsleep 0.5\n', { mode: 0o755 });
+  const env = { ...process.env, PATH: `${bin}${path.delimiter}${process.env.PATH}` };
+  const dev = (...args) => spawnSync(process.execPath, ['scripts/dev.mjs', ...args], { cwd: root, env, encoding: 'utf8', timeout: 8000 });
+  return { root, dev };
+}
+
+describe('generated dev.mjs', { skip: os.platform() === 'win32' }, () => {
+  test('runs the API and the web app with prefixed output and the API URL as a dart define', () => {
+    const started = Date.now();
+    const res = sandbox().dev('--port', '9090');
+    assert.equal(res.status, 0, res.stderr);
+    assert.match(res.stdout, /^\[api\] npm run dev on port 9090$/m);
+    assert.match(res.stdout, /^\[client\] flutter run -d web-server --web-port=5000 --dart-define=API_URL=http:\/\/localhost:9090$/m);
+    // The app exiting stops the API instead of waiting for it
+    assert.match(res.stdout, /\[client\] exited with code 0/);
+    assert.ok(Date.now() - started < 8000);
+  });
+
+  test('runs only the app with --no-api', () => {
+    const res = sandbox().dev('--no-api');
+    assert.equal(res.status, 0, res.stderr);
+    assert.doesNotMatch(res.stdout, /\[api\]/);
+    assert.match(res.stdout, /^\[client\] flutter run -d web-server --web-port=5000$/m);
+  });
+
+  test('explains missing API dependencies and unknown components', () => {
+    const box = sandbox();
+    assert.match(box.dev('--app', 'admin').stderr, /Unknown --app "admin"\. Known: client/);
+    fs.rmSync(path.join(box.root, 'functions', 'api', 'node_modules'), { recursive: true });
+    assert.match(box.dev().stderr, /Run: cd functions\/api && npm install/);
+  });
+});
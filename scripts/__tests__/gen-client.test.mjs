@@ -0,0 +1,92 @@
+// scripts/__tests__/gen-client.test.mjs
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { apiOpenApi, genClientScript } from '../_templates.mjs';
+
+// A repo with the generated gen-client.mjs, the scaffold's openapi.json and a Flutter app
+function sandbox() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'rapid-gen-client-'));
+  fs.mkdirSync(path.join(root, 'scripts'));
+  fs.mkdirSync(path.join(root, 'functions', 'api'), { recursive: true });
+  fs.mkdirSync(path.join(root, 'apps', 'client'), { recursive: true });
+  fs.writeFileSync(path.join(root, 'scripts', 'gen-client.mjs'), genClientScript());
+  fs.writeFileSync(path.join(root, 'functions', 'api', 'openapi.json'), apiOpenApi({ title: 'shop-api' }));
+  fs.writeFileSync(path.join(root, 'apps', 'client', 'pubspec.yaml'), 'name: client\ndependencies:\n  flutter:\n    sdk: flutter\n');
+  const gen = (...args) => spawnSync(process.execPath, ['scripts/gen-client.mjs', ...args], { cwd: root, encoding: 'utf8' });
+  const read = (rel) => fs.readFileSync(path.join(root, rel), 'utf8');
+  const writeDoc = (doc) => fs.writeFileSync(path.join(root, 'functions', 'api', 'openapi.json'), JSON.stringify(doc));
+  return { root, gen, read, writeDoc };
+}
+
+describe('generated gen-client.mjs', () => {
+  test('writes a Dart client and TypeScript types for the scaffold API', () => {
+    const box = sandbox();
+    const res = box.gen();
+    assert.equal(res.status, 0, res.stderr);
+    assert.match(res.stdout, /flutter pub add http/);
+
+    const client = box.read('apps/client/lib/api/client.dart');
+    assert.match(client, /const String\.fromEnvironment\('API_URL', defaultValue: 'http:\/\/localhost:8080'\)/);
+    assert.match(client, /Future<Status> getStatus\(\) async \{\n    final json = await _send\('GET', '\/'\);/);
+    assert.match(box.read('apps/client/lib/api/models.dart'), /factory Status\.fromJson\(Map<String, dynamic> json\) => Status\(\n        ok: json\['ok'\] as bool,/);
+    assert.match(box.read('apps/client/lib/api/api.dart'), /export 'client\.dart';\nexport 'models\.dart';/);
+
+    const types = box.read('functions/api/src/api-types.ts');
+    assert.match(types, /export interface Status \{\n  ok: boolean;\n  \/\*\* The request path\. \*\/\n  path: string;\n\}/);
+    assert.match(types, /export type GetStatusResponse = Status;/);
+  });
+
+  test('maps parameters, request bodies, optional fields and lists', () => {
+    const box = sandbox();
+    const doc = JSON.parse(box.read('functions/api/openapi.json'));
+    doc.paths['/items/{id}'] = {
+      put: {
+        operationId: 'update_item',
+        parameters: [
+          { name: 'id', in: 'path', required: true, schema: { type: 'string' } },
+          { name: 'dry_run', in: 'query', schema: { type: 'boolean' } }
+        ],
+        requestBody: { required: true, content: { 'application/json': { schema: { $ref: '#/components/schemas/Item' } } } },
+        responses: { 200: { description: 'ok', content: { 'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/Item' } } } } } }
+      }
+    };
+    doc.components.schemas.Item = {
+      type: 'object',
+      required: ['id'],
+      properties: { id: { type: 'string' }, price: { type: 'number' }, parent: { $ref: '#/components/schemas/Status' }, class: { type: 'integer' } }
+    };
+    box.writeDoc(doc);
+    assert.equal(box.gen().status, 0);
+
+    const client = box.read('apps/client/lib/api/client.dart');
+    assert.match(client, /Future<List<Item>> updateItem\(\{required String id, bool\? dryRun, required Item body\}\) async \{/);
+    assert.match(client, /_send\('PUT', '\/items\/\$\{Uri\.encodeComponent\(id\)\}', query: \{if \(dryRun != null\) 'dry_run': dryRun\.toString\(\)\}, body: body\.toJson\(\)\)/);
+    assert.match(client, /\(json as List<dynamic>\)\.map\(\(e\) => Item\.fromJson\(e as Map<String, dynamic>\)\)\.toList\(\)/);
+
+    const models = box.read('apps/client/lib/api/models.dart');
+    assert.match(models, /price: json\['price'\] == null \? null : \(json\['price'\] as num\)\.toDouble\(\),/);
+    assert.match(models, /final int\? class_;/);
+    assert.match(models, /if \(parent != null\) 'parent': parent!\.toJson\(\),/);
+
+    const types = box.read('functions/api/src/api-types.ts');
+    assert.match(types, /export interface UpdateItemRequest \{\n  params: \{\n    id: string;\n  \};\n  query: \{\n    dry_run\?: boolean;\n  \};\n  body: Item;\n\}/);
+    assert.match(types, /export type UpdateItemResponse = Array<Item>;/);
+  });
+
+  test('--check fails when openapi.json changed without regenerating', () => {
+    const box = sandbox();
+    assert.equal(box.gen().status, 0);
+    assert.equal(box.gen('--check').status, 0);
+
+    const doc = JSON.parse(box.read('functions/api/openapi.json'));
+    doc.components.schemas.Status.properties.version = { type: 'string' };
+    box.writeDoc(doc);
+    const res = box.gen('--check');
+    assert.equal(res.status, 1);
+    assert.match(res.stderr, /out of date with openapi\.json:\n  functions\/api\/src\/api-types\.ts\n  apps\/client\/lib\/api\/models\.dart\nRun: node scripts\/gen-client\.mjs/);
+  });
+});
@@ -0,0 +1,117 @@
+// scripts/__tests__/manifest.test.mjs
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import { blobHash, createManifest, generatedFiles, mergeFile, planUpgrade } from '../_manifest.mjs';
+import { resolveTemplate } from '../_template-packs.mjs';
+
+const vars = { repoName: 'shop-web', org: '', gcpProject: '', gcpRegion: 'us-east1', nodeVersion: '20', local: true };
+
+describe('blobHash', () => {
+  test('matches git hash-object', () => {
+    const text = 'node_modules/\nbuild/ ✓\n';
+    assert.equal(blobHash(text), execFileSync('git', ['hash-object', '--stdin'], { input: text, encoding: 'utf8' }).trim());
+  });
+
+  test('hashes binary content as bytes', () => {
+    const bytes = Buffer.from([0x89, 0x50, 0x00, 0xff]);
+    assert.equal(blobHash(bytes), execFileSync('git', ['hash-object', '--stdin'], { input: bytes, encoding: 'utf8' }).trim());
+  });
+});
+
+describe('createManifest', () => {
+  test('records the kit version, template, variables and file hashes', () => {
+    const manifest = createManifest({ template: 'flutter', vars, files: [{ path: 'a.txt', content: 'a\n' }] });
+    assert.match(manifest.kit.version, /^\d+\.\d+\.\d+/);
+    assert.equal(manifest.template, 'flutter');
+    assert.equal(manifest.vars.local, undefined);
+    assert.deepEqual(manifest.files, { 'a.txt': blobHash('a\n') });
+  });
+});
+
+describe('planUpgrade', () => {
+  const base = 'one\ntwo\nthree\n';
+  const next = 'one\ntwo\nthree\nfour\n';
+  const plan = (current, { baseText = base, manifestFiles = { 'f.txt': blobHash(base) } } = {}) =>
+    planUpgrade({
+      manifest: { files: manifestFiles },
+      files: [{ path: 'f.txt', content: next }],
+      readFile: () => current,
+      readBase: (hash) => (hash === blobHash(baseText) ? baseText : null)
+    })[0];
+
+  test('replaces untouched files and keeps up-to-date ones', () => {
+    assert.equal(plan(base).action, 'update');
+    assert.equal(plan(base).hash, blobHash(next));
+    assert.equal(plan(next).action, 'current');
+  });
+
+  test('merges customized files cleanly when the changes do not overlap', () => {
+    const result = plan('zero\none\ntwo\nthree\n');
+    assert.equal(result.action, 'merge');
+    assert.equal(result.content, 'zero\none\ntwo\nthree\nfour\n');
+  });
+
+  test('reports overlapping changes as conflicts and keeps the old base', () => {
+    const result = plan('one\ntwo\nthree\nFOUR!\n');
+    assert.equal(result.action, 'conflict');
+    assert.match(result.content, /<<<<<<< yours\nFOUR!\n=======\nfour\n>>>>>>> kit/);
+    assert.equal(result.hash, blobHash(base));
+  });
+
+  test('falls back to a conflict when the original is not in git history', () => {
+    const result = plan('changed\n', { baseText: 'something else' });
+    assert.equal(result.action, 'conflict');
+    assert.equal(result.content, next);
+  });
+
+  test('never merges binary files changed on both sides', () => {
+    const [original, mine, kit] = [[0, 1], [0, 2], [0, 3]].map((b) => Buffer.from(b));
+    const result = planUpgrade({
+      manifest: { files: { 'logo.png': blobHash(original) } },
+      files: [{ path: 'logo.png', content: kit }],
+      readFile: () => mine,
+      readBase: () => assert.fail('binary files have no merge base')
+    })[0];
+    assert.equal(result.action, 'conflict');
+    assert.ok(result.content.equals(kit));
+  });
+
+  test('keeps customizations the kit has not changed, and respects deletions', () => {
+    const kept = planUpgrade({
+      manifest: { files: { 'f.txt': blobHash(next) } },
+      files: [{ path: 'f.txt', content: next }],
+      readFile: () => 'mine\n',
+      readBase: () => null
+    })[0];
+    assert.equal(kept.action, 'kept');
+    assert.equal(plan(null).action, 'deleted');
+  });
+
+  test('creates new files and lists files the kit dropped', () => {
+    const results = planUpgrade({
+      manifest: { files: { 'old.txt': 'abc' } },
+      files: [{ path: 'f.txt', content: next }],
+      readFile: () => null,
+      readBase: () => null
+    });
+    assert.deepEqual(results.map((r) => [r.path, r.action]), [['f.txt', 'create'], ['old.txt', 'dropped']]);
+  });
+});
+
+describe('mergeFile', () => {
+  test('returns the merged text', () => {
+    assert.deepEqual(mergeFile('a\nb\n', 'a\n', 'x\na\n'), { content: 'x\na\nb\n', conflicts: false });
+  });
+});
+
+describe('generatedFiles', () => {
+  test('includes services added later and lists them in the helper scripts', () => {
+    const template = resolveTemplate('flutter-functions', {});
+    const manifest = { vars, components: [{ kind: 'service', dir: 'functions/billing', service: 'billing', docker: false }] };
+    const files = generatedFiles(template, manifest);
+    assert.ok(files.some((f) => f.path === 'functions/billing/package.json'));
+    assert.match(files.find((f) => f.path === 'scripts/deploy-api.mjs').content, /"billing":"functions\/billing"/);
+    assert.equal(files.filter((f) => f.path === 'scripts/smoke.mjs').length, 1);
+  });
+});
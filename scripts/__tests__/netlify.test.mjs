@@ -0,0 +1,52 @@
+// scripts/__tests__/netlify.test.mjs
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { netlifyToml } from '../_templates.mjs';
+import { resolveTemplate } from '../_template-packs.mjs';
+
+// The [[headers]] block for one path, e.g. "/index.html"
+const headersFor = (toml, p) => toml.split('[[headers]]').find((block) => block.includes(`for = "${p}"`)) || '';
+
+describe('netlifyToml', () => {
+  test('defaults to a plain build with security and cache-control headers', () => {
+    const toml = netlifyToml({ nodeVersion: '22' });
+
+    assert.match(toml, /base = "apps\/client"\n {2}command = "flutter build web --release"/);
+    assert.match(toml, /NODE_VERSION = "22"/);
+    assert.doesNotMatch(toml, /\[context\./);
+    assert.doesNotMatch(toml, /from = "\/api\/\*"/);
+    assert.match(headersFor(toml, '/*'), /Strict-Transport-Security = "max-age=31536000; includeSubDomains"/);
+    assert.match(headersFor(toml, '/*'), /Content-Security-Policy = "default-src 'self';.*connect-src 'self' https:\/\/www.gstatic.com https:\/\/fonts.gstatic.com;/);
+    for (const p of ['/index.html', '/flutter_service_worker.js']) assert.match(headersFor(toml, p), /Cache-Control = "no-cache"/);
+    assert.doesNotMatch(toml, /immutable/);
+  });
+
+  test('proxies /api/* to the deployed API ahead of the SPA redirect and builds production against it', () => {
+    const toml = netlifyToml({ apiUrl: 'https://api-abc-ue.a.run.app/', contexts: { 'deploy-preview': { API_URL: 'https://api-staging-abc-ue.a.run.app' } } });
+
+    assert.match(toml, /\[context\.production\]\n {2}command = "flutter build web --release --dart-define=API_URL=\/api"/);
+    assert.match(toml, /\[context\.deploy-preview\]\n {2}command = "flutter build web --release --dart-define=API_URL=https:\/\/api-staging-abc-ue.a.run.app"/);
+    assert.match(toml, /from = "\/api\/\*"\n {2}to = "https:\/\/api-abc-ue.a.run.app\/:splat"\n {2}status = 200\n {2}force = true/);
+    assert.ok(toml.indexOf('from = "/api/*"') < toml.indexOf('from = "/*"'));
+    // Previews call the staging API cross-origin, so the CSP must allow it
+    assert.match(headersFor(toml, '/*'), /connect-src [^;]* https:\/\/api-staging-abc-ue.a.run.app;/);
+  });
+
+  test('honours proxy, csp, headers and immutable options and quotes branch contexts', () => {
+    const direct = netlifyToml({ apiUrl: 'https://api.example.com', proxy: false, csp: false, immutable: ['/assets/*'], contexts: { 'feature/login': { GREETING: "it's on" } } });
+
+    assert.doesNotMatch(direct, /from = "\/api\/\*"/);
+    assert.match(direct, /--dart-define=API_URL=https:\/\/api.example.com"/);
+    assert.match(direct, /\[context\."feature\/login"\]\n {2}command = "flutter build web --release --dart-define=GREETING='it'\\\\''s on'"/);
+    assert.doesNotMatch(direct, /Content-Security-Policy/);
+    assert.match(headersFor(direct, '/assets/*'), /Cache-Control = "public, max-age=31536000, immutable"/);
+
+    assert.doesNotMatch(netlifyToml({ headers: false }), /\[\[headers\]\]/);
+  });
+
+  test('built-in templates take the options from the netlify variable', () => {
+    const vars = { repoName: 'shop-web', nodeVersion: '20', netlify: { apiUrl: 'https://api-abc-ue.a.run.app' }, local: false };
+    const toml = resolveTemplate('flutter-functions', {}).files(vars).find((f) => f.path === 'netlify.toml').content;
+    assert.match(toml, /to = "https:\/\/api-abc-ue.a.run.app\/:splat"/);
+  });
+});
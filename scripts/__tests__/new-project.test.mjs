@@ -0,0 +1,299 @@
+// scripts/__tests__/new-project.test.mjs
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync, spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { blobHash } from '../_manifest.mjs';
+
+const script = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../new-project.mjs');
+
+function planJson(args, cwd) {
+  const out = execFileSync(process.execPath, [script, '--plan-json', ...args], { cwd, encoding: 'utf8' });
+  return JSON.parse(out);
+}
+
+describe('new-project --plan-json', () => {
+  test('lists commands and files without touching the filesystem', () => {
+    const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'rapid-plan-'));
+    const plan = planJson(['--project', 'shop', '--description', 'web'], cwd);
+
+    assert.equal(plan.repoName, 'shop-web');
+    assert.equal(plan.targetDir, path.join(cwd, 'shop-web'));
+
+    const commands = plan.steps.filter((s) => s.kind === 'run').map((s) => s.cmd);
+    assert.ok(commands.includes('gh repo create shop-web --public --clone'));
+    assert.ok(commands.includes('git push -u origin main'));
+
+    const files = plan.steps.filter((s) => s.kind === 'write').map((s) => path.relative(plan.targetDir, s.path));
+    for (const f of ['netlify.toml', '.gitignore', 'functions/api/package.json', 'scripts/smoke.mjs']) {
+      assert.ok(files.includes(f), `expected ${f} in plan`);
+    }
+
+    assert.deepEqual(fs.readdirSync(cwd), []);
+  });
+
+  test('honours --skipPush and --netlify-name', () => {
+    const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'rapid-plan-'));
+    const plan = planJson(['--repo', 'shop-web', '--skipPush', '--netlify', '--netlify-name', 'shop'], cwd);
+    const commands = plan.steps.filter((s) => s.kind === 'run').map((s) => s.cmd);
+
+    assert.ok(!commands.includes('git push -u origin main'));
+    assert.ok(commands.includes('netlify sites:create --name shop'));
+  });
+});
+
+describe('new-project --template', () => {
+  test('api-only templates skip Flutter and Netlify', () => {
+    const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'rapid-plan-'));
+    const plan = planJson(['--repo', 'shop-api', '--template', 'api', '--netlify'], cwd);
+    const commands = plan.steps.filter((s) => s.kind === 'run').map((s) => s.cmd);
+    const files = plan.steps.filter((s) => s.kind === 'write').map((s) => path.relative(plan.targetDir, s.path));
+
+    assert.equal(plan.template, 'api');
+    assert.equal(plan.netlify, false);
+    assert.ok(!commands.some((c) => c.startsWith('flutter ') || c.startsWith('netlify ')));
+    assert.ok(files.includes('functions/api/package.json'));
+    assert.ok(!files.includes('netlify.toml'));
+  });
+
+  test('--web-host firebase skips the Netlify site', () => {
+    const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'rapid-plan-'));
+    const plan = planJson(['--repo', 'shop-web', '--web-host', 'firebase', '--netlify'], cwd);
+    const commands = plan.steps.filter((s) => s.kind === 'run').map((s) => s.cmd);
+    const files = plan.steps.filter((s) => s.kind === 'write').map((s) => path.relative(plan.targetDir, s.path));
+
+    assert.equal(plan.netlify, false);
+    assert.ok(!commands.some((c) => c.startsWith('netlify ')));
+    assert.ok(files.includes('firebase.json') && files.includes('scripts/deploy-web.mjs'));
+    assert.ok(!files.includes('netlify.toml'));
+  });
+
+  test('--gcp run deploys the built-in API to Cloud Run', () => {
+    const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'rapid-plan-'));
+    const plan = planJson(['--repo', 'shop-web', '--gcp', 'run'], cwd);
+    const files = plan.steps.filter((s) => s.kind === 'write').map((s) => path.relative(plan.targetDir, s.path));
+
+    assert.equal(plan.template, 'flutter-functions');
+    assert.equal(plan.gcp, 'run');
+    assert.ok(files.includes('functions/api/Dockerfile'));
+  });
+
+  test('--gcp none leaves GCP out even when the config names a project', () => {
+    const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'rapid-plan-'));
+    fs.writeFileSync(path.join(cwd, '.rapid-dev.json'), JSON.stringify({ defaults: { gcp: { project: 'my-project-id' } } }));
+
+    assert.equal(planJson(['--repo', 'shop-web'], cwd).gcp, 'functions');
+    const plan = planJson(['--repo', 'shop-web', '--gcp', 'none'], cwd);
+    assert.equal(plan.gcp, '');
+    assert.ok(!plan.warnings.some((w) => w.includes('gcloud')));
+  });
+
+  test('uses directory packs from the config', () => {
+    const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'rapid-plan-'));
+    const pack = path.join(cwd, 'pack');
+    fs.mkdirSync(path.join(pack, 'files'), { recursive: true });
+    fs.writeFileSync(path.join(pack, 'template.json'), JSON.stringify({ commands: [{ id: 'hello', run: 'echo {{repoName}}' }] }));
+    fs.writeFileSync(path.join(pack, 'files', 'NOTES.md'), '# {{repoName}}\n');
+    fs.writeFileSync(path.join(cwd, '.rapid-dev.json'), JSON.stringify({ templates: { notes: './pack' } }));
+
+    const plan = planJson(['--repo', 'shop-notes', '--template', 'notes'], cwd);
+    const commands = plan.steps.filter((s) => s.kind === 'run').map((s) => s.cmd);
+    const files = plan.steps.filter((s) => s.kind === 'write').map((s) => path.relative(plan.targetDir, s.path));
+
+    assert.deepEqual(files, ['NOTES.md', '.rapid-dev/manifest.json']);
+    assert.ok(commands.includes('echo shop-notes'));
+  });
+
+  test('reports a failing scaffold as a plan warning', { skip: os.platform() === 'win32' }, () => {
+    const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'rapid-plan-'));
+    const pack = path.join(cwd, 'pack');
+    fs.mkdirSync(path.join(pack, 'files'), { recursive: true });
+    fs.writeFileSync(path.join(pack, 'template.json'), '{}');
+    fs.symlinkSync(path.join(pack, 'missing.md'), path.join(pack, 'files', 'NOTES.md'));
+    fs.writeFileSync(path.join(cwd, '.rapid-dev.json'), JSON.stringify({ templates: { notes: './pack' } }));
+
+    const res = spawnSync(process.execPath, [script, '--plan-json', '--repo', 'shop-notes', '--template', 'notes'], { cwd, encoding: 'utf8' });
+    assert.equal(res.status, 1);
+    assert.doesNotMatch(res.stderr, /Unhandled|at async/);
+    const plan = JSON.parse(res.stdout);
+    assert.match(plan.warnings.join('\n'), /Scaffold failed: .*ENOENT/);
+  });
+});
+
+describe('new-project --local', () => {
+  test('initialises git locally and never calls gh, netlify or npm install', () => {
+    const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'rapid-plan-'));
+    const plan = planJson(['--local', '--project', 'shop', '--description', 'web', '--netlify'], cwd);
+    const commands = plan.steps.filter((s) => s.kind === 'run').map((s) => s.cmd);
+
+    assert.equal(plan.local, true);
+    assert.ok(commands.includes('git init -b main'));
+    assert.ok(commands.includes('git commit -m "chore: initial scaffold"'));
+    assert.ok(!commands.some((c) => /^(gh|netlify) /.test(c) || c.includes('npm install') || c.includes('git push')));
+  });
+});
+
+describe('new-project publish', () => {
+  test('creates the GitHub repo from the existing folder', () => {
+    const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'rapid-plan-'));
+    const dir = path.join(cwd, 'shop-web');
+    fs.mkdirSync(dir);
+    execFileSync('git', ['init', '-q'], { cwd: dir });
+
+    const out = execFileSync(process.execPath, [script, 'publish', '--plan-json', '--dir', dir, '--org', 'acme'], {
+      cwd,
+      encoding: 'utf8'
+    });
+    const plan = JSON.parse(out);
+    const commands = plan.steps.filter((s) => s.kind === 'run').map((s) => s.cmd);
+
+    assert.equal(plan.ghName, 'acme/shop-web');
+    assert.deepEqual(commands, ['gh repo create acme/shop-web --public --source . --remote origin --push']);
+  });
+});
+
+describe('new-project journal', () => {
+  // A sandbox with its own HOME (journal location) and a fake `flutter` on PATH
+  function sandbox(flutterScript) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'rapid-journal-'));
+    const bin = path.join(root, 'bin');
+    fs.mkdirSync(bin);
+    fs.mkdirSync(path.join(root, 'home'));
+    fs.mkdirSync(path.join(root, 'work'));
+    fs.writeFileSync(path.join(bin, 'flutter'), `#!/bin/sh\n${flutterScript}\n`, { mode: 0o755 });
+    const env = {
+      ...process.env,
+      HOME: path.join(root, 'home'),
+      PATH: `${bin}${path.delimiter}${process.env.PATH}`,
+      GIT_AUTHOR_NAME: 'test',
+      GIT_AUTHOR_EMAIL: 'test@example.com',
+      GIT_COMMITTER_NAME: 'test',
+      GIT_COMMITTER_EMAIL: 'test@example.com'
+    };
+    const journal = path.join(root, 'home', '.rapid-dev', 'journal', 'shop-web.json');
+    const exec = (...args) => spawnSync(process.execPath, [script, ...args], { cwd: path.join(root, 'work'), env, encoding: 'utf8' });
+    return { root, bin, env, journal, exec, target: path.join(root, 'work', 'shop-web') };
+  }
+
+  test('records completed steps when a step fails, then resumes from it', { skip: os.platform() === 'win32' }, () => {
+    const box = sandbox('exit 1');
+    const failed = box.exec('--local', '--repo', 'shop-web');
+
+    assert.equal(failed.status, 1);
+    assert.match(failed.stderr, /Step "flutter-create" failed/);
+    const journal = JSON.parse(fs.readFileSync(box.journal, 'utf8'));
+    assert.deepEqual(journal.completed.map((s) => s.id), ['git-init']);
+    assert.equal(journal.failed, 'flutter-create');
+    assert.ok(fs.existsSync(path.join(box.target, '.git')));
+
+    fs.writeFileSync(path.join(box.bin, 'flutter'), '#!/bin/sh\nmkdir -p "$2"\n', { mode: 0o755 });
+    const resumed = box.exec('--local', '--repo', 'shop-web', '--resume');
+
+    assert.equal(resumed.status, 0, resumed.stderr);
+    assert.match(resumed.stdout, /Skipping completed step: git-init/);
+    assert.ok(fs.existsSync(path.join(box.target, 'netlify.toml')));
+    assert.ok(!fs.existsSync(box.journal));
+  });
+
+  test('refuses to start over a journal left by an unfinished run', { skip: os.platform() === 'win32' }, () => {
+    const box = sandbox('exit 1');
+    box.exec('--local', '--repo', 'shop-web');
+    const before = fs.readFileSync(box.journal, 'utf8');
+
+    const again = box.exec('--local', '--repo', 'shop-web', '--dir', 'elsewhere');
+
+    assert.equal(again.status, 1);
+    assert.match(again.stderr, /An earlier run for "shop-web" did not finish[\s\S]*--resume[\s\S]*rollback --repo shop-web/);
+    assert.equal(fs.readFileSync(box.journal, 'utf8'), before);
+    assert.ok(!fs.existsSync(path.join(box.root, 'work', 'elsewhere')));
+  });
+
+  test('records the GitHub repo for rollback even when its clone is missing', { skip: os.platform() === 'win32' }, () => {
+    const box = sandbox('exit 1');
+    // gh creates the repo (logged) but does not clone it
+    fs.writeFileSync(path.join(box.bin, 'gh'), `#!/bin/sh\necho "gh $*" >> "${path.join(box.root, 'gh.log')}"\n`, { mode: 0o755 });
+    const failed = box.exec('--repo', 'shop-web', '--org', 'acme', '--no-netlify');
+
+    assert.equal(failed.status, 1);
+    assert.match(failed.stderr, /Step "gh-repo" failed: Expected cloned folder/);
+    const journal = JSON.parse(fs.readFileSync(box.journal, 'utf8'));
+    assert.deepEqual(journal.pending, [{ kind: 'gh-repo', ghName: 'acme/shop-web' }]);
+
+    const rolledBack = box.exec('rollback', '--repo', 'shop-web');
+
+    assert.equal(rolledBack.status, 0, rolledBack.stderr);
+    assert.match(fs.readFileSync(path.join(box.root, 'gh.log'), 'utf8'), /gh repo delete acme\/shop-web --yes/);
+    assert.ok(!fs.existsSync(box.journal));
+  });
+
+  test('rollback undoes completed steps in reverse order', { skip: os.platform() === 'win32' }, () => {
+    const box = sandbox('exit 1');
+    box.exec('--local', '--repo', 'shop-web');
+    assert.ok(fs.existsSync(box.target));
+
+    const rolledBack = box.exec('rollback', '--repo', 'shop-web');
+
+    assert.equal(rolledBack.status, 0, rolledBack.stderr);
+    assert.ok(!fs.existsSync(box.target));
+    assert.ok(!fs.existsSync(box.journal));
+  });
+});
+
+describe('new-project upgrade', () => {
+  test('updates untouched files, keeps customized ones and writes .rej on conflicts', { skip: os.platform() === 'win32' }, () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'rapid-upgrade-'));
+    const bin = path.join(root, 'bin');
+    fs.mkdirSync(bin);
+    fs.writeFileSync(path.join(bin, 'flutter'), '#!/bin/sh\nmkdir -p "$2"\n', { mode: 0o755 });
+    const env = {
+      ...process.env,
+      HOME: root,
+      PATH: `${bin}${path.delimiter}${process.env.PATH}`,
+      GIT_AUTHOR_NAME: 'test',
+      GIT_AUTHOR_EMAIL: 'test@example.com',
+      GIT_COMMITTER_NAME: 'test',
+      GIT_COMMITTER_EMAIL: 'test@example.com'
+    };
+    const exec = (...args) => spawnSync(process.execPath, [script, ...args], { cwd: root, env, encoding: 'utf8' });
+    const repo = path.join(root, 'shop-web');
+    const git = (...args) => execFileSync('git', ['-C', repo, ...args], { env, encoding: 'utf8' });
+    const file = (rel) => path.join(repo, rel);
+
+    assert.equal(exec('--local', '--repo', 'shop-web', '--template', 'flutter').status, 0);
+    const manifestPath = file('.rapid-dev/manifest.json');
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    assert.equal(manifest.template, 'flutter');
+    assert.equal(manifest.files['.gitignore'], blobHash(fs.readFileSync(file('.gitignore'), 'utf8')));
+    assert.equal(exec('upgrade', '--dir', repo, '--check').status, 0);
+
+    // Pretend an older kit generated .gitignore and smoke.mjs, and the team then edited smoke.mjs and the README
+    fs.writeFileSync(file('.gitignore'), 'stale\n');
+    fs.writeFileSync(file('scripts/smoke.mjs'), 'old\n');
+    manifest.files['.gitignore'] = blobHash('stale\n');
+    manifest.files['scripts/smoke.mjs'] = blobHash('old\n');
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest));
+    git('commit', '-qam', 'older kit');
+    fs.writeFileSync(file('scripts/smoke.mjs'), 'ours\n');
+    fs.appendFileSync(file('README.md'), '\nTeam notes.\n');
+    git('commit', '-qam', 'customize');
+
+    assert.equal(exec('upgrade', '--dir', repo, '--check').status, 1);
+    const res = exec('upgrade', '--dir', repo);
+
+    assert.equal(res.status, 0, res.stderr);
+    assert.match(res.stdout, /update\s+\.gitignore/);
+    assert.match(res.stdout, /kept\s+README\.md/);
+    assert.match(res.stdout, /conflict\s+scripts\/smoke\.mjs/);
+    assert.doesNotMatch(fs.readFileSync(file('.gitignore'), 'utf8'), /stale/);
+    assert.equal(fs.readFileSync(file('scripts/smoke.mjs'), 'utf8'), 'ours\n');
+    assert.match(fs.readFileSync(file('scripts/smoke.mjs.rej'), 'utf8'), /<<<<<<< yours\nours\n=======/);
+    assert.match(fs.readFileSync(file('README.md'), 'utf8'), /Team notes/);
+
+    const upgraded = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    assert.equal(upgraded.files['.gitignore'], blobHash(fs.readFileSync(file('.gitignore'), 'utf8')));
+    assert.equal(upgraded.files['scripts/smoke.mjs'], blobHash('old\n'));
+  });
+});
@@ -0,0 +1,72 @@
+// scripts/__tests__/schema.test.mjs
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { jsonLines, positionAt, validate } from '../_schema.mjs';
+import { loadSchema } from '../_config.mjs';
+
+describe('validate', () => {
+  const schema = loadSchema();
+
+  test('accepts the shipped example configuration', () => {
+    const config = {
+      $schema: './rapid-dev.schema.json',
+      defaults: { org: 'my-company', private: true, netlify: true, gcp: { project: 'p', region: 'us-east1' } },
+      toolchain: { flutter: '3.24.x', node: '20' },
+      tools: [{ key: 'terraform', mac: { brew: 'terraform' }, upgrade: false }]
+    };
+    assert.deepEqual(validate(schema, config), []);
+  });
+
+  test('reports unknown keys with a suggestion', () => {
+    const [issue] = validate(schema, { defaults: { netlfy: true } });
+    assert.deepEqual(issue.path, ['defaults', 'netlfy']);
+    assert.match(issue.message, /unknown key "netlfy" \(did you mean "netlify"\?\)/);
+  });
+
+  test('reports wrong types, invalid regions and missing keys', () => {
+    const issues = validate(schema, {
+      defaults: { private: 'yes', gcp: { region: 'Europe' } },
+      tools: [{ cmd: 'x' }]
+    });
+    assert.deepEqual(issues.map((i) => i.path.join('.')), ['defaults.private', 'defaults.gcp.region', 'tools.0']);
+    assert.match(issues[0].message, /expected boolean, got string/);
+    assert.match(issues[1].message, /"Europe" is not valid/);
+    assert.match(issues[2].message, /missing required key "key"/);
+  });
+
+  test('checks integers and their range', () => {
+    assert.deepEqual(validate(schema, { deploy: { rollout: [10, 50, 100] } }), []);
+    const issues = validate(schema, { deploy: { rollout: [0, 12.5, 500] } });
+    assert.deepEqual(issues.map((i) => i.path.join('.')), ['deploy.rollout.0', 'deploy.rollout.1', 'deploy.rollout.2']);
+    assert.match(issues[0].message, /0 is out of range \(at least 1 and at most 100\)/);
+    assert.match(issues[1].message, /expected integer, got number 12\.5/);
+  });
+
+  test('accepts either of several types', () => {
+    assert.deepEqual(validate({ type: ['string', 'boolean'] }, false), []);
+    assert.equal(validate({ type: ['string', 'boolean'] }, 1).length, 1);
+  });
+});
+
+describe('jsonLines', () => {
+  test('maps keys and array items to their lines', () => {
+    const text = '{\n  "defaults": {\n    "org": "x",\n    "gcp": { "region": "y" }\n  },\n  "tools": [\n    { "key": "a" },\n    { "key": "b" }\n  ]\n}\n';
+    const lines = jsonLines(text);
+    assert.equal(lines.get('defaults'), 2);
+    assert.equal(lines.get('defaults.org'), 3);
+    assert.equal(lines.get('defaults.gcp.region'), 4);
+    assert.equal(lines.get('tools.1'), 8);
+    assert.equal(lines.get('tools.1.key'), 8);
+  });
+
+  test('handles escaped quotes in strings', () => {
+    const lines = jsonLines('{"a": "say \\"hi\\"",\n"b": 1}');
+    assert.equal(lines.get('b'), 2);
+  });
+});
+
+describe('positionAt', () => {
+  test('converts an offset into line and column', () => {
+    assert.deepEqual(positionAt('{\n  "a": x\n}', 9), { line: 2, column: 8 });
+  });
+});
@@ -0,0 +1,169 @@
+// scripts/__tests__/template-packs.test.mjs
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { builtinTemplates, listTemplates, loadTemplateDir, resolveTemplate, substitute, templateSource } from '../_template-packs.mjs';
+
+const vars = { repoName: 'shop-web', gcpProject: 'p1', gcpRegion: 'europe-west1', nodeVersion: '20', local: false };
+const paths = (t) => t.files(vars).map((f) => f.path);
+
+describe('built-in templates', () => {
+  test('flutter-functions generates the classic layout', () => {
+    const t = resolveTemplate('flutter-functions', {});
+    assert.deepEqual(t.commands.map((c) => c.id), ['flutter-create', 'npm-install', 'gen-client', 'npm-build', 'flutter-pub-add-http']);
+    for (const f of ['functions/api/package.json', 'functions/api/openapi.json', 'functions/api/src/http.ts', 'functions/api/src/index.test.ts', 'netlify.toml', 'scripts/zip-flutter.mjs', 'scripts/deploy-api.mjs', 'scripts/gen-client.mjs', 'scripts/smoke.mjs']) {
+      assert.ok(paths(t).includes(f), `expected ${f}`);
+    }
+    assert.match(t.files(vars).find((f) => f.path === '.env.example').content, /GCP_REGION=europe-west1/);
+  });
+
+  test('flutter has no API files or npm steps', () => {
+    const t = resolveTemplate('flutter', {});
+    assert.deepEqual(t.commands.map((c) => c.id), ['flutter-create']);
+    assert.ok(!paths(t).some((p) => p.startsWith('functions/') || p === 'scripts/deploy-api.mjs'));
+    assert.deepEqual(t.requires, ['flutter']);
+  });
+
+  test('api has no Flutter app, Netlify config or zip helper', () => {
+    const t = resolveTemplate('api', {});
+    assert.deepEqual(t.commands.map((c) => c.id), ['npm-install', 'gen-client', 'npm-build']);
+    assert.ok(!paths(t).includes('netlify.toml'));
+    assert.ok(!paths(t).includes('scripts/zip-flutter.mjs'));
+    assert.doesNotMatch(t.files(vars).find((f) => f.path === 'scripts/smoke.mjs').content, /pubspec/);
+  });
+
+  test('flutter-run adds a Dockerfile and defaults deploys to Cloud Run', () => {
+    const t = resolveTemplate('flutter-run', {});
+    assert.ok(paths(t).includes('functions/api/Dockerfile'));
+    assert.ok(paths(t).includes('functions/api/.dockerignore'));
+    assert.match(t.files(vars).find((f) => f.path === '.env.example').content, /GCP_TARGET=run/);
+    assert.equal(JSON.parse(t.files(vars).find((f) => f.path === 'functions/api/deploy.config.json').content).defaults.target, 'run');
+  });
+
+  test('flutter-run scaffolds deploy the API to Cloud Run', () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'rapid-run-'));
+    for (const file of resolveTemplate('flutter-run', {}).files(vars)) {
+      fs.mkdirSync(path.join(root, path.dirname(file.path)), { recursive: true });
+      fs.writeFileSync(path.join(root, file.path), file.content);
+    }
+    const dryRun = (...args) => spawnSync(process.execPath, args, { cwd: root, encoding: 'utf8' });
+
+    const api = dryRun('scripts/deploy-api.mjs', '--env', 'staging', '--dry-run');
+    assert.equal(api.status, 0, api.stderr);
+    assert.match(api.stdout, /gcloud run deploy api-staging /);
+    assert.doesNotMatch(api.stdout, /gcloud functions deploy/);
+    const release = dryRun('scripts/deploy.mjs', '--env', 'staging', '--skip-web', '--dry-run');
+    assert.equal(release.status, 0, release.stderr);
+    assert.match(release.stdout, /gcloud run deploy api-staging /);
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('firebase hosting replaces netlify.toml and forwards /api to the API', () => {
+    const t = resolveTemplate('flutter-functions', {});
+    const files = t.files({ ...vars, webHost: 'firebase' });
+    const content = (p) => files.find((f) => f.path === p)?.content;
+
+    assert.equal(content('netlify.toml'), undefined);
+    assert.deepEqual(JSON.parse(content('firebase.json')).hosting.rewrites[0], { source: '/api/**', run: { serviceId: 'api', region: 'europe-west1' } });
+    assert.deepEqual(JSON.parse(content('.firebaserc')), { projects: { default: 'p1' } });
+    assert.equal(JSON.parse(content('functions/api/deploy.config.json')).environments.prod.env.BASE_PATH, '/api');
+    assert.match(content('scripts/deploy-web.mjs'), /const DEFAULT_HOST = "firebase";/);
+    assert.ok(!t.files({ ...vars, webHost: 'gcs' }).some((f) => /netlify|firebase/.test(f.path)));
+  });
+
+  test('flutter create runs offline in --local mode', () => {
+    const create = builtinTemplates[0].commands[0];
+    assert.match(create.run({ local: true }), /--offline$/);
+    assert.doesNotMatch(create.run({ local: false }), /--offline/);
+  });
+});
+
+describe('substitute', () => {
+  test('fills known placeholders and keeps unknown ones', () => {
+    assert.equal(substitute('{{ repoName }}/{{missing}}', { repoName: 'a-b' }), 'a-b/{{missing}}');
+  });
+
+  test('writes objects and arrays as JSON', () => {
+    const vars = { deploy: { minInstances: 1 }, rollout: [10, 100] };
+    assert.equal(substitute('{{deploy}} {{rollout}}', vars), '{"minInstances":1} [10,100]');
+  });
+});
+
+describe('templateSource', () => {
+  test('recognises git URLs with an optional ref', () => {
+    assert.deepEqual(templateSource('https://github.com/acme/pack.git#v1'), { kind: 'git', url: 'https://github.com/acme/pack.git', ref: 'v1' });
+    assert.deepEqual(templateSource('git@github.com:acme/pack.git'), { kind: 'git', url: 'git@github.com:acme/pack.git', ref: null });
+  });
+
+  test('resolves directories against cwd', () => {
+    assert.deepEqual(templateSource('./packs/web', '/kit'), { kind: 'dir', dir: path.resolve('/kit', 'packs/web') });
+  });
+});
+
+describe('directory templates', () => {
+  let dir;
+  // A PNG header, invalid UTF-8 bytes and a placeholder-like run that must survive as they are
+  const logo = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0xff, 0xfe]), Buffer.from('{{repoName}}')]);
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rapid-pack-'));
+    fs.writeFileSync(
+      path.join(dir, 'template.json'),
+      JSON.stringify({
+        description: 'Go service',
+        requires: ['go'],
+        variables: { port: '8080' },
+        components: { api: 'svc' },
+        commands: [{ id: 'go-mod', run: 'cd svc && go mod init {{repoName}}' }]
+      })
+    );
+    fs.mkdirSync(path.join(dir, 'files', 'svc'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'files', 'svc', 'main.go'), '// {{repoName}} listens on {{port}}\n');
+    fs.writeFileSync(path.join(dir, 'files', 'run-{{repoName}}.sh'), '#!/bin/sh\n', { mode: 0o755 });
+    fs.writeFileSync(path.join(dir, 'files', 'svc', 'logo.png'), logo);
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test('loads files, variables and commands from the manifest', () => {
+    const t = loadTemplateDir('go', dir);
+    const files = t.files({ ...t.variables, repoName: 'shop-svc' });
+    const byPath = Object.fromEntries(files.map((f) => [f.path, f]));
+
+    assert.equal(byPath['svc/main.go'].content, '// shop-svc listens on 8080\n');
+    assert.equal(byPath['run-shop-svc.sh'].executable, os.platform() !== 'win32');
+    assert.equal(t.commands[0].stage, 'post');
+    assert.equal(t.commands[0].run({ repoName: 'shop-svc' }), 'cd svc && go mod init shop-svc');
+    assert.deepEqual(t.components, { app: null, api: 'svc', target: 'functions' });
+  });
+
+  test('copies binary files byte for byte', () => {
+    const t = loadTemplateDir('go', dir);
+    const png = t.files({ ...t.variables, repoName: 'shop-svc' }).find((f) => f.path === 'svc/logo.png');
+
+    assert.ok(Buffer.isBuffer(png.content));
+    assert.ok(png.content.equals(logo));
+  });
+
+  test('is listed and resolved by name from the config', () => {
+    const config = { templates: { go: dir } };
+    assert.equal(resolveTemplate('go', config).description, 'Go service');
+    assert.ok(listTemplates(config).some((t) => t.name === 'go' && t.source === dir));
+  });
+
+  test('rejects commands that reuse a reserved step id', () => {
+    const bad = fs.mkdtempSync(path.join(os.tmpdir(), 'rapid-pack-'));
+    fs.writeFileSync(path.join(bad, 'template.json'), JSON.stringify({ commands: [{ id: 'commit', run: 'true' }] }));
+    assert.throws(() => loadTemplateDir('bad', bad), /reserved/);
+    fs.rmSync(bad, { recursive: true, force: true });
+  });
+});
+
+describe('resolveTemplate', () => {
+  test('lists the available templates for an unknown name', () => {
+    assert.throws(() => resolveTemplate('nope', {}), /Unknown template "nope"\. Available: flutter-functions, flutter, api, flutter-run/);
+  });
+});
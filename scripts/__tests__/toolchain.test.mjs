@@ -0,0 +1,57 @@
+// scripts/__tests__/toolchain.test.mjs
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadLock, resolvePins, specFor, writeLock } from '../_toolchain.mjs';
+
+const registry = [
+  { key: 'node', cmd: 'node' },
+  { key: 'netlify', cmd: 'netlify', npmGlobal: 'netlify-cli' },
+  { key: 'flutter', cmd: 'flutter', flutter: true },
+  { key: 'gh', cmd: 'gh' }
+];
+
+describe('specFor', () => {
+  test('finds pins by tool key or npm package name', () => {
+    const toolchain = { node: 20, 'netlify-cli': '17' };
+    assert.equal(specFor(registry[0], toolchain), '20');
+    assert.equal(specFor(registry[1], toolchain), '17');
+    assert.equal(specFor(registry[3], toolchain), null);
+  });
+});
+
+describe('resolvePins', () => {
+  test('prefers lockfile versions that still satisfy the spec', async () => {
+    const lock = { tools: { flutter: '3.24.5', node: '18.20.0' } };
+    const resolve = async (tool, spec) => (tool.key === 'node' ? '20.18.0' : null);
+    const pins = await resolvePins(registry, { flutter: '3.24.x', node: '20' }, lock, resolve);
+
+    assert.deepEqual(pins.get('flutter'), { spec: '3.24.x', version: '3.24.5', fromLock: true });
+    assert.deepEqual(pins.get('node'), { spec: '20', version: '20.18.0', fromLock: false });
+    assert.ok(!pins.has('gh'));
+  });
+
+  test('keeps the spec when resolving fails', async () => {
+    const resolve = async () => {
+      throw new Error('offline');
+    };
+    const pins = await resolvePins(registry, { netlify: '17' }, null, resolve);
+    assert.deepEqual(pins.get('netlify'), { spec: '17', version: null, fromLock: false });
+  });
+});
+
+describe('toolchain.lock', () => {
+  test('round-trips sorted exact versions', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rapid-lock-'));
+    assert.equal(loadLock(dir), null);
+
+    writeLock({ node: '20.18.0', flutter: '3.24.5' }, dir);
+    const lock = loadLock(dir);
+
+    assert.deepEqual(Object.keys(lock.tools), ['flutter', 'node']);
+    assert.equal(lock.tools.node, '20.18.0');
+    assert.ok(lock.generatedAt);
+  });
+});
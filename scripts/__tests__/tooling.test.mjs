@@ -0,0 +1,35 @@
+// scripts/__tests__/tooling.test.mjs
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveTools, tools } from '../_tooling.config.mjs';
+
+describe('resolveTools', () => {
+  test('returns the built-in registry when there are no overrides', () => {
+    assert.deepEqual(resolveTools().map((t) => t.key), tools.map((t) => t.key));
+  });
+
+  test('appends new tools, defaulting cmd to the key', () => {
+    const resolved = resolveTools([{ key: 'terraform', mac: { brew: 'terraform' }, optional: true }]);
+    const terraform = resolved.at(-1);
+    assert.equal(terraform.key, 'terraform');
+    assert.equal(terraform.cmd, 'terraform');
+    assert.equal(terraform.optional, true);
+  });
+
+  test('merges overrides into built-in tools, including per-platform packages', () => {
+    const resolved = resolveTools([{ key: 'gh', optional: true, mac: { brew: 'gh' } }]);
+    const gh = resolved.find((t) => t.key === 'gh');
+    assert.equal(gh.optional, true);
+    assert.equal(gh.mac.brew, 'gh');
+    assert.equal(gh.win.winget, 'GitHub.cli');
+  });
+
+  test('drops disabled tools', () => {
+    const resolved = resolveTools([{ key: 'aider', disabled: true }]);
+    assert.ok(!resolved.some((t) => t.key === 'aider'));
+  });
+
+  test('rejects entries without a key', () => {
+    assert.throws(() => resolveTools([{ cmd: 'terraform' }]), /needs a "key"/);
+  });
+});
@@ -0,0 +1,60 @@
+// scripts/__tests__/versions.test.mjs
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareVersions, matchesSpec, parseVersion } from '../_versions.mjs';
+
+describe('parseVersion', () => {
+  test('extracts versions from typical CLI output', () => {
+    assert.equal(parseVersion('git version 2.45.1'), '2.45.1');
+    assert.equal(parseVersion('v20.11.0'), '20.11.0');
+    assert.equal(parseVersion('Flutter 3.24.3 • channel stable'), '3.24.3');
+    assert.equal(parseVersion('gh version 2.49.0 (2024-05-13)'), '2.49.0');
+  });
+
+  test('pads missing patch versions', () => {
+    assert.equal(parseVersion('Python 3.12'), '3.12.0');
+  });
+
+  test('returns null when there is no version', () => {
+    assert.equal(parseVersion('command not found'), null);
+    assert.equal(parseVersion(undefined), null);
+  });
+});
+
+describe('compareVersions', () => {
+  test('compares numerically, not lexically', () => {
+    assert.ok(compareVersions('3.10.0', '3.9.0') > 0);
+    assert.ok(compareVersions('2.9', '2.10') < 0);
+  });
+
+  test('treats missing parts as zero', () => {
+    assert.equal(compareVersions('20', '20.0.0'), 0);
+    assert.ok(compareVersions('20.11.0', '20') > 0);
+  });
+
+  test('ignores a leading v', () => {
+    assert.equal(compareVersions('v18.0.0', '18.0.0'), 0);
+  });
+});
+
+describe('matchesSpec', () => {
+  test('matches a major-only pin', () => {
+    assert.ok(matchesSpec('20.11.0', '20'));
+    assert.ok(!matchesSpec('22.1.0', '20'));
+  });
+
+  test('matches x wildcards and partial pins', () => {
+    assert.ok(matchesSpec('3.24.5', '3.24.x'));
+    assert.ok(matchesSpec('3.24.5', '3.24'));
+    assert.ok(!matchesSpec('3.27.0', '3.24.x'));
+  });
+
+  test('matches exact pins only exactly', () => {
+    assert.ok(matchesSpec('17.10.1', '17.10.1'));
+    assert.ok(!matchesSpec('17.10.2', '17.10.1'));
+  });
+
+  test('never matches a missing version', () => {
+    assert.ok(!matchesSpec(null, '20'));
+  });
+});
@@ -0,0 +1,115 @@
+// scripts/__tests__/wizard.test.mjs
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPrompter } from '../_prompt.mjs';
+import { runWizard } from '../_wizard.mjs';
+
+const config = {
+  defaults: { org: 'my-company', private: true, netlify: true, gcp: { project: 'my-project-id', region: 'us-east1' } }
+};
+
+/**
+ * Creates a prompter that answers from a script, in order, and records the prompts it saw.
+ */
+function scripted(answers) {
+  const prompts = [];
+  const prompter = createPrompter(async (q) => {
+    prompts.push(q);
+    assert.ok(answers.length, `unexpected prompt: ${q}`);
+    return answers.shift();
+  });
+  return { prompter, prompts };
+}
+
+/**
+ * Runs the wizard with console output silenced.
+ */
+async function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+describe('runWizard', () => {
+  test('builds the repo name and takes every other answer from config defaults', async () => {
+    // pattern, project, description, org, visibility, netlify, gcp target, project id, region, confirm
+    const { prompter } = scripted(['1', 'website', 'frontend', '', '', '', '', '', '', '']);
+    const answers = await quietly(() => runWizard({}, config, prompter));
+    assert.equal(answers.repo, 'website-frontend');
+    assert.equal(answers.org, 'my-company');
+    assert.equal(answers.private, true);
+    assert.equal(answers.netlify, true);
+    assert.equal(answers.gcp, 'functions');
+    assert.equal(answers['gcp-project'], 'my-project-id');
+    assert.equal(answers.region, 'us-east1');
+  });
+
+  test('re-asks the segments until the repo name is valid', async () => {
+    const { prompter, prompts } = scripted([
+      'service', 'ecom', 'order', 'v2', // version tokens are rejected
+      'ecom', 'order', 'api',
+      'acme', 'public', 'n', 'none', 'y'
+    ]);
+    const answers = await quietly(() => runWizard({}, config, prompter));
+    assert.equal(answers.repo, 'ecom-order-api');
+    assert.equal(prompts.filter((p) => p.startsWith('  type')).length, 2);
+    assert.equal(answers.org, 'acme');
+    assert.equal(answers.private, false);
+    assert.equal(answers.netlify, false);
+    assert.equal(answers.gcp, 'none');
+    assert.equal(answers['gcp-project'], undefined);
+    assert.equal(answers.region, undefined);
+  });
+
+  test('rejects regions that do not look like GCP regions', async () => {
+    const { prompter } = scripted(['3', 'data', 'analytics', '', '', '', 'run', 'p1', 'east', 'europe-west1', 'y']);
+    const answers = await quietly(() => runWizard({}, config, prompter));
+    assert.equal(answers.repo, 'data-analytics');
+    assert.equal(answers.gcp, 'run');
+    assert.equal(answers.region, 'europe-west1');
+  });
+
+  test('skips app and API questions the chosen template does not need', async () => {
+    const templates = [
+      { name: 'flutter-functions', description: '', components: { app: 'apps/client', api: 'functions/api' } },
+      { name: 'api', description: '', components: { app: null, api: 'functions/api', target: 'functions' } },
+      { name: 'flutter', description: '', components: { app: 'apps/client', api: null } }
+    ];
+    // template, pattern, project, description, org, visibility, netlify, confirm (no GCP questions)
+    const { prompter } = scripted(['flutter', '1', 'shop', 'web', '', '', '', 'y']);
+    const answers = await quietly(() => runWizard({}, config, prompter, templates));
+    assert.equal(answers.template, 'flutter');
+    assert.equal(answers.netlify, true);
+    assert.equal(answers.gcp, undefined);
+  });
+
+  test('asks about Netlify only when the web app is hosted on Netlify', async () => {
+    const firebase = { defaults: { ...config.defaults, webHost: 'firebase' } };
+    // pattern, project, description, org, visibility, gcp target, project id, region, confirm
+    const { prompter, prompts } = scripted(['1', 'website', 'frontend', '', '', 'run', '', '', 'y']);
+    const answers = await quietly(() => runWizard({}, firebase, prompter));
+    assert.equal(answers.netlify, false);
+    assert.ok(!prompts.some((p) => p.includes('Netlify')));
+    assert.equal(answers.gcp, 'run');
+  });
+
+  test('offers only its own deploy target for a template pack from a directory', async () => {
+    const templates = [
+      { name: 'flutter-functions', source: 'built-in', description: '', components: { app: 'apps/client', api: 'functions/api', target: 'functions' } },
+      { name: 'custom', source: '/packs/custom', description: '', components: { app: null, api: 'functions/api', target: 'run' } }
+    ];
+    // template, pattern, project, description, org, visibility, gcp target (2 = the second of none/run), project id, region, confirm
+    const { prompter } = scripted(['custom', '1', 'shop', 'api', '', '', '2', '', '', 'y']);
+    const answers = await quietly(() => runWizard({}, config, prompter, templates));
+    assert.equal(answers.gcp, 'run');
+  });
+
+  test('returns null when the summary is not confirmed', async () => {
+    const { prompter } = scripted(['1', 'website', 'frontend', '', '', '', 'none', 'n']);
+    assert.equal(await quietly(() => runWizard({}, config, prompter)), null);
+  });
+});
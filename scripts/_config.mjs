@@ -1,12 +1,29 @@
 // scripts/_config.mjs
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
+import { fileURLToPath } from 'url';
+import { jsonLines, positionAt, validate } from './_schema.mjs';
 
 const CONFIG_FILE_NAME = '.rapid-dev.json';
+const ENV_PREFIX = 'RAPID_DEV_';
+const SCHEMA_PATH = fileURLToPath(new URL('../rapid-dev.schema.json', import.meta.url));
+
+// Command-line flags that override a config value, mapped to the config path they set
+const FLAG_PATHS = {
+  org: 'defaults.org',
+  private: 'defaults.private',
+  netlify: 'defaults.netlify',
+  'web-host': 'defaults.webHost',
+  'gcp-project': 'defaults.gcp.project',
+  region: 'defaults.gcp.region',
+  'api-url': 'netlify.apiUrl',
+  'strict-config': 'strict'
+};
 
 /**
  * Returns the default configuration structure for the rapid-dev starter kit.
- * This acts as a fallback if no custom configuration file is found or if it's malformed.
+ * This is the bottom layer that every other configuration source is merged over.
  *
  * @returns {object} The default configuration object.
  * @property {object} defaults - Default settings for new projects.
@@ -32,25 +49,263 @@ function getDefaultConfig() {
 }
 
 /**
- * Loads the configuration from the `.rapid-dev.json` file in the current working directory.
- * If the file does not exist or is malformed, it falls back to a default configuration.
+ * Checks whether a value is a plain object (not an array or null).
+ *
+ * @param {*} value - The value to check.
+ * @returns {boolean} True for plain objects.
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep-merges two configuration objects. Nested objects are merged key by key;
+ * arrays and scalars in `override` replace the value in `base`. Neither input is modified.
+ *
+ * @param {object} base - The lower-priority configuration.
+ * @param {object} override - The higher-priority configuration.
+ * @returns {object} The merged configuration.
+ */
+export function deepMerge(base, override) {
+  const out = { ...base };
+  for (const [key, value] of Object.entries(override ?? {})) {
+    if (value === undefined) continue;
+    out[key] = isPlainObject(value) && isPlainObject(out[key]) ? deepMerge(out[key], value) : value;
+  }
+  return out;
+}
+
+/**
+ * Sets a value at a dotted path (e.g., `defaults.gcp.region`), creating objects along the way.
+ *
+ * @param {object} target - The object to modify.
+ * @param {string} dotted - The dotted path.
+ * @param {*} value - The value to set.
+ */
+function setPath(target, dotted, value) {
+  const keys = dotted.split('.');
+  let node = target;
+  for (const key of keys.slice(0, -1)) {
+    if (!isPlainObject(node[key])) node[key] = {};
+    node = node[key];
+  }
+  node[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Loads the JSON schema for `.rapid-dev.json` (`rapid-dev.schema.json` at the starter kit root).
+ *
+ * @returns {object} The schema.
+ */
+export function loadSchema() {
+  return JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+}
+
+/**
+ * Validates one layer against the schema and removes the values that fail, so the
+ * layers below supply them instead.
+ *
+ * @param {object} values - The layer's configuration.
+ * @param {function((string|number)[]): string} where - Describes the location of a path, for messages.
+ * @returns {{values: object, issues: string[]}} The cleaned configuration and one message per problem.
+ */
+function checkLayer(values, where) {
+  const problems = validate(loadSchema(), values);
+  const clean = structuredClone(values);
+  // Deepest and last paths first, so removing array items does not shift the ones still to remove
+  const paths = problems.map((p) => p.path).sort((a, b) => b.length - a.length || String(b.at(-1)).localeCompare(String(a.at(-1)), undefined, { numeric: true }));
+  for (const at of paths) {
+    if (!at.length) return { values: {}, issues: problems.map((p) => `${where(p.path)}: ${p.message}`) };
+    const parent = at.slice(0, -1).reduce((node, key) => node?.[key], clean);
+    const key = at[at.length - 1];
+    if (Array.isArray(parent)) parent.splice(key, 1);
+    else if (parent) delete parent[key];
+  }
+  return { values: clean, issues: problems.map((p) => `${where(p.path)}: ${p.path.join('.') || '(root)'}: ${p.message}`) };
+}
+
+/**
+ * Reads and validates a `.rapid-dev.json` file. A missing file is an empty layer; a malformed
+ * one, or values that fail the schema, are reported with their line and left out.
+ *
+ * @param {string} file - The absolute path of the file.
+ * @returns {{values: object, issues: string[]}} The valid configuration and any problems found.
+ */
+function readConfigFile(file) {
+  if (!fs.existsSync(file)) return { values: {}, issues: [] };
+  const text = fs.readFileSync(file, 'utf8');
+  let values;
+  try {
+    values = JSON.parse(text);
+  } catch (e) {
+    const offset = e.message.match(/position (\d+)/);
+    const at = offset ? positionAt(text, Number(offset[1])) : null;
+    return { values: {}, issues: [`${file}${at ? `:${at.line}:${at.column}` : ''}: invalid JSON (${e.message}); ignoring the file`] };
+  }
+  const lines = jsonLines(text);
+  return checkLayer(values, (at) => {
+    // Unknown keys and items point at their own line; a missing key points at its parent
+    for (let n = at.length; n >= 0; n--) {
+      const line = lines.get(at.slice(0, n).join('.'));
+      if (line) return `${file}:${line}`;
+    }
+    return file;
+  });
+}
+
+/**
+ * Resolves the path of a `RAPID_DEV_*` variable against the schema: each segment matches a property
+ * name case-insensitively (so `WEBHOST` finds `webHost`), and names under `additionalProperties`
+ * (e.g. environment names) are lowercased.
+ *
+ * @param {object} schema - The schema of `.rapid-dev.json`.
+ * @param {string[]} segments - The variable name after the prefix, split on `__`.
+ * @returns {{keys: string[], schema: object}} The config keys and the schema of the value they lead to.
+ */
+function resolveEnvPath(schema, segments) {
+  const keys = [];
+  let node = schema;
+  for (const segment of segments) {
+    const key = Object.keys(node.properties ?? {}).find((k) => k.toLowerCase() === segment.toLowerCase());
+    keys.push(key ?? segment.toLowerCase());
+    node = key ? node.properties[key] : typeof node.additionalProperties === 'object' ? node.additionalProperties : {};
+  }
+  return { keys, schema: node };
+}
+
+/**
+ * Converts a `RAPID_DEV_*` value to the type the schema expects: numbers, booleans, and JSON for
+ * arrays and objects (`RAPID_DEV_DEPLOY__ROLLOUT='[10,50,100]'`). Without a schema type, `true`
+ * and `false` still become booleans. Values that do not convert stay strings, so validation reports them.
  *
- * @returns {object} The loaded or default configuration object.
+ * @param {string} raw - The variable's value.
+ * @param {object} schema - The schema of the value.
+ * @returns {*} The value.
  */
-export function loadConfig() {
-  const configPath = path.join(process.cwd(), CONFIG_FILE_NAME);
-  
-  if (fs.existsSync(configPath)) {
+function coerceEnvValue(raw, schema) {
+  const types = [].concat(schema.type ?? []);
+  if (types.includes('string')) return raw;
+  if ((types.includes('number') || types.includes('integer')) && raw.trim() !== '' && !Number.isNaN(Number(raw))) return Number(raw);
+  if ((types.includes('array') || types.includes('object')) && /^\s*[[{]/.test(raw)) {
     try {
-      const configContent = fs.readFileSync(configPath, 'utf8');
-      const userConfig = JSON.parse(configContent);
-      // Merge with defaults to ensure all keys exist
-      return { ...getDefaultConfig(), ...userConfig };
-    } catch (e) {
-      console.error(`Warning: Could not parse ${CONFIG_FILE_NAME}. Using default configuration.`, e.message);
-      return getDefaultConfig();
+      return JSON.parse(raw);
+    } catch {
+      return raw;
     }
   }
-  
-  return getDefaultConfig();
-}
\ No newline at end of file
+  return raw === 'true' ? true : raw === 'false' ? false : raw;
+}
+
+/**
+ * Builds a configuration layer from `RAPID_DEV_*` environment variables. After the prefix,
+ * `__` separates nested keys, matched to the schema's property names regardless of case, so
+ * `RAPID_DEV_DEFAULTS__GCP__REGION` sets `defaults.gcp.region` and `RAPID_DEV_NETLIFY__APIURL`
+ * sets `netlify.apiUrl`. Values are converted to the type the schema gives the key.
+ *
+ * @param {object} [env=process.env] - The environment to read.
+ * @returns {object} The configuration set by the environment.
+ */
+export function envConfig(env = process.env) {
+  const config = {};
+  const schema = loadSchema();
+  for (const [name, raw] of Object.entries(env)) {
+    if (!name.startsWith(ENV_PREFIX) || raw === undefined) continue;
+    const segments = name.slice(ENV_PREFIX.length).split('__').filter(Boolean);
+    if (!segments.length) continue;
+    const { keys, schema: valueSchema } = resolveEnvPath(schema, segments);
+    setPath(config, keys.join('.'), coerceEnvValue(raw, valueSchema));
+  }
+  return config;
+}
+
+/**
+ * Builds a configuration layer from parsed command-line flags. Only the flags listed in
+ * `FLAG_PATHS` (`--org`, `--private`, `--netlify`, `--web-host`, `--gcp-project`, `--region`, `--api-url`,
+ * `--strict-config`) map to config.
+ *
+ * @param {object} [args={}] - Parsed command-line arguments.
+ * @returns {object} The configuration set by the flags.
+ */
+export function flagsConfig(args = {}) {
+  const config = {};
+  for (const [flag, dotted] of Object.entries(FLAG_PATHS)) {
+    if (args[flag] !== undefined) setPath(config, dotted, args[flag]);
+  }
+  return config;
+}
+
+/**
+ * Collects every configuration layer, lowest priority first: built-in defaults, the user-global
+ * `~/.rapid-dev.json`, the project `.rapid-dev.json`, `RAPID_DEV_*` environment variables and
+ * command-line flags.
+ *
+ * @param {object} [options] - Where to look for each layer.
+ * @param {string} [options.cwd=process.cwd()] - Directory holding the project `.rapid-dev.json`.
+ * @param {string} [options.home=os.homedir()] - Directory holding the user-global `.rapid-dev.json`.
+ * @param {object} [options.env=process.env] - Environment to read `RAPID_DEV_*` variables from.
+ * @param {object} [options.args={}] - Parsed command-line arguments.
+ * @returns {{name: string, source: string, values: object, issues: string[]}[]} The layers, in merge
+ *   order. Values that fail `rapid-dev.schema.json` are left out of `values` and described in `issues`.
+ */
+export function configLayers({ cwd = process.cwd(), home = os.homedir(), env = process.env, args = {} } = {}) {
+  const userFile = path.join(home, CONFIG_FILE_NAME);
+  const projectFile = path.join(cwd, CONFIG_FILE_NAME);
+  const layers = [{ name: 'defaults', source: 'built-in defaults', values: getDefaultConfig(), issues: [] }];
+  layers.push({ name: 'user', source: userFile, ...readConfigFile(userFile) });
+  // Running from the home directory would otherwise read the same file twice
+  if (path.resolve(projectFile) !== path.resolve(userFile)) {
+    layers.push({ name: 'project', source: projectFile, ...readConfigFile(projectFile) });
+  }
+  const envVar = (at) => ENV_PREFIX + at.join('__').toUpperCase();
+  layers.push({ name: 'env', source: `${ENV_PREFIX}* environment variables`, ...checkLayer(envConfig(env), envVar) });
+  layers.push({ name: 'cli', source: 'command-line flags', ...checkLayer(flagsConfig(args), () => 'command-line flags') });
+  return layers;
+}
+
+/**
+ * Loads the effective configuration by deep-merging every layer from `configLayers`,
+ * so a file that sets only `defaults.org` keeps every other default.
+ * Configuration problems are printed as warnings and the invalid values ignored; in strict mode
+ * (`"strict": true`, `RAPID_DEV_STRICT=true` or `--strict-config`) they throw instead.
+ *
+ * @param {object} [options] - Passed to `configLayers`.
+ * @returns {object} The merged configuration object.
+ * @throws {Error} In strict mode, if any layer has problems.
+ */
+export function loadConfig(options) {
+  const layers = configLayers(options);
+  const config = layers.reduce((merged, layer) => deepMerge(merged, layer.values), {});
+  const issues = layers.flatMap((layer) => layer.issues);
+  if (issues.length && config.strict) {
+    throw new Error(`Invalid configuration (strict mode):\n  ${issues.join('\n  ')}`);
+  }
+  for (const issue of issues) console.error(`Warning: ${issue}`);
+  return config;
+}
+
+/**
+ * Works out which layer each effective value comes from.
+ *
+ * @param {{name: string, source: string, values: object}[]} layers - Layers from `configLayers`.
+ * @returns {{path: string, value: *, layer: string, source: string}[]} One entry per leaf value
+ *   (arrays count as leaves), in the order the keys appear in the merged configuration.
+ */
+export function configOrigins(layers) {
+  const merged = layers.reduce((config, layer) => deepMerge(config, layer.values), {});
+  const lookup = (obj, keys) => keys.reduce((node, key) => (isPlainObject(node) && key in node ? node[key] : undefined), obj);
+
+  const origins = [];
+  const walk = (node, keys) => {
+    for (const [key, value] of Object.entries(node)) {
+      const here = [...keys, key];
+      if (isPlainObject(value) && Object.keys(value).length) {
+        walk(value, here);
+        continue;
+      }
+      const from = layers.findLast((layer) => lookup(layer.values, here) !== undefined);
+      origins.push({ path: here.join('.'), value, layer: from.name, source: from.source });
+    }
+  };
+  walk(merged, []);
+  return origins;
+}
@@ -0,0 +1,105 @@
+// scripts/_journal.mjs
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+/**
+ * Returns the directory where new-project journals are kept.
+ * Journals live outside the generated repo so they survive deleting it during a rollback.
+ *
+ * @returns {string} The absolute journal directory (`~/.rapid-dev/journal`).
+ */
+export function journalDir() {
+  return path.join(os.homedir(), ".rapid-dev", "journal");
+}
+
+/**
+ * Returns the journal file path for a repository.
+ *
+ * @param {string} repoName - The validated repository name.
+ * @returns {string} The absolute path of the journal file.
+ */
+export function journalPath(repoName) {
+  return path.join(journalDir(), `${repoName}.json`);
+}
+
+/**
+ * Creates a fresh, unsaved journal for a new-project run.
+ *
+ * @param {object} options - The run being journaled.
+ * @param {string} options.repoName - The repository name (also the journal key).
+ * @param {string} options.ghName - The GitHub `owner/name`, or just the name for a local repo.
+ * @param {string} options.targetDir - The absolute directory the project is generated into.
+ * @param {boolean} options.local - Whether the run uses `--local` (no GitHub repo to undo).
+ * @param {string[]} options.argv - The original command-line arguments, used to print a resume hint.
+ * @returns {object} The journal object.
+ */
+export function createJournal({ repoName, ghName, targetDir, local, argv }) {
+  return {
+    repoName,
+    ghName,
+    targetDir,
+    local,
+    argv,
+    startedAt: new Date().toISOString(),
+    completed: [],
+    failed: null,
+    pending: []
+  };
+}
+
+/**
+ * Loads the journal for a repository, if one exists.
+ *
+ * @param {string} repoName - The repository name.
+ * @returns {object|null} The journal object, or null if there is none.
+ */
+export function loadJournal(repoName) {
+  const p = journalPath(repoName);
+  if (!fs.existsSync(p)) return null;
+  return JSON.parse(fs.readFileSync(p, "utf8"));
+}
+
+/**
+ * Persists a journal to disk.
+ *
+ * @param {object} journal - The journal object.
+ */
+export function saveJournal(journal) {
+  const p = journalPath(journal.repoName);
+  fs.mkdirSync(path.dirname(p), { recursive: true });
+  fs.writeFileSync(p, JSON.stringify(journal, null, 2) + "\n", "utf8");
+}
+
+/**
+ * Deletes a journal once its run has succeeded or been rolled back.
+ *
+ * @param {object} journal - The journal object.
+ */
+export function removeJournal(journal) {
+  fs.rmSync(journalPath(journal.repoName), { force: true });
+}
+
+/**
+ * Checks whether a step has already completed in a journal.
+ *
+ * @param {object} journal - The journal object.
+ * @param {string} id - The step id.
+ * @returns {boolean} True if the step is recorded as completed.
+ */
+export function isCompleted(journal, id) {
+  return journal.completed.some((s) => s.id === id);
+}
+
+/**
+ * Returns every undo action recorded in the journal, most recent first. Actions recorded by the
+ * failed step before it failed (`pending`, e.g. a GitHub repo created before its clone went wrong)
+ * come first.
+ *
+ * @param {object} journal - The journal object.
+ * @returns {object[]} Undo actions (`{ kind: "dir" | "gh-repo" | "netlify-site", ... }`) in rollback order.
+ */
+export function undoActions(journal) {
+  const steps = journal.completed.map((s) => s.undo || []);
+  return [...steps, journal.pending || []].reverse().flat();
+}
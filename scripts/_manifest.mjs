@@ -0,0 +1,247 @@
+// scripts/_manifest.mjs
+//
+// The manifest new-project.mjs stamps into every generated repo (`.rapid-dev/manifest.json`):
+// the starter kit version, the template and variables it was generated with, components added
+// later by add.mjs, and the git blob hash of each generated file as it was written. Blob hashes
+// let `new-project.mjs upgrade` fetch the original content from the repo's own history, which is
+// the base of the three-way merge for files the team has changed.
+import { execFileSync, spawnSync } from "child_process";
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { apiFiles, dockerFiles, webHostFiles } from "./_template-packs.mjs";
+import { deployApiScript, deployScript, deployWebScript, devScript, genClientScript, netlifyToml, smokeScript, webDeployConfig } from "./_templates.mjs";
+
+export const MANIFEST_FILE = ".rapid-dev/manifest.json";
+
+const KIT_ROOT = fileURLToPath(new URL("..", import.meta.url));
+
+/**
+ * Identifies the starter kit generating or upgrading a project.
+ *
+ * @returns {{version: string, commit: string|null}} The kit's package.json version and, when the
+ *   kit is a git checkout, its short commit.
+ */
+export function kitVersion() {
+  const { version } = JSON.parse(fs.readFileSync(path.join(KIT_ROOT, "package.json"), "utf8"));
+  let commit = null;
+  try {
+    commit = execFileSync("git", ["-C", KIT_ROOT, "rev-parse", "--short", "HEAD"], { encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] }).trim();
+  } catch {
+    // Not a git checkout (e.g. a downloaded archive)
+  }
+  return { version, commit };
+}
+
+/**
+ * Hashes content the way `git hash-object` does, so the original of a generated file can be
+ * read back with `git cat-file blob <hash>` once it has been committed.
+ *
+ * @param {string|Buffer} content - The file content (text as UTF-8).
+ * @returns {string} The hex SHA-1 blob id.
+ */
+export function blobHash(content) {
+  const body = Buffer.from(content, "utf8");
+  return crypto.createHash("sha1").update(`blob ${body.length}\0`).update(body).digest("hex");
+}
+
+/**
+ * Creates the manifest for a freshly generated repo.
+ *
+ * @param {object} options - What was generated.
+ * @param {string} options.template - The template pack name.
+ * @param {object} options.vars - Template variables (`local` is not recorded).
+ * @param {{path: string, content: string}[]} options.files - The generated files.
+ * @returns {object} The manifest.
+ */
+export function createManifest({ template, vars, files }) {
+  const { local, ...recorded } = vars;
+  return {
+    kit: kitVersion(),
+    template,
+    vars: recorded,
+    components: [],
+    files: Object.fromEntries(files.map((f) => [f.path, blobHash(f.content)]))
+  };
+}
+
+/**
+ * Reads a repo's manifest.
+ *
+ * @param {string} root - The repo root.
+ * @returns {object|null} The manifest, or null for repos generated before manifests existed.
+ */
+export function readManifest(root) {
+  const file = path.join(root, MANIFEST_FILE);
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Serializes a manifest with stable key order for the files map, so diffs stay readable.
+ *
+ * @param {object} manifest - The manifest.
+ * @returns {string} The JSON text.
+ */
+export function manifestJson(manifest) {
+  const files = Object.fromEntries(Object.entries(manifest.files).sort(([a], [b]) => a.localeCompare(b)));
+  return JSON.stringify({ ...manifest, files }, null, 2) + "\n";
+}
+
+/**
+ * Lists the files the kit generates for a repo today: the template's files plus those of
+ * components added with add.mjs. For built-in templates the smoke, dev, gen-client and deploy
+ * wrapper scripts cover every component, as add.mjs writes them.
+ *
+ * @param {object} template - The template pack the repo was generated from.
+ * @param {object} manifest - The repo's manifest.
+ * @returns {{path: string, content: string, executable?: boolean}[]} The files.
+ */
+export function generatedFiles(template, manifest) {
+  const vars = { ...manifest.vars, local: false };
+  const files = template.files(vars);
+  const added = manifest.components || [];
+  if (!added.length) return files;
+
+  for (const c of added) {
+    if (c.kind === "service") files.push(...apiFiles(vars, { dir: c.dir, service: c.service, target: c.docker ? "run" : "functions" }));
+    if (c.kind === "docker") files.push(...dockerFiles(vars, c.dir));
+    if (c.kind === "app") files.push({ path: `${c.dir}/deploy.config.json`, content: webDeployConfig({ environments: vars.environments }) });
+    if (c.kind === "app" && c.netlify) {
+      const base = c.netlify === "root" ? c.dir : null;
+      const file = { path: base ? "netlify.toml" : `${c.dir}/netlify.toml`, content: netlifyToml({ nodeVersion: vars.nodeVersion, base, ...vars.netlify }) };
+      files.push(file);
+    }
+    if (c.kind === "app" && c.firebase) {
+      const api = [template.components.api, ...added.map((a) => a.dir)].includes("functions/api") ? "functions/api" : null;
+      files.push(...webHostFiles({ ...vars, webHost: "firebase" }, { app: c.dir, api }));
+    }
+  }
+
+  if (template.source === "built-in") {
+    const { app, api } = template.components;
+    const dirs = (kind, primary) => [...(primary ? [primary] : []), ...added.filter((c) => c.kind === kind).map((c) => c.dir)];
+    const components = { apps: dirs("app", app), apis: dirs("service", api) };
+    const replace = (file) => {
+      const at = files.findIndex((f) => f.path === file.path);
+      files.splice(at === -1 ? files.length : at, at === -1 ? 0 : 1, file);
+    };
+    replace({ path: "scripts/smoke.mjs", content: smokeScript({ ...components, host: vars.webHost }), executable: true });
+    replace({ path: "scripts/dev.mjs", content: devScript(components), executable: true });
+    const web = { host: vars.webHost, gcpProject: vars.gcpProject, netlify: vars.netlify };
+    if (components.apps.length) {
+      replace({ path: "scripts/deploy-web.mjs", content: deployWebScript({ ...components, ...web }), executable: true });
+    }
+    if (components.apis.length) {
+      replace({ path: "scripts/deploy-api.mjs", content: deployApiScript({ apiDirs: components.apis }), executable: true });
+      replace({ path: "scripts/gen-client.mjs", content: genClientScript(components), executable: true });
+    }
+    if (components.apps.length && components.apis.length) {
+      replace({ path: "scripts/deploy.mjs", content: deployScript({ ...components, host: web.host, netlify: web.netlify }), executable: true });
+    }
+  }
+  return files;
+}
+
+/**
+ * Reads a blob from a repo's git object store.
+ *
+ * @param {string} root - The repo root.
+ * @param {string} hash - The blob id.
+ * @returns {string|null} The content, or null if the blob is not in the repo (e.g. never committed).
+ */
+export function readBlob(root, hash) {
+  const res = spawnSync("git", ["-C", root, "cat-file", "blob", hash], { encoding: "utf8" });
+  return res.status === 0 ? res.stdout : null;
+}
+
+/**
+ * Stores content in a repo's git object store, so it can serve as a merge base later even though
+ * that exact text is never committed (the repo commits the merged version instead). Like any
+ * unreferenced object it is local to the clone and eventually pruned by `git gc`; `upgrade` then
+ * falls back to a `.rej` file.
+ *
+ * @param {string} root - The repo root.
+ * @param {string} content - The content to store.
+ */
+export function writeBlob(root, content) {
+  execFileSync("git", ["-C", root, "hash-object", "-w", "--stdin"], { input: content, stdio: ["pipe", "ignore", "ignore"] });
+}
+
+/**
+ * Three-way merges a file with `git merge-file`.
+ *
+ * @param {string} current - The repo's version.
+ * @param {string} base - The version the kit originally generated.
+ * @param {string} next - The version the kit generates now.
+ * @returns {{content: string, conflicts: boolean}} The merged text, with conflict markers if needed.
+ */
+export function mergeFile(current, base, next) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rapid-merge-"));
+  try {
+    const files = { current, base, next };
+    for (const [name, text] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), text, "utf8");
+    const res = spawnSync("git", ["merge-file", "-p", "-L", "yours", "-L", "generated", "-L", "kit", "current", "base", "next"], { cwd: dir, encoding: "utf8" });
+    // Exit status is the number of conflicts (capped at 127); errors exit with 255
+    if (res.error || res.status === null || res.status > 127) throw new Error(`git merge-file failed: ${res.error?.message || res.stderr}`);
+    return { content: res.stdout, conflicts: res.status > 0 };
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Decides what `upgrade` does with each generated file.
+ *
+ * - `create`: new in the kit and missing from the repo.
+ * - `update`: untouched since it was generated; replaced with the kit's version.
+ * - `merge`: changed by the team and by the kit; merged cleanly.
+ * - `conflict`: the merge conflicted, or the original is not in git history (or the file exists but
+ *   was never generated, or is a binary file changed on both sides); the file is left alone and
+ *   `content` goes to `<path>.rej`.
+ * - `current`: already what the kit generates. `kept`: customized, and the kit has not changed it.
+ * - `deleted`: removed from the repo; not recreated. `dropped`: the kit no longer generates it.
+ *
+ * @param {object} options - Inputs.
+ * @param {object} options.manifest - The repo's manifest.
+ * @param {{path: string, content: (string|Buffer), executable?: boolean}[]} options.files - From `generatedFiles`.
+ * @param {function(string): (string|Buffer|null)} options.readFile - Reads a repo file by relative path, binary
+ *   files as Buffers (null if missing).
+ * @param {function(string): (string|null)} options.readBase - Reads a blob by hash (null if unavailable).
+ * @param {function(string, string, string): {content: string, conflicts: boolean}} [options.merge=mergeFile] - Three-way merge.
+ * @returns {{path: string, action: string, content?: string, hash?: string, executable?: boolean}[]} One entry
+ *   per file; `hash` is what the manifest records afterwards.
+ */
+export function planUpgrade({ manifest, files, readFile, readBase, merge = mergeFile }) {
+  const results = files.map((file) => {
+    const entry = { path: file.path, executable: file.executable };
+    const current = readFile(file.path);
+    const nextHash = blobHash(file.content);
+    const baseHash = manifest.files[file.path];
+
+    if (current === null) {
+      return baseHash ? { ...entry, action: "deleted", hash: baseHash } : { ...entry, action: "create", content: file.content, hash: nextHash };
+    }
+    const currentHash = blobHash(current);
+    if (currentHash === nextHash) return { ...entry, action: "current", hash: nextHash };
+    if (!baseHash) return { ...entry, action: "conflict", content: file.content };
+    if (currentHash === baseHash) return { ...entry, action: "update", content: file.content, hash: nextHash };
+    if (nextHash === baseHash) return { ...entry, action: "kept", hash: baseHash };
+
+    // Binary files (Buffers) cannot be merged
+    const base = Buffer.isBuffer(file.content) ? null : readBase(baseHash);
+    if (base === null) return { ...entry, action: "conflict", content: file.content, hash: baseHash };
+    const merged = merge(current, base, file.content);
+    if (merged.conflicts) return { ...entry, action: "conflict", content: merged.content, hash: baseHash };
+    // Record the kit's version as the new base: the team's changes are what differs from it
+    return { ...entry, action: "merge", content: merged.content, hash: nextHash };
+  });
+
+  const generated = new Set(files.map((f) => f.path));
+  for (const p of Object.keys(manifest.files)) {
+    if (!generated.has(p)) results.push({ path: p, action: "dropped" });
+  }
+  return results;
+}
@@ -0,0 +1,83 @@
+// scripts/_prompt.mjs
+import readline from "readline/promises";
+
+/**
+ * Checks whether prompts can be shown: both stdin and stdout are terminals and we are not in CI.
+ *
+ * @returns {boolean} True if the session is interactive.
+ */
+export function isInteractive() {
+  return Boolean(process.stdin.isTTY && process.stdout.isTTY) && !process.env.CI;
+}
+
+/**
+ * Builds prompt helpers on top of a function that asks one question and returns the raw answer.
+ * Keeping the I/O behind `question` lets tests script the answers.
+ *
+ * @param {function(string): Promise<string>} question - Displays a prompt and resolves with the typed line.
+ * @returns {{ask: Function, choose: Function, confirm: Function}} The prompt helpers.
+ */
+export function createPrompter(question) {
+  /**
+   * Asks for free text, re-asking until `validate` accepts the answer.
+   *
+   * @param {string} label - The prompt text.
+   * @param {object} [options] - Prompt options.
+   * @param {string} [options.defaultValue] - Used when the answer is empty; shown in brackets.
+   * @param {function(string): (string|null)} [options.validate] - Returns an error message, or null if valid.
+   * @returns {Promise<string>} The trimmed answer.
+   */
+  async function ask(label, { defaultValue = "", validate } = {}) {
+    for (;;) {
+      const hint = defaultValue ? ` [${defaultValue}]` : "";
+      const answer = (await question(`${label}${hint}: `)).trim() || defaultValue;
+      const error = validate ? validate(answer) : null;
+      if (!error) return answer;
+      console.log(`  ✗ ${error}`);
+    }
+  }
+
+  /**
+   * Asks the user to pick one of several options, by number or by value.
+   *
+   * @param {string} label - The prompt text.
+   * @param {{value: string, label: string}[]} options - The choices.
+   * @param {string} [defaultValue] - The value used when the answer is empty.
+   * @returns {Promise<string>} The chosen option's value.
+   */
+  async function choose(label, options, defaultValue = options[0].value) {
+    const pick = (a) => options[Number(a) - 1] || options.find((o) => o.value === a);
+    console.log(`\n${label}`);
+    options.forEach((o, i) => console.log(`  ${i + 1}) ${o.label}`));
+    const answer = await ask("Choose", {
+      defaultValue,
+      validate: (a) => (pick(a) ? null : `Enter 1-${options.length} or one of: ${options.map((o) => o.value).join(", ")}`)
+    });
+    return pick(answer).value;
+  }
+
+  /**
+   * Asks a yes/no question.
+   *
+   * @param {string} label - The prompt text.
+   * @param {boolean} [defaultYes=false] - The answer used when the user just presses Enter.
+   * @returns {Promise<boolean>} True if the user answered yes.
+   */
+  async function confirm(label, defaultYes = false) {
+    const answer = (await question(`${label} ${defaultYes ? "[Y/n]" : "[y/N]"} `)).trim();
+    if (!answer) return defaultYes;
+    return /^y(es)?$/i.test(answer);
+  }
+
+  return { ask, choose, confirm };
+}
+
+/**
+ * Creates a prompter bound to the terminal. Call `close()` when done so the process can exit.
+ *
+ * @returns {{ask: Function, choose: Function, confirm: Function, close: Function}} The prompt helpers.
+ */
+export function terminalPrompter() {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return { ...createPrompter((q) => rl.question(q)), close: () => rl.close() };
+}
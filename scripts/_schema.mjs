@@ -0,0 +1,154 @@
+// scripts/_schema.mjs
+//
+// A small JSON Schema validator covering the keywords rapid-dev.schema.json uses:
+// type, properties, additionalProperties, required, items, enum, pattern, minimum and maximum.
+
+/**
+ * Returns the JSON Schema type name of a value.
+ *
+ * @param {*} value - The value to inspect.
+ * @returns {string} One of "object", "array", "string", "number", "boolean" or "null".
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Computes the edit distance between two strings.
+ *
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ * @returns {number} The Levenshtein distance.
+ */
+function distance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Validates a value against a schema.
+ *
+ * @param {object} schema - The JSON schema (or sub-schema).
+ * @param {*} value - The value to validate.
+ * @param {(string|number)[]} [at=[]] - The path of `value` inside the validated document.
+ * @returns {{path: (string|number)[], message: string}[]} One entry per problem; empty when valid.
+ */
+export function validate(schema, value, at = []) {
+  const types = [].concat(schema.type ?? []);
+  const integer = types.includes('integer') && Number.isInteger(value);
+  if (types.length && !integer && !types.includes(typeOf(value))) {
+    return [{ path: at, message: `expected ${types.join(' or ')}, got ${typeOf(value)} ${JSON.stringify(value)}` }];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [{ path: at, message: `${JSON.stringify(value)} is not one of ${schema.enum.map((e) => JSON.stringify(e)).join(', ')}` }];
+  }
+  if (typeof value === 'number' && (value < (schema.minimum ?? -Infinity) || value > (schema.maximum ?? Infinity))) {
+    const range = [schema.minimum !== undefined && `at least ${schema.minimum}`, schema.maximum !== undefined && `at most ${schema.maximum}`];
+    return [{ path: at, message: `${value} is out of range (${range.filter(Boolean).join(' and ')})` }];
+  }
+  if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) {
+    const hint = schema.examples ? ` (e.g. ${schema.examples.join(', ')})` : '';
+    return [{ path: at, message: `${JSON.stringify(value)} is not valid${hint}` }];
+  }
+
+  const issues = [];
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required ?? []) {
+      if (!(key in value)) issues.push({ path: at, message: `missing required key "${key}"` });
+    }
+    const known = Object.keys(schema.properties ?? {});
+    for (const [key, child] of Object.entries(value)) {
+      const sub = schema.properties?.[key];
+      if (sub) {
+        issues.push(...validate(sub, child, [...at, key]));
+      } else if (schema.additionalProperties === false) {
+        const guess = known.find((k) => distance(k, key) <= 2);
+        issues.push({ path: [...at, key], message: `unknown key "${key}"${guess ? ` (did you mean "${guess}"?)` : ''}` });
+      } else if (typeof schema.additionalProperties === 'object') {
+        issues.push(...validate(schema.additionalProperties, child, [...at, key]));
+      }
+    }
+  }
+  if (typeOf(value) === 'array' && schema.items) {
+    value.forEach((item, i) => issues.push(...validate(schema.items, item, [...at, i])));
+  }
+  return issues;
+}
+
+/**
+ * Maps every key and array element in a JSON document to the line it starts on,
+ * so validation problems can point at the file. The text must be valid JSON.
+ *
+ * @param {string} text - The JSON source.
+ * @returns {Map<string, number>} Line numbers (1-based) keyed by dotted path (`defaults.gcp.region`, `tools.0.key`).
+ */
+export function jsonLines(text) {
+  const lines = new Map([['', 1]]);
+  let i = 0;
+  let line = 1;
+
+  const skipSpace = () => {
+    while (i < text.length && /\s/.test(text[i])) {
+      if (text[i] === '\n') line++;
+      i++;
+    }
+  };
+  const readString = () => {
+    const start = i++;
+    while (text[i] !== '"') i += text[i] === '\\' ? 2 : 1;
+    i++;
+    return JSON.parse(text.slice(start, i));
+  };
+  const readValue = (at) => {
+    skipSpace();
+    const open = text[i];
+    if (open === '"') return void readString();
+    if (open !== '{' && open !== '[') {
+      while (i < text.length && !/[\s,\]}]/.test(text[i])) i++;
+      return;
+    }
+    i++;
+    skipSpace();
+    for (let n = 0; text[i] !== (open === '{' ? '}' : ']'); n++) {
+      skipSpace();
+      let key = n;
+      if (open === '{') {
+        key = readString();
+        skipSpace();
+        i++; // the colon
+        skipSpace();
+      }
+      const here = at ? `${at}.${key}` : String(key);
+      lines.set(here, line);
+      readValue(here);
+      skipSpace();
+      if (text[i] === ',') i++;
+      skipSpace();
+    }
+    i++;
+  };
+
+  readValue('');
+  return lines;
+}
+
+/**
+ * Converts a character offset into a 1-based line and column, for `JSON.parse` errors.
+ *
+ * @param {string} text - The source text.
+ * @param {number} offset - The character offset.
+ * @returns {{line: number, column: number}} The position.
+ */
+export function positionAt(text, offset) {
+  const before = text.slice(0, offset).split('\n');
+  return { line: before.length, column: before[before.length - 1].length + 1 };
+}
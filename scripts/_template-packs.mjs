@@ -0,0 +1,368 @@
+// scripts/_template-packs.mjs
+//
+// Template registry used by new-project.mjs. Each template pack:
+//   name         id selected with `--template`
+//   description  one line shown by `new-project.mjs templates` and the wizard
+//   source       "built-in", or the directory the pack was loaded from
+//   requires     CLIs that must be on PATH
+//   components   { app, api, target }: paths of the Flutter app and the API (or null) and
+//                where the API deploys ("functions" or "run"); drives the summary and wizard
+//   variables    extra `{{name}}` substitutions and their defaults; a flag with the same name overrides them
+//   dirs         directories created before the commands run
+//   files(vars)  [{ path, content, executable }] written in the "scaffold-files" step; `content` is
+//                a string, or a Buffer for binary files
+//   commands     [{ id, run(vars), stage, network, unless }] where `id` names the journal step,
+//                `stage` is "create" (before the files) or "post" (after them), `network` commands are
+//                skipped with --local, and `unless` skips the command when that path already exists
+//
+// Packs outside this file are directories (or git repos) with a `template.json` manifest and a
+// `files/` tree, listed by name in the `templates` section of .rapid-dev.json.
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  apiDeployConfig,
+  apiDeployScript,
+  apiDockerfile,
+  apiDockerignore,
+  apiEnvExample,
+  apiEslintConfig,
+  apiHttpTestTs,
+  apiHttpTs,
+  apiIndexTestTs,
+  apiIndexTs,
+  apiOpenApi,
+  apiPackageJson,
+  apiPrettier,
+  apiTsconfig,
+  apiTsconfigTest,
+  deployApiScript,
+  deployScript,
+  deployWebScript,
+  devScript,
+  firebaseJson,
+  firebaserc,
+  genClientScript,
+  gitignore,
+  netlifyToml,
+  readme,
+  rootEnvExample,
+  smokeScript,
+  webDeployConfig,
+  zipFlutterScript
+} from "./_templates.mjs";
+
+export const DEFAULT_TEMPLATE = "flutter-functions";
+
+// Where a web app can be hosted (new-project.mjs --web-host)
+export const WEB_HOSTS = ["netlify", "firebase", "gcs"];
+
+// Where an API can deploy (new-project.mjs --gcp, components.target)
+export const GCP_TARGETS = ["functions", "run"];
+
+// Journal step ids new-project.mjs uses itself; pack commands must not reuse them
+const RESERVED_STEP_IDS = ["git-init", "gh-repo", "move", "scaffold-files", "commit", "push", "netlify"];
+
+const APP = "apps/client";
+const API = "functions/api";
+
+const flutterCreate = {
+  id: "flutter-create",
+  stage: "create",
+  unless: APP,
+  run: (vars) => `flutter create ${APP} --platforms=android,ios,web${vars.local ? " --offline" : ""}`
+};
+const npmInstall = { id: "npm-install", stage: "post", network: true, run: () => `cd ${API} && npm install` };
+// Writes src/api-types.ts (imported by src/index.ts) and the Dart client from openapi.json; no network needed
+const genClient = { id: "gen-client", stage: "post", run: () => "node scripts/gen-client.mjs" };
+// The generated Dart client uses package:http
+const flutterPubAddHttp = { id: "flutter-pub-add-http", stage: "post", network: true, run: () => `cd ${APP} && flutter pub add http` };
+// Needs the node_modules from npm-install, so it is deferred with it in --local mode
+const npmBuild = { id: "npm-build", stage: "post", network: true, run: () => `cd ${API} && npm run build` };
+
+/**
+ * Lists the files of the TypeScript API scaffold. Also used by add.mjs for further services.
+ * @param {object} vars - Template variables (`repoName`, `nodeVersion`, `gcpProject`, `gcpRegion`, `deploy`,
+ *   `environments`, `webUrl` and `webHost` are used).
+ * @param {object} [options] - Which API to generate.
+ * @param {string} [options.dir="functions/api"] - The API directory.
+ * @param {string} [options.service="api"] - The API's name; APIs other than `api` get it as their default service name.
+ * @param {string} [options.target="functions"] - Where the API deploys by default (`functions` or `run`); `run`
+ *   adds a Dockerfile.
+ * @returns {{path: string, content: string, executable?: boolean}[]} The files.
+ */
+export function apiFiles(vars, { dir = API, service = "api", target = "functions" } = {}) {
+  const files = [
+    { path: `${dir}/package.json`, content: apiPackageJson(vars.repoName, service, vars.nodeVersion) },
+    { path: `${dir}/tsconfig.json`, content: apiTsconfig() },
+    { path: `${dir}/tsconfig.test.json`, content: apiTsconfigTest() },
+    { path: `${dir}/eslint.config.js`, content: apiEslintConfig() },
+    { path: `${dir}/.prettierrc`, content: apiPrettier() },
+    { path: `${dir}/src/index.ts`, content: apiIndexTs() },
+    { path: `${dir}/src/http.ts`, content: apiHttpTs() },
+    { path: `${dir}/src/index.test.ts`, content: apiIndexTestTs() },
+    { path: `${dir}/src/http.test.ts`, content: apiHttpTestTs() },
+    { path: `${dir}/openapi.json`, content: apiOpenApi({ title: `${vars.repoName}-${service}` }) },
+    { path: `${dir}/scripts/deploy.mjs`, content: apiDeployScript(service === "api" ? {} : { service }), executable: true },
+    {
+      path: `${dir}/deploy.config.json`,
+      content: apiDeployConfig({
+        project: vars.gcpProject,
+        region: vars.gcpRegion,
+        target,
+        deploy: vars.deploy,
+        environments: vars.environments,
+        webUrl: vars.webUrl,
+        // Firebase Hosting forwards /api/** to the first API with the prefix intact
+        basePath: vars.webHost === "firebase" && service === "api" ? "/api" : ""
+      })
+    },
+    { path: `${dir}/.env.example`, content: apiEnvExample() }
+  ];
+  if (target === "run") {
+    files.push(...dockerFiles(vars, dir));
+  }
+  return files;
+}
+
+/**
+ * Lists the container files for an API, for Cloud Run image deploys. Also used by `add.mjs docker`.
+ * @param {object} vars - Template variables (`nodeVersion` is used).
+ * @param {string} [dir="functions/api"] - The API directory.
+ * @returns {{path: string, content: string}[]} The Dockerfile and .dockerignore.
+ */
+export function dockerFiles(vars, dir = API) {
+  return [
+    { path: `${dir}/Dockerfile`, content: apiDockerfile({ nodeVersion: vars.nodeVersion }) },
+    { path: `${dir}/.dockerignore`, content: apiDockerignore() }
+  ];
+}
+
+/**
+ * Lists the hosting configuration for the web app: `netlify.toml` for Netlify, `firebase.json` and
+ * `.firebaserc` for Firebase Hosting, nothing for a Cloud Storage bucket (deploy-web.mjs sets its headers).
+ * @param {object} vars - Template variables (`webHost`, `nodeVersion`, `netlify`, `gcpProject` and `gcpRegion` are used).
+ * @param {object} components - The repo's components.
+ * @param {string} components.app - The Flutter app directory.
+ * @param {string|null} components.api - The API directory, or null for none.
+ * @returns {{path: string, content: string}[]} The files.
+ */
+export function webHostFiles(vars, { app, api }) {
+  const host = vars.webHost || "netlify";
+  if (host === "firebase") {
+    return [
+      { path: "firebase.json", content: firebaseJson({ base: app, service: api ? "api" : "", region: vars.gcpRegion }) },
+      { path: ".firebaserc", content: firebaserc(vars.gcpProject) }
+    ];
+  }
+  if (host === "netlify") return [{ path: "netlify.toml", content: netlifyToml({ nodeVersion: vars.nodeVersion, ...vars.netlify }) }];
+  return [];
+}
+
+/**
+ * Builds a built-in pack from its components; the helper scripts, README and config files
+ * follow from which components are present.
+ * @param {object} spec - The pack's name, description and components.
+ * @returns {object} The template pack.
+ */
+function builtinPack({ name, description, app, api, target = "functions" }) {
+  const apps = app ? [app] : [];
+  const apis = api ? [api] : [];
+  return {
+    name,
+    description,
+    source: "built-in",
+    requires: [...(app ? ["flutter"] : []), ...(api ? ["node", "npm"] : [])],
+    components: { app, api, target },
+    variables: {},
+    dirs: ["scripts", "artifacts", ...(app ? ["apps"] : [])],
+    files: (vars) => {
+      // new-project.mjs --gcp functions|run overrides where the API deploys
+      const deployTarget = vars.target || target;
+      return [
+        ...(api ? apiFiles(vars, { dir: api, target: deployTarget }) : []),
+        ...(app ? webHostFiles(vars, { app, api }) : []),
+        ...(app ? [{ path: `${app}/deploy.config.json`, content: webDeployConfig({ environments: vars.environments }) }] : []),
+        { path: ".gitignore", content: gitignore() },
+        { path: "README.md", content: readme({ repoName: vars.repoName, apps, apis, target: deployTarget, host: vars.webHost }) },
+        ...(api ? [{ path: ".env.example", content: rootEnvExample({ project: vars.gcpProject, region: vars.gcpRegion, target: deployTarget }) }] : []),
+        ...(app ? [{ path: "scripts/zip-flutter.mjs", content: zipFlutterScript(), executable: true }] : []),
+        ...(app ? [{ path: "scripts/deploy-web.mjs", content: deployWebScript({ apps, apis, host: vars.webHost, gcpProject: vars.gcpProject, netlify: vars.netlify }), executable: true }] : []),
+        ...(api ? [{ path: "scripts/deploy-api.mjs", content: deployApiScript({ apiDirs: [api] }), executable: true }] : []),
+        ...(api ? [{ path: "scripts/gen-client.mjs", content: genClientScript({ apps, apis }), executable: true }] : []),
+        ...(app && api ? [{ path: "scripts/deploy.mjs", content: deployScript({ apps, apis, host: vars.webHost, netlify: vars.netlify }), executable: true }] : []),
+        { path: "scripts/smoke.mjs", content: smokeScript({ apps, apis, host: vars.webHost }), executable: true },
+        { path: "scripts/dev.mjs", content: devScript({ apps, apis }), executable: true }
+      ];
+    },
+    commands: [
+      ...(app ? [flutterCreate] : []),
+      ...(api ? [npmInstall, genClient, npmBuild] : []),
+      ...(app && api ? [flutterPubAddHttp] : [])
+    ]
+  };
+}
+
+export const builtinTemplates = [
+  builtinPack({ name: "flutter-functions", description: "Flutter app + TypeScript API on Cloud Functions (gen2)", app: APP, api: API }),
+  builtinPack({ name: "flutter", description: "Flutter app only (web + mobile)", app: APP, api: null }),
+  builtinPack({ name: "api", description: "TypeScript API only, on Cloud Functions (gen2)", app: null, api: API }),
+  builtinPack({ name: "flutter-run", description: "Flutter app + TypeScript API as a Cloud Run container (Dockerfile)", app: APP, api: API, target: "run" })
+];
+
+/**
+ * Replaces `{{name}}` placeholders with template variables. Unknown placeholders are left as they are;
+ * objects and arrays (e.g. `deploy`, `environments`) are written as JSON.
+ * @param {string} text - The text to fill in.
+ * @param {object} vars - Template variables.
+ * @returns {string} The text with placeholders replaced.
+ */
+export function substitute(text, vars) {
+  return text.replace(/\{\{\s*([\w-]+)\s*\}\}/g, (m, name) => {
+    const value = vars[name];
+    if (value === undefined) return m;
+    return value !== null && typeof value === "object" ? JSON.stringify(value) : String(value);
+  });
+}
+
+/**
+ * Tells binary files from text the way git does: a NUL byte in the first 8000 bytes.
+ * @param {Buffer} content - The file content.
+ * @returns {boolean} True if the content is binary.
+ */
+export function isBinary(content) {
+  return content.subarray(0, 8000).includes(0);
+}
+
+/**
+ * Classifies a `templates` entry from .rapid-dev.json as a git repository or a local directory.
+ * Git sources may pin a branch or tag after `#`.
+ * @param {string} spec - A path, or a git URL such as `https://github.com/acme/pack.git#v1`.
+ * @param {string} [cwd=process.cwd()] - Directory relative paths resolve against.
+ * @returns {{kind: "git", url: string, ref: string|null} | {kind: "dir", dir: string}} The source.
+ */
+export function templateSource(spec, cwd = process.cwd()) {
+  const [url, ref = null] = spec.split("#");
+  if (/^(https?:\/\/|ssh:\/\/|git:\/\/|git@)/.test(url) || url.endsWith(".git")) return { kind: "git", url, ref };
+  const dir = spec.startsWith("~") ? path.join(os.homedir(), spec.slice(1)) : path.resolve(cwd, spec);
+  return { kind: "dir", dir };
+}
+
+/**
+ * Returns the directory git template packs are cloned into.
+ * @param {string} name - The template name.
+ * @returns {string} The absolute cache directory (`~/.rapid-dev/templates/<name>`).
+ */
+export function templateCacheDir(name) {
+  return path.join(os.homedir(), ".rapid-dev", "templates", name);
+}
+
+/**
+ * Lists the files under a directory, relative to it, skipping `.git`.
+ * @param {string} dir - The directory to walk.
+ * @returns {string[]} Relative file paths with forward slashes.
+ */
+function listFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    if (entry.name === ".git") return [];
+    if (entry.isDirectory()) return listFiles(path.join(dir, entry.name)).map((f) => `${entry.name}/${f}`);
+    return [entry.name];
+  });
+}
+
+/**
+ * Loads a template pack from a directory holding `template.json` and a `files/` tree.
+ * File paths and the contents of text files have `{{name}}` placeholders substituted; binary files
+ * (see `isBinary`) are copied byte for byte as Buffers. Files that are executable in the pack stay executable.
+ * @param {string} name - The template name.
+ * @param {string} dir - The pack directory.
+ * @returns {object} The template pack.
+ * @throws {Error} If the manifest is missing or invalid.
+ */
+export function loadTemplateDir(name, dir) {
+  const manifestPath = path.join(dir, "template.json");
+  if (!fs.existsSync(manifestPath)) throw new Error(`Template "${name}": ${manifestPath} not found.`);
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+  } catch (e) {
+    throw new Error(`Template "${name}": could not parse ${manifestPath} (${e.message}).`);
+  }
+
+  const commands = (manifest.commands || []).map((c) => {
+    if (!c.id || !c.run) throw new Error(`Template "${name}": every command needs an "id" and a "run".`);
+    if (RESERVED_STEP_IDS.includes(c.id)) throw new Error(`Template "${name}": command id "${c.id}" is reserved.`);
+    return { stage: "post", network: false, ...c, run: (vars) => substitute(c.run, vars) };
+  });
+
+  const filesDir = path.join(dir, "files");
+  return {
+    name,
+    description: manifest.description || "",
+    source: dir,
+    requires: manifest.requires || [],
+    components: { app: null, api: null, target: "functions", ...manifest.components },
+    variables: manifest.variables || {},
+    dirs: manifest.dirs || [],
+    files: (vars) =>
+      listFiles(filesDir).map((rel) => {
+        const abs = path.join(filesDir, rel);
+        const raw = fs.readFileSync(abs);
+        return {
+          path: substitute(rel, vars),
+          content: isBinary(raw) ? raw : substitute(raw.toString("utf8"), vars),
+          executable: (fs.statSync(abs).mode & 0o111) !== 0
+        };
+      }),
+    commands
+  };
+}
+
+/**
+ * Lists every available template: the built-ins plus the `templates` section of the config
+ * (which may shadow a built-in of the same name).
+ * @param {object} config - Loaded configuration.
+ * @returns {{name: string, description: string, source: string, components?: object}[]} The templates.
+ */
+export function listTemplates(config) {
+  const byName = new Map(builtinTemplates.map((t) => [t.name, { name: t.name, description: t.description, source: t.source, components: t.components }]));
+  for (const [name, spec] of Object.entries(config.templates || {})) {
+    const source = templateSource(spec);
+    const dir = source.kind === "git" ? templateCacheDir(name) : source.dir;
+    let entry = { name, description: source.kind === "git" && !fs.existsSync(dir) ? "(not fetched yet)" : "", source: spec };
+    try {
+      const t = loadTemplateDir(name, dir);
+      entry = { ...entry, description: t.description, components: t.components };
+    } catch {
+      // Unfetched or broken packs are still listed; selecting them reports the problem
+    }
+    byName.set(name, entry);
+  }
+  return [...byName.values()];
+}
+
+/**
+ * Resolves a template by name. Git packs are cloned into the cache on first use through `fetch`,
+ * which receives the parsed source and the cache directory.
+ * @param {string} name - The template name.
+ * @param {object} config - Loaded configuration.
+ * @param {object} [options] - Resolution options.
+ * @param {function({url: string, ref: string|null}, string): void} [options.fetch] - Clones or updates a git pack.
+ * @returns {object} The template pack.
+ * @throws {Error} If the template is unknown or cannot be loaded.
+ */
+export function resolveTemplate(name, config, { fetch } = {}) {
+  const spec = config.templates?.[name];
+  if (spec) {
+    const source = templateSource(spec);
+    if (source.kind === "dir") return loadTemplateDir(name, source.dir);
+    const dir = templateCacheDir(name);
+    if (fetch) fetch(source, dir);
+    return loadTemplateDir(name, dir);
+  }
+  const builtin = builtinTemplates.find((t) => t.name === name);
+  if (builtin) return builtin;
+  const known = listTemplates(config).map((t) => t.name);
+  throw new Error(`Unknown template "${name}". Available: ${known.join(", ")}.`);
+}
@@ -1,30 +1,182 @@
 // scripts/_templates.mjs
 
+// Flutter build output that must be revalidated on every load, so a new deploy takes effect at once
+const FLUTTER_ENTRY_POINTS = ["/", "/index.html", "/flutter_service_worker.js", "/flutter_bootstrap.js", "/main.dart.js", "/version.json"];
+
+// Netlify's built-in deploy contexts, emitted first and in this order
+const NETLIFY_CONTEXTS = ["production", "deploy-preview", "branch-deploy"];
+
+/**
+ * Quotes a `--dart-define` value for the shell when it contains anything beyond URL-safe characters.
+ * @param {string} value - The value.
+ * @returns {string} The value, single-quoted if needed.
+ */
+function shellArg(value) {
+  return /^[\w@%+=:,./-]*$/.test(value) ? value : `'${value.replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Builds the Content-Security-Policy a Flutter web build needs: CanvasKit and its fonts load from
+ * gstatic, the engine compiles WebAssembly and sets inline styles, and the app may call the API origins given.
+ * @param {string[]} apiOrigins - Cross-origin API origins the app calls.
+ * @returns {string} The policy.
+ */
+function flutterCsp(apiOrigins) {
+  const connect = ["'self'", "https://www.gstatic.com", "https://fonts.gstatic.com", ...apiOrigins];
+  return [
+    "default-src 'self'",
+    "script-src 'self' 'wasm-unsafe-eval' https://www.gstatic.com",
+    "style-src 'self' 'unsafe-inline'",
+    "img-src 'self' data: blob: https:",
+    "font-src 'self' data: https://fonts.gstatic.com",
+    `connect-src ${connect.join(" ")}`,
+    "worker-src 'self' blob:",
+    "object-src 'none'",
+    "base-uri 'self'",
+    "frame-ancestors 'none'"
+  ].join("; ");
+}
+
+/**
+ * Lists the security headers every web host sets on every path.
+ * @param {string} policy - The Content-Security-Policy, or empty to leave it out.
+ * @returns {Object<string, string>} Header values by name.
+ */
+function securityHeaders(policy) {
+  return {
+    ...(policy ? { "Content-Security-Policy": policy } : {}),
+    "Strict-Transport-Security": "max-age=31536000; includeSubDomains",
+    "X-Content-Type-Options": "nosniff",
+    "X-Frame-Options": "DENY",
+    "Referrer-Policy": "strict-origin-when-cross-origin"
+  };
+}
+
 /**
  * Generates the content for a `netlify.toml` configuration file.
- * Configures Netlify for a Flutter web build with a Single Page Application (SPA) redirect.
+ * Configures Netlify for a Flutter web build with a Single Page Application (SPA) redirect, security
+ * and cache-control headers, and optionally per-context builds and a proxy to the deployed API.
+ *
+ * With `apiUrl`, `/api/*` is proxied to the API and production builds call `/api`, so the browser
+ * never makes a cross-origin request (the service must allow unauthenticated calls: Netlify cannot
+ * add IAM credentials). `contexts` adds `--dart-define` values per Netlify deploy context, e.g.
+ * `{ "deploy-preview": { "API_URL": "https://api-staging-xyz.a.run.app" } }`.
  *
  * @param {object} [options] - Options for the Netlify configuration.
  * @param {string} [options.nodeVersion="20"] - The Node.js version to use in the Netlify build environment.
+ * @param {string|null} [options.base="apps/client"] - The Flutter app directory. Pass null for a file that
+ *   lives in the app directory itself (a second site in the monorepo), where Netlify's base directory setting applies.
+ * @param {string} [options.apiUrl] - The deployed Cloud Run or Cloud Functions URL to proxy `/api/*` to.
+ * @param {boolean} [options.proxy=true] - Proxy `/api/*` to `apiUrl`; when false, production builds call `apiUrl` directly.
+ * @param {Object<string, Object<string, string>>} [options.contexts={}] - `--dart-define` values by deploy
+ *   context (`production`, `deploy-preview`, `branch-deploy` or a branch name).
+ * @param {boolean} [options.headers=true] - Add the security and cache-control headers.
+ * @param {string|false} [options.csp] - Content-Security-Policy (default: one that allows what Flutter web
+ *   loads and the API origins in `contexts`); false to leave it out.
+ * @param {string[]} [options.immutable=[]] - Paths of content-hashed files to cache for a year, e.g. `/assets/*`
+ *   when a build step fingerprints them (Flutter itself does not).
  * @returns {string} The content of the `netlify.toml` file.
  */
-export function netlifyToml({ nodeVersion = "20" } = {}) {
-  // Flutter web build outputs to apps/client/build/web
+export function netlifyToml({ nodeVersion = "20", base = "apps/client", apiUrl = "", proxy = true, contexts = {}, headers = true, csp, immutable = [] } = {}) {
+  const target = apiUrl.replace(/\/+$/, "");
+  const proxied = Boolean(target) && proxy !== false;
+  const defines = { ...contexts };
+  if (target) defines.production = { API_URL: proxied ? "/api" : target, ...contexts.production };
+
+  const names = [...NETLIFY_CONTEXTS.filter((n) => defines[n]), ...Object.keys(defines).filter((n) => !NETLIFY_CONTEXTS.includes(n))];
+  const contextBlocks = names
+    .filter((n) => Object.keys(defines[n]).length)
+    .map((n) => {
+      const key = /^[A-Za-z0-9_-]+$/.test(n) ? n : JSON.stringify(n);
+      const args = Object.entries(defines[n]).map(([k, v]) => ` --dart-define=${k}=${shellArg(String(v))}`).join("");
+      return `[context.${key}]\n  command = ${JSON.stringify(`flutter build web --release${args}`)}\n`;
+    });
+
+  const apiOrigins = [
+    ...new Set(
+      Object.values(defines)
+        .flatMap((d) => Object.values(d))
+        .filter((v) => /^https?:\/\//.test(v))
+        .map((v) => new URL(v).origin)
+    )
+  ];
+  const policy = csp === false ? "" : csp || flutterCsp(apiOrigins);
+  const headerBlock = (path, values) =>
+    `[[headers]]\n  for = ${JSON.stringify(path)}\n  [headers.values]\n${Object.entries(values)
+      .map(([k, v]) => `    ${k} = ${JSON.stringify(v)}\n`)
+      .join("")}`;
+  const sections = [];
+  if (contextBlocks.length) {
+    sections.push(`# Per-context builds; the app reads each value with String.fromEnvironment\n${contextBlocks.join("\n")}`);
+  }
+  if (proxied) {
+    sections.push(`# Proxy API calls through the site's own origin, so the browser makes no cross-origin requests
+[[redirects]]
+  from = "/api/*"
+  to = ${JSON.stringify(`${target}/:splat`)}
+  status = 200
+  force = true
+`);
+  }
+  sections.push(`# SPA redirect so Flutter web routes don't 404
+[[redirects]]
+  from = "/*"
+  to = "/index.html"
+  status = 200
+`);
+  if (headers) {
+    sections.push(`# Security headers\n${headerBlock("/*", securityHeaders(policy))}`);
+    sections.push(`# Entry points are revalidated on every load so a new deploy takes effect at once\n${FLUTTER_ENTRY_POINTS.map((p) => headerBlock(p, { "Cache-Control": "no-cache" })).join("\n")}`);
+    if (immutable.length) {
+      sections.push(`# Content-hashed files never change under the same name\n${immutable.map((p) => headerBlock(p, { "Cache-Control": "public, max-age=31536000, immutable" })).join("\n")}`);
+    }
+  }
+
+  // Flutter web build outputs to <base>/build/web
   return `
 [build]
-  base = "apps/client"
-  command = "flutter build web --release"
+${base ? `  base = "${base}"\n` : ""}  command = "flutter build web --release"
   publish = "build/web"
 
 [build.environment]
   NODE_VERSION = "${nodeVersion}"
 
-# SPA redirect so Flutter web routes don't 404
-[[redirects]]
-  from = "/*"
-  to = "/index.html"
-  status = 200
-`.trimStart();
+${sections.join("\n")}`.trimStart();
+}
+
+/**
+ * Generates the content for a `firebase.json` that serves a Flutter web build from Firebase Hosting:
+ * SPA rewrites, the same security and cache-control headers as `netlify.toml`, and with an API a
+ * rewrite of `/api/**` to its Cloud Run service (Cloud Functions gen2 run on Cloud Run too), so the
+ * web app calls `/api` without CORS. Cloud Run receives the full path; the API strips `BASE_PATH`.
+ *
+ * @param {object} [options] - Options for the Firebase configuration.
+ * @param {string} [options.base="apps/client"] - The Flutter app directory.
+ * @param {string} [options.service="api"] - The Cloud Run service `/api/**` is rewritten to, or empty for none.
+ * @param {string} [options.region="us-east1"] - The service's region.
+ * @returns {string} The content of the `firebase.json` file.
+ */
+export function firebaseJson({ base = "apps/client", service = "api", region = "us-east1" } = {}) {
+  const headers = (values) => Object.entries(values).map(([key, value]) => ({ key, value }));
+  const hosting = {
+    public: `${base}/build/web`,
+    ignore: ["firebase.json", "**/.*"],
+    rewrites: [...(service ? [{ source: "/api/**", run: { serviceId: service, region } }] : []), { source: "**", destination: "/index.html" }],
+    headers: [
+      { source: "**", headers: headers(securityHeaders(flutterCsp([]))) },
+      ...FLUTTER_ENTRY_POINTS.map((p) => ({ source: p, headers: headers({ "Cache-Control": "no-cache" }) }))
+    ]
+  };
+  return JSON.stringify({ hosting }, null, 2) + "\n";
+}
+
+/**
+ * Generates the content for a `.firebaserc` that makes the GCP project the Firebase CLI's default.
+ * @param {string} [project] - The GCP project id.
+ * @returns {string} The content of the `.firebaserc` file.
+ */
+export function firebaserc(project) {
+  return JSON.stringify({ projects: { default: project || "your-gcp-project-id" } }, null, 2) + "\n";
 }
 
 /**
@@ -84,36 +236,3168 @@ tmp/
  *
  * @param {object} options - Options for the README content.
  * @param {string} options.repoName - The name of the repository.
+ * @param {string[]} [options.apps=["apps/client"]] - Paths of the Flutter apps.
+ * @param {string[]} [options.apis=["functions/api"]] - Paths of the Node APIs.
+ * @param {string} [options.target="functions"] - Where the APIs deploy: `functions` or `run`.
+ * @param {string} [options.host="netlify"] - Where the web apps are hosted: `netlify`, `firebase` or `gcs`.
  * @returns {string} The content of the `README.md` file.
  */
-export function readme({ repoName }) {
+export function readme({ repoName, apps = ["apps/client"], apis = ["functions/api"], target = "functions", host = "netlify" }) {
+  const app = (a) => readmeSection("app", a, target, host);
+  const api = (a) => readmeSection("api", a, target);
+  const layout = [...apps.map((a) => app(a).layout), ...apis.map((a) => api(a).layout)];
+  const dev = [...apps.map((a) => app(a).dev), ...apis.map((a) => api(a).dev)];
+  const deploy = [...apps.map((a) => app(a).deploy), ...apis.map((a) => api(a).deploy)];
+  if (apps.length && apis.length) {
+    deploy.unshift("- Release: \`node scripts/deploy.mjs --env <name>\` deploys the API, then the web app built against its URL, and checks both");
+    dev.unshift(
+      "### Everything at once\n\`\`\`bash\nnode scripts/dev.mjs\n\`\`\`\n" +
+        `Serves the API on http://localhost:8080 and the web app on http://localhost:5000, with \`API_URL\` set for the app (\`String.fromEnvironment("API_URL")\`).\n\n` +
+        `After changing \`${apis[0]}/openapi.json\`, run \`node scripts/gen-client.mjs\` to regenerate the Dart client in \`${apps[0]}/lib/api/\` and the API's TypeScript types.`
+    );
+  }
   return `
 # ${repoName}
 
 Monorepo layout:
 
-- \`apps/client\`: Flutter app (web + mobile)
-- \`functions/api\`: Node functions (deploy to GCP)
+${layout.join("\n")}
 
 ## Local dev
 
-### Flutter
-\`\`\`bash
-cd apps/client
-flutter pub get
-flutter run
-\`\`\`
-
-### Functions
-\`\`\`bash
-cd functions/api
-npm install
-npm run dev
-\`\`\`
+${dev.join("\n\n")}
 
 ## Deploy
 
-- Web: Netlify builds from \`apps/client\` and publishes \`apps/client/build/web\`
-- API: Deploy \`functions/api\` to Google Cloud Functions / Cloud Run (your choice)
+${deploy.join("\n")}
 `.trimStart();
-}
\ No newline at end of file
+}
+
+/**
+ * Generates the README lines for one component, so `readme()` and `add.mjs` describe components the same way.
+ *
+ * @param {"app"|"api"} kind - A Flutter app or a Node API.
+ * @param {string} dir - The component directory (e.g., `apps/admin`).
+ * @param {string} [target="functions"] - Where an API deploys: `functions` or `run`.
+ * @param {string} [host="netlify"] - Where an app's web build is hosted: `netlify`, `firebase` or `gcs`.
+ * @returns {{layout: string, dev: string, deploy: string}} The "Monorepo layout" bullet, the "Local dev"
+ *   section and the "Deploy" bullet.
+ */
+export function readmeSection(kind, dir, target = "functions", host = "netlify") {
+  const name = dir.split("/").pop();
+  if (kind === "app") {
+    const deployWeb = `\`node scripts/deploy-web.mjs --app ${name}\``;
+    const deploy = {
+      netlify: `- Web: Netlify builds from \`${dir}\` and publishes \`${dir}/build/web\` (its build image needs Flutter installed), or ${deployWeb} builds locally and publishes a draft (\`--prod\` for production)`,
+      firebase: `- Web: ${deployWeb} builds \`${dir}\` and deploys it to Firebase Hosting, which forwards \`/api\` to the API`,
+      gcs: `- Web: ${deployWeb} builds \`${dir}\` and uploads it to a Cloud Storage bucket (\`--bucket\` or \`WEB_BUCKET\`)`
+    };
+    return {
+      layout: `- \`${dir}\`: Flutter app (web + mobile)`,
+      dev: `### Flutter (\`${dir}\`)\n\`\`\`bash\ncd ${dir}\nflutter pub get\nflutter run\n\`\`\``,
+      deploy: deploy[host]
+    };
+  }
+  return {
+    layout: `- \`${dir}\`: Node ${target === "run" ? "API (Cloud Run container)" : "functions (deploy to GCP)"}`,
+    dev:
+      `### Functions (\`${dir}\`)\n\`\`\`bash\ncd ${dir}\nnpm install\nnpm run dev\nnpm test\n` +
+      (target === "run" ? `# or run the production image\ndocker build -t ${name} .\ndocker run --rm -p 8080:8080 ${name}\n` : "") +
+      "\`\`\`",
+    deploy:
+      target === "run"
+        ? `- API: Build \`${dir}/Dockerfile\`, push it to Artifact Registry and deploy it to Cloud Run (\`node scripts/deploy-api.mjs ${name} --target run --image\`)`
+        : `- API: Deploy \`${dir}\` to Google Cloud Functions / Cloud Run (\`node scripts/deploy-api.mjs ${name}\`)`
+  };
+}
+
+// --- templates for generated helper scripts ---
+
+/**
+ * Generates the content for a root `.env.example` file.
+ * @param {object} [options] - Values to prefill.
+ * @param {string} [options.project] - The GCP project id.
+ * @param {string} [options.region="us-east1"] - The GCP region.
+ * @param {string} [options.target="functions"] - The default deploy target (`functions` or `run`).
+ * @returns {string} The content of the `.env.example` file.
+ */
+export function rootEnvExample({ project, region = "us-east1", target = "functions" } = {}) {
+  return `# Shared defaults used by scripts/deploy-api.mjs (and functions/api/scripts/deploy.mjs)
+GCP_PROJECT=${project || "your-gcp-project-id"}
+GCP_REGION=${region}
+GCP_TARGET=${target}
+GCP_SERVICE=api
+GCP_ENTRY_POINT=handler
+`;
+}
+
+/**
+ * Generates the content for the root deploy-api.mjs helper script.
+ * This script acts as a wrapper to call an API's internal deploy script; with several APIs,
+ * the first argument names the one to deploy (`deploy-api.mjs billing --target run`).
+ * @param {object} [options] - Options for the wrapper.
+ * @param {string[]} [options.apiDirs=["functions/api"]] - The API directories, relative to the repo root.
+ *   The first one is deployed when no name is given.
+ * @returns {string} The content of the deploy-api.mjs file.
+ */
+export function deployApiScript({ apiDirs = ["functions/api"] } = {}) {
+  const apis = Object.fromEntries(apiDirs.map((d) => [d.split("/").pop(), d]));
+  return `#!/usr/bin/env node
+import { execSync } from "child_process";
+import path from "path";
+
+function run(cmd, cwd) {
+  console.log("\\n> " + cmd);
+  execSync(cmd, { stdio: "inherit", cwd });
+}
+
+// APIs in this repo, by name; the first one is deployed when no name is given
+const apis = ${JSON.stringify(apis)};
+
+// Subcommands of each API's scripts/deploy.mjs (e.g. "secrets push"), not API names
+const subcommands = ["secrets", "rollback", "url"];
+
+const argv = process.argv.slice(2);
+const name = argv[0] && !argv[0].startsWith("--") && !subcommands.includes(argv[0]) ? argv.shift() : Object.keys(apis)[0];
+if (!apis[name]) {
+  console.error(\`Unknown API "\${name}". Known: \${Object.keys(apis).join(", ")}\`);
+  process.exit(1);
+}
+
+const args = argv.join(" ");
+const apiDir = path.resolve(apis[name]);
+
+run(\`node scripts/deploy.mjs \${args}\`, apiDir);
+`;
+}
+
+/**
+ * Returns the API URL web builds call by default: `/api` when the host forwards /api/* to the API
+ * (Firebase Hosting always; Netlify only with a proxied `apiUrl`), Netlify's direct `apiUrl`, or empty.
+ * @param {object} options - The repo's web setup.
+ * @param {string[]} options.apis - Paths of the Node APIs.
+ * @param {string} options.host - The web host.
+ * @param {object} options.netlify - The `netlify.toml` options.
+ * @returns {string} The default API URL.
+ */
+function webApiUrl({ apis, host, netlify }) {
+  if (!apis.length) return "";
+  if (host === "firebase") return "/api";
+  if (host !== "netlify") return "";
+  return netlify.apiUrl && netlify.proxy !== false ? "/api" : netlify.apiUrl || "";
+}
+
+/**
+ * Generates the content for the root deploy.mjs script, which releases the API and the web app
+ * together: it deploys the API with deploy-api.mjs and asks it for the service URL (`deploy-api.mjs <api> url`),
+ * builds and deploys the web app against that URL with deploy-web.mjs (or against the host's /api proxy),
+ * then checks the web URL and the API's health endpoint as the browser reaches it. A web app that would
+ * call an IAM-only API directly is refused up front. It ends with a summary of each stage (URLs and
+ * durations) and the git commit, and stops at the first stage that fails.
+ * @param {object} [options] - Options for the script.
+ * @param {string[]} [options.apps=["apps/client"]] - Paths of the Flutter apps; the first is deployed by default.
+ * @param {string[]} [options.apis=["functions/api"]] - Paths of the Node APIs; the first is deployed by default.
+ * @param {string} [options.host="netlify"] - The web host: `netlify`, `firebase` or `gcs`.
+ * @param {object} [options.netlify={}] - The `netlify.toml` options; a proxied `apiUrl` puts the API behind `/api`.
+ * @returns {string} The content of the deploy.mjs file.
+ */
+export function deployScript({ apps = ["apps/client"], apis = ["functions/api"], host = "netlify", netlify = {} } = {}) {
+  const byName = (dirs) => Object.fromEntries(dirs.map((d) => [d.split("/").pop(), d]));
+  const apiProxy = webApiUrl({ apis, host, netlify }) === "/api" ? "/api" : "";
+  return `#!/usr/bin/env node
+import { execFileSync, execSync, spawn } from "child_process";
+import fs from "fs";
+
+const USAGE = \`Usage: node scripts/deploy.mjs [--env <name>] [--api <name>] [--app <name>] [--prod] [--project <id>]
+  [--api-url <url>] [--health-path <path>] [--retries <n>] [--skip-api] [--skip-web] [--skip-smoke] [--yes] [--dry-run]\`;
+
+// Components in this repo, by name; the first of each is deployed when --api or --app is omitted
+const apis = ${JSON.stringify(byName(apis))};
+const apps = ${JSON.stringify(byName(apps))};
+
+// "/api" when the web host forwards /api/* to the API: web builds keep calling that instead of the
+// API's own URL, and the smoke stage checks the API through it, as browsers reach it
+const API_PROXY = ${JSON.stringify(apiProxy)};
+
+/**
+ * Retrieves a command-line argument by key.
+ * @param {string} key - The argument name without dashes.
+ * @param {string} def - The default value.
+ * @returns {string} The value, or the default.
+ */
+function getArg(key, def) {
+  const argv = process.argv.slice(2);
+  const inline = argv.find((a) => a.startsWith(\`--\${key}=\`));
+  if (inline) return inline.slice(key.length + 3);
+  const ix = argv.indexOf(\`--\${key}\`);
+  if (ix === -1 || !argv[ix + 1] || argv[ix + 1].startsWith("--")) return def;
+  return argv[ix + 1];
+}
+
+/**
+ * Checks for a boolean flag.
+ * @param {string} key - The flag name without dashes.
+ * @returns {boolean} True if the flag is present.
+ */
+function hasFlag(key) {
+  return process.argv.slice(2).includes(\`--\${key}\`);
+}
+
+/**
+ * Prints an error message and exits.
+ * @param {string} msg - The error message.
+ */
+function fail(msg) {
+  console.error("\\n" + msg);
+  process.exit(1);
+}
+
+/**
+ * Runs one of the repo's deploy scripts, showing its output as it runs and keeping a copy.
+ * @param {string} script - The script, relative to the repo root.
+ * @param {string[]} args - Its arguments.
+ * @returns {Promise<{code: number, output: string}>} The exit code and everything it printed.
+ */
+function runScript(script, args) {
+  console.log(\`\\n> node \${script} \${args.join(" ")}\`);
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [script, ...args], { stdio: ["inherit", "pipe", "pipe"] });
+    let output = "";
+    child.stdout.on("data", (chunk) => {
+      process.stdout.write(chunk);
+      output += chunk;
+    });
+    child.stderr.on("data", (chunk) => {
+      process.stderr.write(chunk);
+      output += chunk;
+    });
+    child.on("error", (err) => resolve({ code: 1, output: err.message }));
+    child.on("close", (code) => resolve({ code: code ?? 1, output }));
+  });
+}
+
+/**
+ * Asks the API's deploy script for the deployed service's URL: \`deploy-api.mjs <api> url\` runs
+ * \`gcloud run services describe\` or \`gcloud functions describe\` with the same settings as the deploy,
+ * and prints the URL last.
+ * @param {string} apiName - The API.
+ * @param {string[]} args - The settings the API was deployed with (\`--env\`, \`--project\`, ...).
+ * @returns {string} The URL, or empty if gcloud reported none.
+ */
+function apiUrlOf(apiName, args) {
+  try {
+    const output = execFileSync(process.execPath, ["scripts/deploy-api.mjs", apiName, "url", ...args], { encoding: "utf8", stdio: ["ignore", "pipe", "inherit"] });
+    const last = output.trim().split("\\n").pop().trim();
+    return /^https?:\\/\\/\\S+$/.test(last) ? last : "";
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Finds the \`URL:\` line deploy-web.mjs ends with.
+ * @param {string} output - What the web deploy printed.
+ * @returns {string} The URL, or empty if there is none.
+ */
+function webUrlFrom(output) {
+  return [...output.matchAll(/^URL:\\s*(\\S+)/gm)].pop()?.[1] || "";
+}
+
+/**
+ * Returns the commit being deployed, marked when the tree has uncommitted changes.
+ * @returns {string} The short SHA, or "unknown" outside a git checkout.
+ */
+function gitSha() {
+  try {
+    const sha = execSync("git rev-parse --short HEAD", { encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] }).trim();
+    const dirty = execSync("git status --porcelain", { encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] }).trim();
+    return dirty ? \`\${sha} (uncommitted changes)\` : sha;
+  } catch {
+    return "unknown";
+  }
+}
+
+/**
+ * Gets an identity token from gcloud, for IAM-only APIs.
+ * @returns {string} The token, or empty if gcloud has none.
+ */
+function identityToken() {
+  try {
+    return execSync("gcloud auth print-identity-token", { encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] }).trim();
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Reads the API's \`auth\` setting for the selected environment from its deploy.config.json, the way
+ * its deploy script resolves it (the environment, then \`defaults\`).
+ * @param {string} apiName - The API.
+ * @returns {string} "public", or "iam" (also when the file is missing or unreadable).
+ */
+function apiAuth(apiName) {
+  try {
+    const { defaults = {}, environments = {} } = JSON.parse(fs.readFileSync(\`\${apis[apiName]}/deploy.config.json\`, "utf8"));
+    return { ...defaults, ...environments[getArg("env", "")] }.auth || "iam";
+  } catch {
+    return "iam";
+  }
+}
+
+/**
+ * Requests a URL, retrying failures (a new deploy can take a few seconds to be served everywhere).
+ * With \`identity\`, a 401 or 403 is retried with an identity token, as IAM-only APIs require;
+ * without it the URL is requested as a browser would, with no credentials.
+ * @param {string} url - The URL.
+ * @param {number} retries - Attempts after the first.
+ * @param {boolean} [identity=false] - Whether to retry a 401 or 403 with an identity token.
+ * @returns {Promise<{status: number, body: string, error?: string}>} The last response.
+ */
+async function probe(url, retries, identity = false) {
+  let token = "";
+  let last = { status: 0, body: "" };
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt) await new Promise((resolve) => setTimeout(resolve, 2000));
+    try {
+      const res = await fetch(url, { headers: token ? { authorization: \`Bearer \${token}\` } : {}, signal: AbortSignal.timeout(10000) });
+      last = { status: res.status, body: await res.text() };
+      if ((res.status === 401 || res.status === 403) && identity && !token && (token = identityToken())) {
+        attempt--;
+        continue;
+      }
+      if (res.ok) return last;
+    } catch (err) {
+      last = { status: 0, body: "", error: err.cause?.message || err.message };
+    }
+  }
+  return last;
+}
+
+/**
+ * Describes a failed probe.
+ * @param {{status: number, error?: string}} res - The last response.
+ * @returns {string} The reason.
+ */
+function reason(res) {
+  return res.status ? \`HTTP \${res.status}\` : res.error || "no response";
+}
+
+/**
+ * Checks the deployed API's health endpoint and that the web URL serves the Flutter app. Once the
+ * web app is deployed, the API is checked the way the browser calls it: through the host's /api
+ * proxy if it has one, and without credentials. Otherwise the API's own URL is checked, with an
+ * identity token if it is IAM-only.
+ * @param {string} apiUrl - The API URL, or empty to skip it.
+ * @param {string} webUrl - The web app URL, or empty to skip it.
+ * @returns {Promise<string>} What was checked.
+ */
+async function smoke(apiUrl, webUrl) {
+  const retries = Number(getArg("retries", "3"));
+  const checked = [];
+  const browserApiUrl = API_PROXY && webUrl ? new URL(API_PROXY, webUrl).href : apiUrl;
+  if (browserApiUrl) {
+    const url = browserApiUrl.replace(/\\/$/, "") + getArg("health-path", "/health");
+    console.log(\`\\nGET \${url}\`);
+    const res = await probe(url, retries, !webUrl);
+    if (res.status < 200 || res.status > 299) throw new Error(\`API health check failed: \${url} (\${reason(res)})\`);
+    checked.push(\`API \${res.status}\`);
+  }
+  if (webUrl) {
+    console.log(\`\\nGET \${webUrl}\`);
+    const res = await probe(webUrl, retries);
+    if (res.status < 200 || res.status > 299) throw new Error(\`Web check failed: \${webUrl} (\${reason(res)})\`);
+    if (!/flutter/i.test(res.body)) throw new Error(\`Web check failed: \${webUrl} does not serve the Flutter app\`);
+    checked.push(\`web \${res.status}\`);
+  }
+  return checked.join(", ") || "nothing to check";
+}
+
+/**
+ * Formats a duration.
+ * @param {number} ms - Milliseconds.
+ * @returns {string} Seconds with one decimal.
+ */
+function seconds(ms) {
+  return \`\${(ms / 1000).toFixed(1)}s\`;
+}
+
+/**
+ * Prints what each stage did, with the commit and the total time.
+ * @param {object[]} stages - The stages and their results.
+ * @param {string} sha - The commit.
+ * @param {number} started - When the deploy started.
+ */
+function printSummary(stages, sha, started) {
+  const envName = getArg("env", "");
+  console.log(\`\\nDeploy summary\${envName ? \` (\${envName})\` : ""}, commit \${sha}\`);
+  const width = Math.max(...stages.map((s) => s.name.length));
+  for (const s of stages) {
+    const icon = { ok: "✅", failed: "❌", skipped: "➖" }[s.status];
+    const time = s.ms === undefined ? "" : \` (\${seconds(s.ms)})\`;
+    console.log(\`  \${icon} \${s.name.padEnd(width)}  \${s.detail}\${time}\`);
+  }
+  console.log(\`  Total \${seconds(Date.now() - started)}\`);
+}
+
+/**
+ * Deploys the API, then the web app built against the API's URL, then checks both.
+ */
+async function main() {
+  if (hasFlag("help")) {
+    console.log(USAGE);
+    return;
+  }
+  const apiName = getArg("api", Object.keys(apis)[0] || "");
+  const appName = getArg("app", Object.keys(apps)[0] || "");
+  if (apiName && !apis[apiName]) fail(\`Unknown --api "\${apiName}". Known: \${Object.keys(apis).join(", ")}\`);
+  if (appName && !apps[appName]) fail(\`Unknown --app "\${appName}". Known: \${Object.keys(apps).join(", ")}\`);
+  // Browsers call the API without credentials, which an IAM-only API refuses (401/403)
+  if (apiName && appName && !API_PROXY && !hasFlag("skip-web") && apiAuth(apiName) === "iam") {
+    fail(
+      \`The web app calls the API directly, but \${apis[apiName]}/deploy.config.json deploys it with "auth": "iam", \` +
+        \`so browsers would get 401/403. Set "auth": "public" for this environment, or serve the API behind the web host's /api proxy.\`
+    );
+  }
+
+  const dryRun = hasFlag("dry-run");
+  // Forwards options to the stage scripts: values (\`--env staging\`) and flags (\`--yes\`)
+  const pass = (values, flags = []) => [
+    ...values.flatMap((key) => (getArg(key, "") ? [\`--\${key}\`, getArg(key, "")] : [])),
+    ...flags.filter(hasFlag).map((key) => \`--\${key}\`)
+  ];
+  const sha = gitSha();
+  const started = Date.now();
+  let apiUrl = getArg("api-url", "");
+  let webUrl = "";
+
+  const stages = [
+    {
+      name: "api",
+      skip: !apiName ? "no API in this repo" : hasFlag("skip-api") && "--skip-api",
+      async run() {
+        const settings = pass(["env", "project", "region", "target"]);
+        const res = await runScript("scripts/deploy-api.mjs", [apiName, ...settings, ...pass([], ["yes", "allow-dirty", "dry-run"])]);
+        if (res.code !== 0) throw new Error(\`API deploy failed (exit code \${res.code}); see the output above.\`);
+        if (dryRun) return \`\${apis[apiName]} (dry run)\`;
+        apiUrl = apiUrlOf(apiName, settings);
+        if (!apiUrl) throw new Error(\`The API deployed, but gcloud reported no URL for it (node scripts/deploy-api.mjs \${apiName} url). Deploy the web app with --skip-api --api-url <url>.\`);
+        return \`\${apis[apiName]} → \${apiUrl}\`;
+      }
+    },
+    {
+      name: "web",
+      skip: !appName ? "no Flutter app in this repo" : hasFlag("skip-web") && "--skip-web",
+      async run() {
+        // Behind the host's /api proxy the build keeps calling /api, not the API's own URL
+        const args = [...pass(["app", "env", "project"], ["prod", "dry-run"]), ...(apiUrl && !API_PROXY ? ["--api-url", apiUrl] : [])];
+        if (!args.includes("--app")) args.unshift("--app", appName);
+        const res = await runScript("scripts/deploy-web.mjs", args);
+        if (res.code !== 0) throw new Error(\`Web deploy failed (exit code \${res.code}); see the output above.\`);
+        webUrl = webUrlFrom(res.output);
+        return \`\${apps[appName]}\${webUrl ? \` → \${webUrl}\` : dryRun ? " (dry run)" : ""}\`;
+      }
+    },
+    {
+      name: "smoke",
+      skip: hasFlag("skip-smoke") ? "--skip-smoke" : dryRun && "dry run",
+      run: () => smoke(/^https?:/.test(apiUrl) ? apiUrl : "", webUrl)
+    }
+  ];
+
+  let failure = "";
+  for (const stage of stages) {
+    if (failure || stage.skip) {
+      Object.assign(stage, { status: "skipped", detail: failure ? "not run" : stage.skip });
+      continue;
+    }
+    console.log(\`\\n=== \${stage.name} ===\`);
+    const t0 = Date.now();
+    try {
+      Object.assign(stage, { status: "ok", detail: await stage.run() });
+    } catch (err) {
+      failure = err.message;
+      Object.assign(stage, { status: "failed", detail: err.message });
+    }
+    stage.ms = Date.now() - t0;
+  }
+
+  printSummary(stages, sha, started);
+  if (failure) fail(\`Deploy stopped: \${failure}\`);
+  console.log("\\n✅ Deploy complete");
+}
+
+main();
+`;
+}
+
+/**
+ * Generates the content for the root deploy-web.mjs script: builds a Flutter app for the web with
+ * the API URL and the environment's settings from the app's deploy.config.json (base href, renderer,
+ * dart defines) plus a build number, and deploys it to Netlify (a draft, or `--prod`), Firebase Hosting
+ * (a preview channel, or the live site with `--prod`) or a Cloud Storage bucket (synced with content
+ * types and cache headers set, optionally invalidating Cloud CDN). It ends by printing `URL: <url>`.
+ * @param {object} [options] - Options for the script.
+ * @param {string[]} [options.apps=["apps/client"]] - Paths of the Flutter apps; the first is deployed by default.
+ * @param {string[]} [options.apis=["functions/api"]] - Paths of the Node APIs.
+ * @param {string} [options.host="netlify"] - The default host: `netlify`, `firebase` or `gcs`.
+ * @param {string} [options.gcpProject=""] - The GCP project; the default bucket is `<project>-web`.
+ * @param {object} [options.netlify={}] - The `netlify.toml` options; with a proxied `apiUrl`, Netlify builds call `/api`.
+ * @returns {string} The content of the deploy-web.mjs file.
+ */
+export function deployWebScript({ apps = ["apps/client"], apis = ["functions/api"], host = "netlify", gcpProject = "", netlify = {} } = {}) {
+  const byName = (dirs) => Object.fromEntries(dirs.map((d) => [d.split("/").pop(), d]));
+  const apiUrl = webApiUrl({ apis, host, netlify });
+  const bucket = host === "gcs" && gcpProject ? `${gcpProject}-web` : "";
+  return `#!/usr/bin/env node
+import { execSync } from "child_process";
+import fs from "fs";
+import path from "path";
+
+const USAGE = \`Usage: node scripts/deploy-web.mjs [--app <name>] [--env <name>] [--prod] [--host netlify|firebase|gcs]
+  [--api-url <url>] [--define KEY=VALUE]... [--base-href <path>] [--renderer canvaskit|skwasm|html] [--build-number <n>]
+  [--project <id>] [--bucket <name>] [--url-map <name>] [--site <id>] [--skip-build] [--dry-run]\`;
+
+// Flutter apps in this repo, by name; the first one is deployed when --app is omitted
+const apps = ${JSON.stringify(byName(apps))};
+
+// Where the web app is hosted (new-project.mjs --web-host) and the API URL its builds call:
+// "/api" when the host forwards /api/* to the API, so the browser makes no cross-origin requests
+const HOSTS = ["netlify", "firebase", "gcs"];
+const DEFAULT_HOST = ${JSON.stringify(host)};
+const DEFAULT_API_URL = ${JSON.stringify(apiUrl)};
+const DEFAULT_BUCKET = ${JSON.stringify(bucket)};
+// Whether the app has a generated API client, which falls back to http://localhost:8080 without API_URL
+const HAS_API = ${JSON.stringify(apis.length > 0)};
+
+// Content types gcloud may not know or may guess wrong, by file extension
+const CONTENT_TYPES = {
+  ".js": "text/javascript",
+  ".mjs": "text/javascript",
+  ".json": "application/json",
+  ".wasm": "application/wasm",
+  ".otf": "font/otf",
+  ".ttf": "font/ttf",
+  ".symbols": "text/plain"
+};
+
+// Flutter files that must be revalidated on every load, so a new deploy takes effect at once;
+// everything else is cached for an hour
+const ENTRY_POINTS = ["index.html", "flutter_service_worker.js", "flutter_bootstrap.js", "main.dart.js", "version.json"];
+const ASSET_CACHE = "public, max-age=3600";
+
+// --renderer values and the flutter build flags that select them: skwasm is the WebAssembly build
+// (Flutter 3.22+); html only exists in older Flutter releases; canvaskit is the default
+const RENDERERS = { canvaskit: "", skwasm: "--wasm", html: "--web-renderer=html" };
+
+/**
+ * Gets a command-line argument value (\`--key value\` or \`--key=value\`).
+ * @param {string} key - The argument name without dashes.
+ * @param {string} def - The default value.
+ * @returns {string} The argument value, or the default.
+ */
+function getArg(key, def) {
+  const argv = process.argv.slice(2);
+  const inline = argv.find((a) => a.startsWith(\`--\${key}=\`));
+  if (inline) return inline.slice(key.length + 3);
+  const i = argv.indexOf(\`--\${key}\`);
+  return i !== -1 && argv[i + 1] && !argv[i + 1].startsWith("--") ? argv[i + 1] : def;
+}
+
+/**
+ * Gets every value of a repeatable argument (\`--key value\` or \`--key=value\`).
+ * @param {string} key - The argument name without dashes.
+ * @returns {string[]} The values, in order.
+ */
+function getArgs(key) {
+  const argv = process.argv.slice(2);
+  return argv.flatMap((a, i) => {
+    if (a.startsWith(\`--\${key}=\`)) return [a.slice(key.length + 3)];
+    return a === \`--\${key}\` && argv[i + 1] && !argv[i + 1].startsWith("--") ? [argv[i + 1]] : [];
+  });
+}
+
+/**
+ * Checks for a boolean flag.
+ * @param {string} key - The flag name without dashes.
+ * @returns {boolean} True if the flag is present.
+ */
+function hasFlag(key) {
+  return process.argv.slice(2).includes(\`--\${key}\`);
+}
+
+/**
+ * Prints an error and exits.
+ * @param {string} msg - The error message.
+ */
+function fail(msg) {
+  console.error("\\n" + msg);
+  process.exit(1);
+}
+
+const dryRun = hasFlag("dry-run") || hasFlag("dryRun");
+
+/**
+ * Executes a shell command synchronously; in dry-run mode it is only printed.
+ * @param {string} cmd - The command line.
+ * @param {string} [cwd] - The working directory.
+ */
+function run(cmd, cwd) {
+  console.log("\\n> " + cmd);
+  if (dryRun) {
+    console.log("Would run (dry-run):", cmd);
+    return;
+  }
+  try {
+    execSync(cmd, { stdio: "inherit", cwd });
+  } catch {
+    fail(\`Command failed: \${cmd}\`);
+  }
+}
+
+/**
+ * Executes a command and returns what it prints on stdout (stderr still goes to the terminal).
+ * In dry-run mode it is only printed.
+ * @param {string} cmd - The command line.
+ * @returns {string|null} The output, or null in dry-run mode.
+ */
+function capture(cmd) {
+  console.log("\\n> " + cmd);
+  if (dryRun) {
+    console.log("Would run (dry-run):", cmd);
+    return null;
+  }
+  try {
+    return execSync(cmd, { stdio: ["inherit", "pipe", "inherit"], encoding: "utf8" });
+  } catch {
+    fail(\`Command failed: \${cmd}\`);
+  }
+}
+
+/**
+ * Parses the JSON a CLI prints with --json, ignoring any text around it.
+ * @param {string} text - The output.
+ * @returns {object} The parsed object, or {} if there is none.
+ */
+function parseJson(text) {
+  try {
+    return JSON.parse(text.slice(text.indexOf("{"), text.lastIndexOf("}") + 1));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Checks whether a command succeeds, without showing its output.
+ * @param {string} cmd - The command line.
+ * @returns {boolean} True if it exited with status 0.
+ */
+function succeeds(cmd) {
+  try {
+    execSync(cmd, { stdio: "ignore" });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Quotes a value for the shell.
+ * @param {string} value - The value to quote.
+ * @returns {string} The quoted value.
+ */
+function quote(value) {
+  if (process.platform === "win32") return '"' + value.replace(/"/g, '\\\\"') + '"';
+  return "'" + value.replace(/'/g, "'\\\\''") + "'";
+}
+
+/**
+ * Lists the files under a directory.
+ * @param {string} dir - The directory.
+ * @returns {string[]} Paths relative to \`dir\`, with forward slashes.
+ */
+function listFiles(dir) {
+  return fs
+    .readdirSync(dir, { recursive: true, withFileTypes: true })
+    .filter((e) => e.isFile())
+    .map((e) => path.relative(dir, path.join(e.parentPath ?? e.path, e.name)).split(path.sep).join("/"))
+    .sort();
+}
+
+/**
+ * Loads the build settings from the app's deploy.config.json: its \`defaults\`, overridden by the
+ * named environment (whose \`defines\` are merged over the default ones).
+ * @param {string} appDir - The Flutter app directory.
+ * @param {string} name - The environment name, e.g. "staging", or "" for none.
+ * @returns {{defines?: object, baseHref?: string, renderer?: string, prod?: boolean}} The merged settings.
+ */
+function loadEnvironment(appDir, name) {
+  const file = path.join(appDir, "deploy.config.json");
+  if (!fs.existsSync(file)) {
+    if (name) fail(\`--env needs \${path.relative(process.cwd(), file)}.\`);
+    return {};
+  }
+  const { defaults = {}, environments = {} } = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (name && !environments[name]) {
+    fail(\`Unknown environment "\${name}". \${path.relative(process.cwd(), file)} defines: \${Object.keys(environments).join(", ")}\`);
+  }
+  const own = environments[name] || {};
+  return { ...defaults, ...own, defines: { ...defaults.defines, ...own.defines } };
+}
+
+/**
+ * Numbers the build: BUILD_NUMBER when set (e.g. by CI), else the number of commits on HEAD.
+ * @returns {string} The build number, or empty outside a git checkout.
+ */
+function defaultBuildNumber() {
+  if (process.env.BUILD_NUMBER) return process.env.BUILD_NUMBER;
+  try {
+    return execSync("git rev-list --count HEAD", { encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] }).trim();
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Builds the app for the web.
+ * @param {string} appDir - The Flutter app directory.
+ * @param {object} options - Build settings.
+ * @param {object} options.defines - \`--dart-define\` values by name.
+ * @param {string} options.baseHref - The path the app is served from.
+ * @param {string} options.renderer - A key of RENDERERS.
+ * @param {string} options.buildNumber - The build number, or empty for pubspec.yaml's.
+ */
+function build(appDir, { defines, baseHref, renderer, buildNumber }) {
+  const args = [
+    "flutter build web --release",
+    baseHref && \`--base-href=\${quote(baseHref)}\`,
+    RENDERERS[renderer],
+    buildNumber && \`--build-number=\${buildNumber}\`,
+    ...Object.entries(defines).map(([key, value]) => \`--dart-define=\${quote(\`\${key}=\${value}\`)}\`)
+  ];
+  run(args.filter(Boolean).join(" "), appDir);
+}
+
+/**
+ * Publishes the build to the Netlify site linked to this repo (or \`--site\`): a draft deploy with
+ * its own URL, or the production site with \`prod\`.
+ * @param {string} webDir - The build output.
+ * @param {boolean} prod - Whether to publish to production.
+ * @returns {string} The deploy's URL.
+ */
+function deployNetlify(webDir, prod) {
+  const site = getArg("site", "");
+  const out = capture(\`netlify deploy --dir \${quote(webDir)}\${prod ? " --prod" : ""}\${site ? \` --site \${quote(site)}\` : ""} --json\`);
+  if (out === null) return "";
+  const result = parseJson(out);
+  return (prod ? result.url : result.deploy_url) || result.deploy_url || "";
+}
+
+/**
+ * Deploys to Firebase Hosting, which serves the directory firebase.json publishes: the live site
+ * with \`prod\`, else a preview channel named after the environment.
+ * @param {string} webDir - The build output.
+ * @param {string} project - The Firebase project, or empty for the .firebaserc default.
+ * @param {boolean} prod - Whether to deploy to the live site.
+ * @param {string} channel - The preview channel for other deploys.
+ * @returns {string} The site's or the channel's URL.
+ */
+function deployFirebase(webDir, project, prod, channel) {
+  if (!fs.existsSync("firebase.json")) fail("firebase.json is missing. Regenerate it with: node scripts/new-project.mjs upgrade");
+  const publish = JSON.parse(fs.readFileSync("firebase.json", "utf8")).hosting?.public;
+  if (path.resolve(publish || "") !== webDir) {
+    fail(\`firebase.json publishes \${publish}, not \${path.relative(process.cwd(), webDir)}. Add a hosting target for this app to firebase.json.\`);
+  }
+  const projectFlag = project ? \` --project \${project}\` : "";
+  if (!prod) {
+    const out = capture(\`firebase hosting:channel:deploy \${channel}\${projectFlag} --json\`);
+    return out === null ? "" : Object.values(parseJson(out).result || {})[0]?.url || "";
+  }
+  run(\`firebase deploy --only hosting\${projectFlag}\`);
+  const site = project || (fs.existsSync(".firebaserc") ? JSON.parse(fs.readFileSync(".firebaserc", "utf8")).projects?.default : "");
+  return site ? \`https://\${site}.web.app\` : "";
+}
+
+/**
+ * Uploads the build to a Cloud Storage bucket: syncs the files (removing stale ones), fixes the
+ * content types gcloud may get wrong and makes the entry points revalidate on every load.
+ * With \`--url-map\`, the Cloud CDN cache of that load balancer is invalidated afterwards.
+ * @param {string} webDir - The build output.
+ * @param {string} project - The GCP project, or empty for the gcloud default.
+ * @returns {string} The bucket's URL for the app.
+ */
+function deployGcs(webDir, project) {
+  const bucket = getArg("bucket", process.env.WEB_BUCKET || DEFAULT_BUCKET);
+  if (!bucket) fail("Missing bucket. Pass --bucket <name> or set WEB_BUCKET.");
+  const flags = project ? \` --project=\${project}\` : "";
+  const url = \`gs://\${bucket}\`;
+
+  if (!dryRun && !succeeds(\`gcloud storage buckets describe \${url}\${flags}\`)) {
+    fail(
+      \`Bucket \${url} does not exist or you cannot access it. Create a public website bucket with:\\n\` +
+        \`  gcloud storage buckets create \${url}\${flags} --uniform-bucket-level-access\\n\` +
+        \`  gcloud storage buckets add-iam-policy-binding \${url} --member=allUsers --role=roles/storage.objectViewer\\n\` +
+        \`  gcloud storage buckets update \${url} --web-main-page-suffix=index.html --web-error-page=index.html\`
+    );
+  }
+
+  run(\`gcloud storage rsync \${quote(webDir)} \${url}\${flags} --recursive --delete-unmatched-destination-objects --cache-control=\${quote(ASSET_CACHE)}\`);
+
+  // Nothing is built in a dry run, so there may be no files to list
+  const files = fs.existsSync(webDir) ? listFiles(webDir) : [];
+  const urls = (list) => list.map((f) => quote(\`\${url}/\${f}\`)).join(" ");
+  for (const [ext, type] of Object.entries(CONTENT_TYPES)) {
+    const matching = files.filter((f) => f.endsWith(ext));
+    if (matching.length) run(\`gcloud storage objects update \${urls(matching)}\${flags} --content-type=\${type}\`);
+  }
+  const entries = files.filter((f) => ENTRY_POINTS.includes(f));
+  if (entries.length) run(\`gcloud storage objects update \${urls(entries)}\${flags} --cache-control=no-cache\`);
+
+  const urlMap = getArg("url-map", process.env.WEB_URL_MAP || "");
+  if (urlMap) run(\`gcloud compute url-maps invalidate-cdn-cache \${urlMap}\${flags} --path "/*" --async\`);
+  return \`https://storage.googleapis.com/\${bucket}/index.html\`;
+}
+
+/**
+ * Builds the selected app with the environment's settings and deploys it to the selected host.
+ */
+function main() {
+  if (hasFlag("help")) {
+    console.log(USAGE);
+    return;
+  }
+  const appName = getArg("app", Object.keys(apps)[0]);
+  if (!apps[appName]) fail(\`Unknown --app "\${appName}". Known: \${Object.keys(apps).join(", ")}\`);
+  const appDir = path.resolve(apps[appName]);
+  const webDir = path.join(appDir, "build", "web");
+  const host = getArg("host", DEFAULT_HOST);
+  if (!HOSTS.includes(host)) fail(\`Unknown --host "\${host}" (use \${HOSTS.join(", ")})\`);
+  const envName = getArg("env", "");
+  const environment = loadEnvironment(appDir, envName);
+  const project = getArg("project", process.env.GCP_PROJECT || "");
+  const prod = hasFlag("prod") || environment.prod === true;
+
+  // API_URL: the host's default, then deploy.config.json, API_URL, --define and --api-url
+  const defines = { ...(host === DEFAULT_HOST && DEFAULT_API_URL ? { API_URL: DEFAULT_API_URL } : {}), ...environment.defines };
+  if (process.env.API_URL) defines.API_URL = process.env.API_URL;
+  for (const pair of getArgs("define")) {
+    const at = pair.indexOf("=");
+    if (at < 1) fail(\`Invalid --define "\${pair}" (use KEY=VALUE)\`);
+    defines[pair.slice(0, at)] = pair.slice(at + 1);
+  }
+  const apiUrl = getArg("api-url", "");
+  if (apiUrl) defines.API_URL = apiUrl;
+  if (HAS_API && !defines.API_URL) console.log("Warning: no API URL (--api-url, API_URL or deploy.config.json); the app's API client will call http://localhost:8080.");
+
+  const baseHref = getArg("base-href", environment.baseHref || "");
+  if (baseHref && !/^\\/(.*\\/)?$/.test(baseHref)) fail(\`Invalid --base-href "\${baseHref}": it must start and end with "/".\`);
+  const renderer = getArg("renderer", environment.renderer || "canvaskit");
+  if (!(renderer in RENDERERS)) fail(\`Unknown --renderer "\${renderer}" (use \${Object.keys(RENDERERS).join(", ")})\`);
+  const buildNumber = getArg("build-number", defaultBuildNumber());
+
+  if (hasFlag("skip-build")) {
+    if (!dryRun && !fs.existsSync(path.join(webDir, "index.html"))) fail(\`No build in \${webDir}. Run without --skip-build.\`);
+  } else {
+    build(appDir, { defines, baseHref, renderer, buildNumber });
+  }
+
+  const target = host === "gcs" ? "live" : prod ? "production" : "draft";
+  console.log(\`\\nDeploying \${apps[appName]}\${envName ? \` (\${envName})\` : ""} to \${host} (\${target})\`);
+  let url = "";
+  if (host === "netlify") url = deployNetlify(webDir, prod);
+  if (host === "firebase") url = deployFirebase(webDir, project, prod, envName || "preview");
+  if (host === "gcs") url = deployGcs(webDir, project);
+
+  console.log(\`\\n✅ Deployed \${apps[appName]}\${buildNumber ? \` (build \${buildNumber})\` : ""}\`);
+  if (url) console.log(\`URL: \${url}\`);
+}
+
+main();
+`;
+}
+
+/**
+ * Generates the content for the smoke.mjs helper script.
+ * Performs basic sanity checks on the project structure and build status.
+ * @param {object} [options] - The components to check.
+ * @param {string[]} [options.apps=["apps/client"]] - Paths of the Flutter apps.
+ * @param {string[]} [options.apis=["functions/api"]] - Paths of the Node APIs.
+ * @param {string} [options.host="netlify"] - Where the web apps are hosted; its config file must exist.
+ * @returns {string} The content of the smoke.mjs file.
+ */
+export function smokeScript({ apps = ["apps/client"], apis = ["functions/api"], host = "netlify" } = {}) {
+  const hostConfig = { netlify: "netlify.toml", firebase: "firebase.json" }[host];
+  const exist = [
+    ...apps.map((a) => `  ok(fs.existsSync("${a}/pubspec.yaml"), "Flutter app exists at ${a}");`),
+    ...apis.map((a) => `  ok(fs.existsSync("${a}/package.json"), "API exists at ${a}");`),
+    ...(apps.length && hostConfig ? [`  ok(fs.existsSync("${hostConfig}"), "${hostConfig} exists");`] : []),
+    `  ok(fs.existsSync(".gitignore"), ".gitignore exists");`
+  ];
+  const deps = [
+    ...apps.map((a) => `  ok(fs.existsSync(path.join("${a}", ".dart_tool")), "Flutter dependencies installed (${a})");`),
+    ...apis.map((a) => `  ok(fs.existsSync(path.join("${a}", "node_modules")), "API dependencies installed (${a})");`)
+  ];
+  const builds = [
+    ...apps.map((a) => `  ok(await canBuildFlutter("${a}"), "Flutter app builds (${a})");`),
+    ...apis.map((a) => `  ok(await canBuildApi("${a}"), "API builds (${a})");`)
+  ];
+  const contract = apis.length
+    ? `\n  // Check that the generated clients match each openapi.json\n  ok(await runAsync("node scripts/gen-client.mjs --check", "."), "Generated API clients are up to date");\n`
+    : "";
+  return `#!/usr/bin/env node
+import fs from "fs";
+import { exec } from "child_process";
+import path from "path";
+
+/**
+ * Asserts a condition, logging success or failure and exiting on failure.
+ * @param {boolean} cond - The condition to check.
+ * @param {string} msg - The message to display.
+ */
+function ok(cond, msg) {
+  if (!cond) {
+    console.error("FAIL:", msg);
+    process.exit(1);
+  }
+  console.log("OK:", msg);
+}
+
+/**
+ * Runs an asynchronous shell command.
+ * @param {string} cmd - The command to execute.
+ * @param {string} cwd - The current working directory for the command.
+ * @returns {Promise<boolean>} Resolves to true if the command succeeds, false otherwise.
+ */
+function runAsync(cmd, cwd) {
+  return new Promise((resolve) => {
+    exec(cmd, { cwd }, (error, stdout, stderr) => {
+      if (error) {
+        console.error(\`Command failed: \${cmd}\n\${stderr}\`);
+        resolve(false);
+      } else {
+        resolve(true);
+      }
+    });
+  });
+}
+
+/**
+ * Checks if the Flutter application at the given path builds successfully.
+ * @param {string} projectPath - The path to the Flutter project.
+ * @returns {Promise<boolean>} True if the build succeeds, false otherwise.
+ */
+async function canBuildFlutter(projectPath) {
+  return await runAsync("flutter build web --release", projectPath);
+}
+
+/**
+ * Checks if the API application at the given path builds successfully.
+ * @param {string} projectPath - The path to the API project.
+ * @returns {Promise<boolean>} True if the build succeeds, false otherwise.
+ */
+async function canBuildApi(projectPath) {
+  return await runAsync("npm run build", projectPath);
+}
+
+/**
+ * Main function to perform smoke tests.
+ */
+async function main() { // Make main async
+${exist.join("\n")}
+
+  // Check that dependencies are installed
+${deps.join("\n")}
+${contract}
+  // Check that builds work
+${builds.join("\n")}
+
+  console.log("\\nSmoke checks passed.");
+}
+
+main(); // Call the async main
+`;
+}
+
+/**
+ * Generates the content for the zip-flutter.mjs helper script.
+ * Creates a ZIP archive of essential Flutter source files for sharing.
+ * @returns {string} The content of the zip-flutter.mjs file.
+ */
+export function zipFlutterScript() {
+  return `#!/usr/bin/env node
+import { execSync } from "child_process";
+import fs from "fs";
+import path from "path";
+import os from "os";
+
+/**
+ * Executes a shell command synchronously.
+ * @param {string} cmd - The command string to execute.
+ */
+function run(cmd) {
+  console.log("\\n> " + cmd);
+  execSync(cmd, { stdio: "inherit" });
+}
+
+/**
+ * Checks if a path exists.
+ * @param {string} p - The path to check.
+ * @returns {boolean} True if the path exists, false otherwise.
+ */
+function exists(p) {
+  return fs.existsSync(p);
+}
+
+const outDir = path.resolve("artifacts");
+if (!exists(outDir)) fs.mkdirSync(outDir, { recursive: true });
+
+const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+const zipPath = path.join(outDir, 'flutter-source-' + stamp + '.zip');
+
+const base = path.resolve("apps/client");
+if (!exists(base)) {
+  console.error("apps/client not found.");
+  process.exit(1);
+}
+
+// what to include
+const include = [
+  "lib",
+  "pubspec.yaml",
+  "pubspec.lock",
+  "analysis_options.yaml",
+  "web",
+  "assets"
+].filter((p) => exists(path.join(base, p)));
+
+if (include.length === 0) {
+  console.error("Nothing found to zip.");
+  process.exit(1);
+}
+
+if (os.platform() === "win32") {
+  // Use PowerShell Compress-Archive
+  // We'll copy selected files into a temp folder to avoid pulling in build artifacts.
+  const tmp = path.join(outDir, 'tmp-flutter-' + stamp);
+  fs.mkdirSync(tmp, { recursive: true });
+
+  for (const rel of include) {
+    const src = path.join(base, rel);
+    const dst = path.join(tmp, rel);
+    const stat = fs.statSync(src);
+    if (stat.isDirectory()) {
+      // robocopy handles dirs better on Windows
+      run('robocopy "' + src + '" "' + dst + '" /E /NFL /NDL /NJH /NJS /NC /NS /NP');
+    } else {
+      fs.mkdirSync(path.dirname(dst), { recursive: true });
+      fs.copyFileSync(src, dst);
+    }
+  }
+
+  // Create zip
+  // -Force overwrites if needed
+  run('powershell -NoProfile -Command "Compress-Archive -Path ''' + tmp + '\\\\*'' -DestinationPath ''' + zipPath + ''' -Force"');
+
+  // Cleanup temp folder
+  run('powershell -NoProfile -Command "Remove-Item -Recurse -Force ''' + tmp + '''"');
+
+  console.log("\\nCreated:", zipPath);
+  process.exit(0);
+}
+
+// mac/linux fallback: use zip if available
+try {
+  execSync("zip -v", { stdio: "ignore" });
+} catch {
+  console.error("zip command not found (non-Windows). Install zip or run on Windows.");
+  process.exit(1);
+}
+
+const args = include.map((p) => '"' + p + '"').join(" ");
+run('cd "' + base + '" && zip -r "' + zipPath + '" ' + args + ' -x "build/*" ".dart_tool/*"');
+console.log("\\nCreated:", zipPath);
+`;
+}
+
+/**
+ * Generates the content for the dev.mjs helper script.
+ * Runs an API under the Functions Framework (reloading on changes) and a Flutter app on
+ * `flutter run -d web-server` with the API URL passed as `--dart-define=API_URL`, prefixing
+ * each line of output with the component it came from.
+ * @param {object} [options] - The components that can be started.
+ * @param {string[]} [options.apps=["apps/client"]] - Paths of the Flutter apps; the first one runs by default.
+ * @param {string[]} [options.apis=["functions/api"]] - Paths of the Node APIs; the first one runs by default.
+ * @returns {string} The content of the dev.mjs file.
+ */
+export function devScript({ apps = ["apps/client"], apis = ["functions/api"] } = {}) {
+  const byName = (dirs) => Object.fromEntries(dirs.map((d) => [d.split("/").pop(), d]));
+  return `#!/usr/bin/env node
+import { spawn, spawnSync } from "child_process";
+import fs from "fs";
+import readline from "readline";
+
+const USAGE = \`Usage: node scripts/dev.mjs [--api <name>] [--app <name>] [--port <n>] [--web-port <n>] [--no-api] [--no-app]\`;
+
+// Components in this repo, by name; the first of each kind runs when none is given
+const apps = ${JSON.stringify(byName(apps))};
+const apis = ${JSON.stringify(byName(apis))};
+
+/**
+ * Gets a command-line argument value (\`--key value\` or \`--key=value\`).
+ * @param {string} key - The argument name without dashes.
+ * @param {string} def - The default value.
+ * @returns {string} The argument value, or the default.
+ */
+function getArg(key, def) {
+  const argv = process.argv.slice(2);
+  const inline = argv.find((a) => a.startsWith(\`--\${key}=\`));
+  if (inline) return inline.slice(key.length + 3);
+  const i = argv.indexOf(\`--\${key}\`);
+  return i !== -1 && argv[i + 1] && !argv[i + 1].startsWith("--") ? argv[i + 1] : def;
+}
+
+/**
+ * Checks for a boolean flag.
+ * @param {string} key - The flag name without dashes.
+ * @returns {boolean} True if the flag is present.
+ */
+function hasFlag(key) {
+  return process.argv.slice(2).includes(\`--\${key}\`);
+}
+
+/**
+ * Prints an error and exits.
+ * @param {string} msg - The error message.
+ */
+function fail(msg) {
+  console.error(msg);
+  process.exit(1);
+}
+
+/**
+ * Picks the component to run.
+ * @param {object} dirs - Component directories by name.
+ * @param {string} flag - The flag that selects one.
+ * @returns {string|null} The directory, or null if there is none or it was turned off with \`--no-<flag>\`.
+ */
+function pick(dirs, flag) {
+  if (hasFlag(\`no-\${flag}\`)) return null;
+  const name = getArg(flag, Object.keys(dirs)[0]);
+  if (name && !dirs[name]) fail(\`Unknown --\${flag} "\${name}". Known: \${Object.keys(dirs).join(", ")}\`);
+  return name ? dirs[name] : null;
+}
+
+const COLORS = [36, 35, 33, 32];
+const children = [];
+let stopping = false;
+
+/**
+ * Starts a command and copies its output with a \`[name]\` prefix on every line.
+ * On POSIX the command gets its own process group, so stopping it also stops what it started
+ * (npm -> tsx -> node, flutter -> dart).
+ * @param {string} name - The prefix.
+ * @param {string} cmd - The command line.
+ * @param {object} options - \`cwd\`, \`env\` and \`stdin\` (forward this process's input to it).
+ */
+function start(name, cmd, { cwd, env, stdin = false }) {
+  const color = COLORS[children.length % COLORS.length];
+  const prefix = process.stdout.isTTY ? \`\\x1b[\${color}m[\${name}]\\x1b[0m \` : \`[\${name}] \`;
+  console.log(\`\${prefix}> \${cmd}\`);
+  const child = spawn(cmd, {
+    cwd,
+    env: { ...process.env, ...env },
+    shell: true,
+    detached: process.platform !== "win32",
+    stdio: [stdin ? "pipe" : "ignore", "pipe", "pipe"]
+  });
+  for (const [stream, out] of [[child.stdout, process.stdout], [child.stderr, process.stderr]]) {
+    readline.createInterface({ input: stream }).on("line", (line) => out.write(prefix + line + "\\n"));
+  }
+  if (stdin) process.stdin.pipe(child.stdin);
+  child.on("exit", (code, signal) => {
+    if (stopping) return;
+    console.log(\`\${prefix}exited with \${signal || \`code \${code}\`}\`);
+    stopAll(code ?? 1);
+  });
+  children.push(child);
+}
+
+/**
+ * Stops every child (and the processes they started), then exits.
+ * @param {number} code - The exit code.
+ */
+function stopAll(code) {
+  stopping = true;
+  for (const child of children) {
+    if (child.exitCode !== null) continue;
+    if (process.platform === "win32") {
+      spawnSync("taskkill", ["/pid", String(child.pid), "/T", "/F"], { stdio: "ignore" });
+    } else {
+      try {
+        process.kill(-child.pid, "SIGTERM");
+      } catch {
+        // Already gone
+      }
+    }
+  }
+  process.exit(code);
+}
+
+if (hasFlag("help")) {
+  console.log(USAGE);
+  process.exit(0);
+}
+
+const apiDir = pick(apis, "api");
+const appDir = pick(apps, "app");
+const port = getArg("port", "8080");
+const webPort = getArg("web-port", "5000");
+if (!apiDir && !appDir) fail(\`Nothing to run.\\n\${USAGE}\`);
+
+if (apiDir) {
+  if (!fs.existsSync(\`\${apiDir}/node_modules\`)) fail(\`Dependencies missing in \${apiDir}. Run: cd \${apiDir} && npm install\`);
+  start(apiDir.split("/").pop(), "npm run dev", { cwd: apiDir, env: { PORT: port } });
+}
+if (appDir) {
+  // Read it in Dart with: const apiUrl = String.fromEnvironment("API_URL");
+  const define = apiDir ? \` --dart-define=API_URL=http://localhost:\${port}\` : "";
+  start(appDir.split("/").pop(), \`flutter run -d web-server --web-port=\${webPort}\${define}\`, { cwd: appDir, stdin: process.stdin.isTTY });
+  console.log(\`Web app: http://localhost:\${webPort}\${apiDir ? \`  API: http://localhost:\${port}\` : ""}\`);
+}
+
+process.on("SIGINT", () => stopAll(0));
+process.on("SIGTERM", () => stopAll(0));
+`;
+}
+
+/**
+ * Generates the content for the gen-client.mjs helper script.
+ * Reads each API's `openapi.json` and writes a Dart client for the Flutter app plus TypeScript
+ * request/response types for the API; `--check` reports files that no longer match (contract drift).
+ * @param {object} [options] - The components to generate for.
+ * @param {string[]} [options.apps=["apps/client"]] - Paths of the Flutter apps; the client goes into the first one.
+ * @param {string[]} [options.apis=["functions/api"]] - Paths of the Node APIs.
+ * @returns {string} The content of the gen-client.mjs file.
+ */
+export function genClientScript({ apps = ["apps/client"], apis = ["functions/api"] } = {}) {
+  const byName = (dirs) => Object.fromEntries(dirs.map((d) => [d.split("/").pop(), d]));
+  return `#!/usr/bin/env node
+// Generates typed clients from each API's openapi.json:
+//   - a Dart client for the Flutter app in <app>/lib/api/ (lib/api/<name>/ for further APIs)
+//   - TypeScript request/response types for the API itself in <api>/src/api-types.ts
+// Run it after changing an openapi.json. \`--check\` changes nothing and fails if the generated
+// files no longer match the documents (smoke.mjs runs it to catch contract drift).
+import fs from "fs";
+import path from "path";
+
+const USAGE = \`Usage: node scripts/gen-client.mjs [--app <name>] [--check]\`;
+
+// Components in this repo, by name; the Dart client goes into the first app unless --app is given
+const apps = ${JSON.stringify(byName(apps))};
+const apis = ${JSON.stringify(byName(apis))};
+
+const HEADER = "GENERATED CODE - DO NOT MODIFY BY HAND. Regenerate with: node scripts/gen-client.mjs";
+const DART_RESERVED = new Set(["assert", "break", "case", "catch", "class", "const", "continue", "default", "do", "else", "enum", "extends", "false", "final", "finally", "for", "if", "in", "is", "new", "null", "rethrow", "return", "super", "switch", "this", "throw", "true", "try", "var", "void", "while", "with"]);
+
+/**
+ * Gets a command-line argument value.
+ * @param {string} key - The argument name without dashes.
+ * @param {string} def - The default value.
+ * @returns {string} The argument value, or the default.
+ */
+function getArg(key, def) {
+  const argv = process.argv.slice(2);
+  const i = argv.indexOf(\`--\${key}\`);
+  return i !== -1 && argv[i + 1] && !argv[i + 1].startsWith("--") ? argv[i + 1] : def;
+}
+
+/**
+ * Prints an error and exits.
+ * @param {string} msg - The error message.
+ */
+function fail(msg) {
+  console.error(msg);
+  process.exit(1);
+}
+
+/**
+ * Converts a name such as \`user_id\`, \`get /items/{id}\` or \`Order-Line\` to lowerCamelCase.
+ * @param {string} name - The name.
+ * @returns {string} The identifier.
+ */
+function camel(name) {
+  const words = name.split(/[^A-Za-z0-9]+/).filter(Boolean);
+  return words.map((w, i) => (i === 0 ? w.charAt(0).toLowerCase() : w.charAt(0).toUpperCase()) + w.slice(1)).join("");
+}
+
+/**
+ * Converts a name to UpperCamelCase.
+ * @param {string} name - The name.
+ * @returns {string} The identifier.
+ */
+function pascal(name) {
+  const id = camel(name);
+  return id.charAt(0).toUpperCase() + id.slice(1);
+}
+
+/**
+ * Names the Dart field for a JSON property, avoiding reserved words.
+ * @param {string} key - The JSON property name.
+ * @returns {string} The Dart identifier.
+ */
+function dartField(key) {
+  const id = camel(key) || "value";
+  return DART_RESERVED.has(id) || /^[0-9]/.test(id) ? \`\${id}_\` : id;
+}
+
+/**
+ * Quotes a string as a Dart literal.
+ * @param {string} text - The text.
+ * @returns {string} The literal.
+ */
+function dartString(text) {
+  return \`'\${text.replace(/[\\\\'$]/g, (c) => \`\\\\\${c}\`)}'\`;
+}
+
+/**
+ * Names the type a \`$ref\` points to.
+ * @param {string} ref - e.g. \`#/components/schemas/Status\`.
+ * @returns {string} The type name.
+ */
+function refName(ref) {
+  return pascal(ref.split("/").pop());
+}
+
+/**
+ * Formats a description as doc comment lines.
+ * @param {string|undefined} text - The description.
+ * @param {string} indent - Leading whitespace.
+ * @param {"dart"|"ts"} lang - The target language.
+ * @returns {string[]} The lines (none without a description).
+ */
+function docLines(text, indent, lang) {
+  if (!text) return [];
+  const lines = text.trim().split("\\n");
+  if (lang === "dart") return lines.map((l) => \`\${indent}/// \${l}\`.trimEnd());
+  return [\`\${indent}/** \${lines.join(" ")} */\`];
+}
+
+// --- Dart ---
+
+/**
+ * Maps a schema to a Dart type.
+ * @param {object} schema - The schema.
+ * @returns {string} The Dart type.
+ */
+function dartType(schema) {
+  if (schema.$ref) return refName(schema.$ref);
+  if (schema.type === "string") return "String";
+  if (schema.type === "integer") return "int";
+  if (schema.type === "number") return "double";
+  if (schema.type === "boolean") return "bool";
+  if (schema.type === "array") return \`List<\${dartType(schema.items || {})}>\`;
+  if (schema.type === "object") return "Map<String, dynamic>";
+  return "dynamic";
+}
+
+/**
+ * Builds the Dart expression that converts decoded JSON to a schema's type.
+ * @param {object} schema - The schema.
+ * @param {string} expr - The JSON value expression.
+ * @returns {string} The Dart expression.
+ */
+function dartDecode(schema, expr) {
+  if (schema.$ref) return \`\${refName(schema.$ref)}.fromJson(\${expr} as Map<String, dynamic>)\`;
+  if (schema.type === "number") return \`(\${expr} as num).toDouble()\`;
+  if (schema.type === "array") return \`(\${expr} as List<dynamic>).map((e) => \${dartDecode(schema.items || {}, "e")}).toList()\`;
+  const type = dartType(schema);
+  return type === "dynamic" ? expr : \`\${expr} as \${type}\`;
+}
+
+/**
+ * Builds the Dart expression that converts a value to JSON.
+ * @param {object} schema - The schema.
+ * @param {string} expr - The value expression.
+ * @returns {string} The Dart expression.
+ */
+function dartEncode(schema, expr) {
+  if (schema.$ref) return \`\${expr}.toJson()\`;
+  if (schema.type === "array" && needsEncoding(schema.items || {})) return \`\${expr}.map((e) => \${dartEncode(schema.items, "e")}).toList()\`;
+  return expr;
+}
+
+/**
+ * Tells whether values of a schema need converting before jsonEncode.
+ * @param {object} schema - The schema.
+ * @returns {boolean} True for models and lists of models.
+ */
+function needsEncoding(schema) {
+  return Boolean(schema.$ref) || (schema.type === "array" && needsEncoding(schema.items || {}));
+}
+
+/**
+ * Generates a Dart model class (or a typedef for non-object schemas).
+ * @param {string} name - The schema name.
+ * @param {object} schema - The schema.
+ * @returns {string} The Dart source.
+ */
+function dartModel(name, schema) {
+  const type = pascal(name);
+  const doc = docLines(schema.description, "", "dart");
+  if (schema.type !== "object" || !schema.properties) return [...doc, \`typedef \${type} = \${dartType(schema)};\`].join("\\n");
+
+  const required = new Set(schema.required || []);
+  const props = Object.entries(schema.properties).map(([key, s]) => ({ key, s, field: dartField(key), optional: !required.has(key) }));
+  const lines = [...doc, \`class \${type} {\`];
+  if (!props.length) {
+    lines.push(\`  const \${type}();\`, "", \`  factory \${type}.fromJson(Map<String, dynamic> json) => const \${type}();\`, "", "  Map<String, dynamic> toJson() => {};", "}");
+    return lines.join("\\n");
+  }
+  lines.push(\`  const \${type}({\${props.map((p) => \`\${p.optional ? "" : "required "}this.\${p.field}\`).join(", ")}});\`, "");
+  lines.push(\`  factory \${type}.fromJson(Map<String, dynamic> json) => \${type}(\`);
+  for (const p of props) {
+    const value = \`json[\${dartString(p.key)}]\`;
+    lines.push(\`        \${p.field}: \${p.optional ? \`\${value} == null ? null : \` : ""}\${dartDecode(p.s, value)},\`);
+  }
+  lines.push("      );", "");
+  for (const p of props) {
+    lines.push(...docLines(p.s.description, "  ", "dart"), \`  final \${dartType(p.s)}\${p.optional ? "?" : ""} \${p.field};\`);
+  }
+  lines.push("", "  Map<String, dynamic> toJson() => {");
+  for (const p of props) {
+    const key = dartString(p.key);
+    if (!p.optional) lines.push(\`        \${key}: \${dartEncode(p.s, p.field)},\`);
+    else lines.push(\`        if (\${p.field} != null) \${key}: \${dartEncode(p.s, needsEncoding(p.s) ? \`\${p.field}!\` : p.field)},\`);
+  }
+  lines.push("      };", "}");
+  return lines.join("\\n");
+}
+
+/**
+ * Generates a client method for an operation.
+ * @param {object} op - The operation (see \`operations\`).
+ * @returns {string} The Dart source.
+ */
+function dartMethod(op) {
+  const args = [];
+  for (const p of op.params) args.push(\`\${p.required ? "required " : ""}\${dartType(p.schema)}\${p.required ? "" : "?"} \${p.field}\`);
+  if (op.body) args.push(\`\${op.bodyRequired ? "required " : ""}\${dartType(op.body)}\${op.bodyRequired ? "" : "?"} body\`);
+
+  // Parameters are locals, so null checks promote them (unlike the model fields above)
+  const toText = (p) => (p.schema.type === "string" ? p.field : \`\${p.field}.toString()\`);
+  const pathExpr = op.path.replace(/\\{([^}]+)\\}/g, (m, name) => {
+    const p = op.params.find((x) => x.in === "path" && x.name === name);
+    return "\${Uri.encodeComponent(" + (p ? toText(p) : dartString(name)) + ")}";
+  });
+  const query = op.params.filter((p) => p.in === "query").map((p) => \`\${p.required ? "" : \`if (\${p.field} != null) \`}\${dartString(p.name)}: \${toText(p)}\`);
+  const options = [
+    ...(query.length ? [\`query: {\${query.join(", ")}}\`] : []),
+    ...(op.body ? [\`body: \${op.bodyRequired ? dartEncode(op.body, "body") : dartEncode(op.body, needsEncoding(op.body) ? "body?" : "body")}\`] : [])
+  ];
+  const call = \`_send(\${dartString(op.method)}, '\${pathExpr.replace(/'/g, "\\\\'")}'\${options.map((o) => \`, \${o}\`).join("")})\`;
+  const returns = op.response ? dartType(op.response) : "void";
+
+  return [
+    ...docLines(op.summary, "  ", "dart"),
+    \`  Future<\${returns}> \${op.name}(\${args.length ? \`{\${args.join(", ")}}\` : ""}) async {\`,
+    ...(op.response ? [\`    final json = await \${call};\`, \`    return \${dartDecode(op.response, "json")};\`] : [\`    await \${call};\`]),
+    "  }"
+  ].join("\\n");
+}
+
+/**
+ * Generates the Dart client files for one API.
+ * @param {object} doc - The OpenAPI document.
+ * @param {object} options - Where the client goes and what it is called.
+ * @param {string} options.dir - The output directory.
+ * @param {string} options.prefix - Prepended to the client and exception class names.
+ * @param {string} options.urlDefine - The --dart-define name holding the API URL.
+ * @param {string} options.source - The OpenAPI document path, for the header.
+ * @returns {{path: string, content: string}[]} The files.
+ */
+function dartFiles(doc, { dir, prefix, urlDefine, source }) {
+  const header = \`// \${HEADER}\\n// Source: \${source}\\n\`;
+  const schemas = Object.entries(doc.components?.schemas || {});
+  const models = \`\${header}// ignore_for_file: unnecessary_cast\\n\\n\${schemas.map(([name, s]) => dartModel(name, s)).join("\\n\\n")}\\n\`;
+
+  const client = \`\${header}import 'dart:convert';
+
+import 'package:http/http.dart' as http;
+
+\${schemas.length ? "import 'models.dart';\\n\\n" : ""}/// Thrown for responses with a 4xx or 5xx status.
+class \${prefix}ApiException implements Exception {
+  \${prefix}ApiException(this.statusCode, this.body);
+
+  final int statusCode;
+  final String body;
+
+  @override
+  String toString() => '\${prefix}ApiException($statusCode): $body';
+}
+
+\${docLines(doc.info?.description || doc.info?.title, "", "dart").map((l) => \`\${l}\\n\`).join("")}class \${prefix}ApiClient {
+  \${prefix}ApiClient({String? baseUrl, http.Client? httpClient})
+      : baseUrl = baseUrl ?? const String.fromEnvironment('\${urlDefine}', defaultValue: 'http://localhost:8080'),
+        _http = httpClient ?? http.Client();
+
+  final String baseUrl;
+  final http.Client _http;
+
+\${operations(doc).map(dartMethod).join("\\n\\n")}
+
+  Future<dynamic> _send(String method, String path, {Map<String, String>? query, Object? body}) async {
+    final uri = Uri.parse(baseUrl + path).replace(queryParameters: query == null || query.isEmpty ? null : query);
+    final request = http.Request(method, uri);
+    if (body != null) {
+      request.headers['content-type'] = 'application/json';
+      request.body = jsonEncode(body);
+    }
+    final response = await http.Response.fromStream(await _http.send(request));
+    if (response.statusCode >= 400) throw \${prefix}ApiException(response.statusCode, response.body);
+    return response.body.isEmpty ? null : jsonDecode(response.body);
+  }
+}
+\`;
+  const barrel = \`\${header}\\nexport 'client.dart';\\n\${schemas.length ? "export 'models.dart';\\n" : ""}\`;
+  return [
+    { path: \`\${dir}/api.dart\`, content: barrel },
+    { path: \`\${dir}/client.dart\`, content: client },
+    ...(schemas.length ? [{ path: \`\${dir}/models.dart\`, content: models }] : [])
+  ];
+}
+
+// --- TypeScript ---
+
+/**
+ * Maps a schema to a TypeScript type.
+ * @param {object} schema - The schema.
+ * @returns {string} The type.
+ */
+function tsType(schema) {
+  if (schema.$ref) return refName(schema.$ref);
+  if (schema.enum) return schema.enum.map((v) => JSON.stringify(v)).join(" | ");
+  if (schema.type === "string") return "string";
+  if (schema.type === "integer" || schema.type === "number") return "number";
+  if (schema.type === "boolean") return "boolean";
+  if (schema.type === "array") return \`Array<\${tsType(schema.items || {})}>\`;
+  if (schema.type === "object" && schema.properties) return tsObject(schema, "");
+  if (schema.type === "object") return \`Record<string, \${schema.additionalProperties ? tsType(schema.additionalProperties === true ? {} : schema.additionalProperties) : "unknown"}>\`;
+  return "unknown";
+}
+
+/**
+ * Formats an object schema as a TypeScript type literal.
+ * @param {object} schema - The schema.
+ * @param {string} indent - Indentation of the closing brace.
+ * @returns {string} The type literal.
+ */
+function tsObject(schema, indent) {
+  const required = new Set(schema.required || []);
+  const key = (k) => (/^[A-Za-z_$][\\w$]*$/.test(k) ? k : JSON.stringify(k));
+  const lines = Object.entries(schema.properties || {}).flatMap(([k, s]) => [
+    ...docLines(s.description, \`\${indent}  \`, "ts"),
+    \`\${indent}  \${key(k)}\${required.has(k) ? "" : "?"}: \${tsType(s)};\`
+  ]);
+  return lines.length ? \`{\\n\${lines.join("\\n")}\\n\${indent}}\` : "{}";
+}
+
+/**
+ * Generates the TypeScript types for one API: a type per schema plus \`<Operation>Request\`
+ * (path params, query and body, when it has any) and \`<Operation>Response\` per operation.
+ * @param {object} doc - The OpenAPI document.
+ * @param {string} source - The OpenAPI document path, for the header.
+ * @returns {string} The source.
+ */
+function tsTypes(doc, source) {
+  const out = [\`// \${HEADER}\`, \`// Source: \${source}\`, ""];
+  for (const [name, schema] of Object.entries(doc.components?.schemas || {})) {
+    out.push(...docLines(schema.description, "", "ts"));
+    out.push(schema.type === "object" && schema.properties ? \`export interface \${pascal(name)} \${tsObject(schema, "")}\` : \`export type \${pascal(name)} = \${tsType(schema)};\`, "");
+  }
+  for (const op of operations(doc)) {
+    const type = pascal(op.name);
+    const part = (where) => {
+      const params = op.params.filter((p) => p.in === where);
+      return tsObject({ properties: Object.fromEntries(params.map((p) => [p.name, p.schema])), required: params.filter((p) => p.required).map((p) => p.name) }, "  ");
+    };
+    const fields = [
+      ...(op.params.some((p) => p.in === "path") ? [\`  params: \${part("path")};\`] : []),
+      ...(op.params.some((p) => p.in === "query") ? [\`  query: \${part("query")};\`] : []),
+      ...(op.body ? [\`  body\${op.bodyRequired ? "" : "?"}: \${tsType(op.body)};\`] : [])
+    ];
+    out.push(...docLines(op.summary, "", "ts"));
+    if (fields.length) out.push(\`export interface \${type}Request {\\n\${fields.join("\\n")}\\n}\`);
+    out.push(\`export type \${type}Response = \${op.response ? tsType(op.response) : "void"};\`, "");
+  }
+  return out.join("\\n");
+}
+
+// --- OpenAPI ---
+
+/**
+ * Lists the operations of an OpenAPI document with their parameters, JSON request body and
+ * JSON success response. Header and cookie parameters are left out.
+ * @param {object} doc - The OpenAPI document.
+ * @returns {object[]} The operations.
+ */
+function operations(doc) {
+  const resolve = (obj) => (obj?.$ref?.startsWith("#/components/") ? resolve(obj.$ref.split("/").slice(1).reduce((o, k) => o?.[k], doc)) : obj);
+  const ops = [];
+  for (const [route, item] of Object.entries(doc.paths || {})) {
+    for (const method of ["get", "post", "put", "patch", "delete"]) {
+      const op = item[method];
+      if (!op) continue;
+      const params = [...(item.parameters || []), ...(op.parameters || [])]
+        .map(resolve)
+        .filter((p) => p.in === "path" || p.in === "query")
+        .map((p) => ({ name: p.name, in: p.in, required: p.in === "path" || Boolean(p.required), schema: p.schema || { type: "string" }, field: dartField(p.name) }));
+      const requestBody = resolve(op.requestBody);
+      const status = Object.keys(op.responses || {}).find((s) => /^2/.test(s));
+      ops.push({
+        name: camel(op.operationId || \`\${method} \${route}\`),
+        method: method.toUpperCase(),
+        path: route,
+        summary: op.summary || op.description,
+        params,
+        body: requestBody?.content?.["application/json"]?.schema,
+        bodyRequired: Boolean(requestBody?.required),
+        response: status ? resolve(op.responses[status])?.content?.["application/json"]?.schema : undefined
+      });
+    }
+  }
+  return ops;
+}
+
+/**
+ * Main function: generates (or with --check, verifies) the clients for every API that has an openapi.json.
+ */
+function main() {
+  const argv = process.argv.slice(2);
+  if (argv.includes("--help")) {
+    console.log(USAGE);
+    return;
+  }
+  const check = argv.includes("--check");
+  const appName = getArg("app", Object.keys(apps)[0]);
+  if (appName && !apps[appName]) fail(\`Unknown --app "\${appName}". Known: \${Object.keys(apps).join(", ")}\`);
+  const appDir = appName ? apps[appName] : null;
+
+  const files = [];
+  Object.entries(apis).forEach(([name, dir], i) => {
+    const source = \`\${dir}/openapi.json\`;
+    if (!fs.existsSync(source)) {
+      console.log(\`Skipping \${dir}: no openapi.json.\`);
+      return;
+    }
+    let doc;
+    try {
+      doc = JSON.parse(fs.readFileSync(source, "utf8"));
+    } catch (e) {
+      fail(\`\${source} is not valid JSON: \${e.message}\`);
+    }
+    files.push({ path: \`\${dir}/src/api-types.ts\`, content: tsTypes(doc, source) });
+    if (appDir) {
+      const first = i === 0;
+      const urlDefine = first ? "API_URL" : \`\${name.toUpperCase().replace(/-/g, "_")}_API_URL\`;
+      files.push(...dartFiles(doc, { dir: first ? \`\${appDir}/lib/api\` : \`\${appDir}/lib/api/\${name}\`, prefix: first ? "" : pascal(name), urlDefine, source }));
+    }
+  });
+
+  if (check) {
+    const stale = files.filter((f) => !fs.existsSync(f.path) || fs.readFileSync(f.path, "utf8") !== f.content);
+    if (stale.length) {
+      fail(\`Generated API clients are out of date with openapi.json:\\n\${stale.map((f) => \`  \${f.path}\`).join("\\n")}\\nRun: node scripts/gen-client.mjs\`);
+    }
+    console.log(\`Generated API clients are up to date (\${files.length} files).\`);
+    return;
+  }
+
+  for (const file of files) {
+    fs.mkdirSync(path.dirname(file.path), { recursive: true });
+    fs.writeFileSync(file.path, file.content, "utf8");
+    console.log(\`Wrote \${file.path}\`);
+  }
+  const pubspec = appDir && path.join(appDir, "pubspec.yaml");
+  if (pubspec && fs.existsSync(pubspec) && !/^\\s+http:/m.test(fs.readFileSync(pubspec, "utf8"))) {
+    console.log(\`\\nThe Dart client needs the http package: cd \${appDir} && flutter pub add http\`);
+  }
+}
+
+main();
+`;
+}
+
+// --- templates for functions/api scaffold ---
+
+/**
+ * Generates the content for the API's package.json file.
+ * @param {string} repoName - The name of the repository, used for the API's package name.
+ * @param {string} [service="api"] - The API's name within the repo, appended to the package name.
+ * @param {string} [nodeVersion="20"] - The lowest Node.js major version the API supports.
+ * @returns {string} The content of the package.json file.
+ */
+export function apiPackageJson(repoName, service = "api", nodeVersion = "20") {
+  return JSON.stringify(
+    {
+      name: `${repoName}-${service}`,
+      private: true,
+      version: "0.0.0",
+      type: "module",
+      main: "dist/index.js",
+      // deploy.mjs derives the Cloud Functions runtime (nodejs<major>) from this
+      engines: { node: `>=${nodeVersion}` },
+      scripts: {
+        // Serves the handler over HTTP like Cloud Functions does, restarting when src/ changes
+        dev: "tsx watch --clear-screen=false node_modules/@google-cloud/functions-framework/build/src/main.js --target=handler --source=src/index.ts",
+        "dev:ts": "tsx watch src/index.ts",
+        build: "tsc -p tsconfig.json",
+        start: "node dist/index.js",
+        // Type-checks src/ including the tests (tsconfig.json leaves them out of the build), then runs them;
+        // Node 20's --test finds no .ts files by itself, so they are listed
+        typecheck: "tsc -p tsconfig.test.json",
+        test: "npm run typecheck && tsx --test src/*.test.ts",
+        lint: "eslint .",
+        format: "prettier -w .",
+        "deploy:functions": "node scripts/deploy.mjs --target functions",
+        "deploy:run": "node scripts/deploy.mjs --target run"
+      },
+      dependencies: {
+        "@google-cloud/functions-framework": "^3.5.0",
+        dotenv: "^16.4.5"
+      },
+      devDependencies: {
+        "@eslint/js": "^9.10.0",
+        "@types/node": "^22.5.5",
+        eslint: "^9.10.0",
+        globals: "^15.9.0",
+        prettier: "^3.3.3",
+        tsx: "^4.19.0",
+        typescript: "^5.6.3"
+      }
+    },
+    null,
+    2
+  ).concat("\n");
+}
+
+/**
+ * Generates the content for the API's tsconfig.json file.
+ * @returns {string} The content of the tsconfig.json file.
+ */
+export function apiTsconfig() {
+  return `{
+  "compilerOptions": {
+    "target": "ES2022",
+    "lib": ["ES2022"],
+    "module": "ES2022",
+    "moduleResolution": "Bundler",
+    "outDir": "dist",
+    "rootDir": "src",
+    "strict": true,
+    "esModuleInterop": true,
+    "skipLibCheck": true,
+    "sourceMap": true,
+    "types": ["node"]
+  },
+  "include": ["src/**/*.ts"],
+  "exclude": ["src/**/*.test.ts"]
+}
+`;
+}
+
+/**
+ * Generates the content for the API's tsconfig.test.json file: the build settings, without emitting,
+ * over all of src/ so that `npm run typecheck` covers the tests too.
+ * @returns {string} The content of the tsconfig.test.json file.
+ */
+export function apiTsconfigTest() {
+  return `{
+  "extends": "./tsconfig.json",
+  "compilerOptions": {
+    "noEmit": true
+  },
+  "include": ["src/**/*.ts"],
+  "exclude": []
+}
+`;
+}
+
+/**
+ * Generates the content for the API's eslint.config.js file.
+ * @returns {string} The content of the eslint.config.js file.
+ */
+export function apiEslintConfig() {
+  return `import js from "@eslint/js";
+import globals from "globals";
+
+export default [
+  js.configs.recommended,
+  {
+    files: ["**/*.ts", "**/*.js"],
+    languageOptions: {
+      globals: { ...globals.node }
+    },
+    rules: {
+      "no-unused-vars": "off"
+    }
+  }
+];
+`;
+}
+
+/**
+ * Generates the content for the API's .prettierrc file.
+ * @returns {string} The content of the .prettierrc file.
+ */
+export function apiPrettier() {
+  return `{
+  "singleQuote": true,
+  "semi": true,
+  "printWidth": 100
+}
+`;
+}
+
+/**
+ * Generates the content for the API's src/index.ts file: the routes, built on the helpers in
+ * src/http.ts and typed with what `scripts/gen-client.mjs` generates from openapi.json.
+ * @returns {string} The content of the src/index.ts file.
+ */
+export function apiIndexTs() {
+  return `import "dotenv/config";
+import { readFileSync } from "node:fs";
+import type { HttpFunction } from "@google-cloud/functions-framework";
+import type { EchoResponse, GetHealthResponse, GetStatusResponse, Message } from "./api-types.js";
+import { Router, createHandler, parseBody, type Schema } from "./http.js";
+
+// Request bodies are validated against the schemas in openapi.json, the contract the clients are generated from
+const openapi = JSON.parse(readFileSync(new URL("../openapi.json", import.meta.url), "utf8"));
+const schemas: Record<string, Schema> = openapi.components.schemas;
+
+export const router = new Router()
+  .get("/health", (): GetHealthResponse => ({ status: "ok" }))
+  .get("/", ({ req }): GetStatusResponse => ({ ok: true, path: req.path }))
+  .post("/echo", ({ req, requestId, log }): EchoResponse => {
+    const { message } = parseBody<Message>(req, schemas.Message, schemas);
+    log.debug("echo", { length: message.length });
+    return { message, requestId };
+  });
+
+export const handler: HttpFunction = createHandler(router);
+`;
+}
+
+/**
+ * Generates the content for the API's src/http.ts file: a small router, CORS from CORS_ORIGINS,
+ * request IDs, JSON body validation against openapi.json schemas, Cloud Logging-compatible
+ * structured logs and the error envelope every failure is sent in.
+ * @returns {string} The content of the src/http.ts file.
+ */
+export function apiHttpTs() {
+  return `// Small HTTP toolkit for the API: routing, CORS, request IDs, JSON body validation,
+// structured logs for Cloud Logging and one error envelope for every failure.
+import { randomUUID } from "node:crypto";
+import type { Request, Response } from "@google-cloud/functions-framework";
+
+/** A JSON Schema subset, as used in openapi.json. */
+export interface Schema {
+  $ref?: string;
+  type?: "object" | "array" | "string" | "number" | "integer" | "boolean";
+  properties?: Record<string, Schema>;
+  required?: string[];
+  additionalProperties?: boolean;
+  items?: Schema;
+  enum?: unknown[];
+  minLength?: number;
+  maxLength?: number;
+  minimum?: number;
+  maximum?: number;
+}
+
+export interface Context {
+  req: Request;
+  res: Response;
+  params: Record<string, string>;
+  requestId: string;
+  log: Logger;
+}
+
+/** Returns the JSON response body (sent with status 200 unless the route set another), or undefined for 204. */
+export type Route = (ctx: Context) => unknown | Promise<unknown>;
+
+/** An error that is sent as \`{ error: { code, message, details, requestId } }\` with its status. */
+export class HttpError extends Error {
+  constructor(
+    readonly status: number,
+    readonly code: string,
+    message: string,
+    readonly details?: unknown
+  ) {
+    super(message);
+  }
+}
+
+// --- Logging ---
+
+export interface Logger {
+  debug(message: string, fields?: Record<string, unknown>): void;
+  info(message: string, fields?: Record<string, unknown>): void;
+  warn(message: string, fields?: Record<string, unknown>): void;
+  error(message: string, fields?: Record<string, unknown>): void;
+}
+
+const LEVELS: Record<string, number> = { debug: 0, info: 1, warn: 2, error: 3, silent: 4 };
+
+/**
+ * Creates a logger that writes one JSON object per line. Cloud Run and Cloud Functions pass
+ * these to Cloud Logging, which reads \`severity\`, \`message\`, \`httpRequest\` and the trace field.
+ * LOG_LEVEL (debug, info, warn, error or silent; default info) drops less severe entries.
+ */
+export function createLogger(base: Record<string, unknown> = {}): Logger {
+  const min = LEVELS[(process.env.LOG_LEVEL || "info").toLowerCase()] ?? LEVELS.info;
+  const write = (severity: string, message: string, fields?: Record<string, unknown>) => {
+    const level = severity === "WARNING" ? LEVELS.warn : LEVELS[severity.toLowerCase()];
+    if (level < min) return;
+    const line = JSON.stringify({ severity, message, ...base, ...fields });
+    (severity === "ERROR" ? process.stderr : process.stdout).write(line + "\\n");
+  };
+  return {
+    debug: (message, fields) => write("DEBUG", message, fields),
+    info: (message, fields) => write("INFO", message, fields),
+    warn: (message, fields) => write("WARNING", message, fields),
+    error: (message, fields) => write("ERROR", message, fields)
+  };
+}
+
+function header(req: Request, name: string): string | undefined {
+  const value = req.headers[name];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/** Uses the caller's \`x-request-id\`, else the Google trace id, else a new UUID. */
+function requestIdOf(req: Request, traceId: string | undefined): string {
+  return header(req, "x-request-id") || traceId || randomUUID();
+}
+
+/** Links log entries to the request's trace, so Cloud Logging groups them under it. */
+function traceFields(traceId: string | undefined): Record<string, string> {
+  const project = process.env.GOOGLE_CLOUD_PROJECT || process.env.GCP_PROJECT;
+  return traceId && project ? { "logging.googleapis.com/trace": \`projects/\${project}/traces/\${traceId}\` } : {};
+}
+
+// --- CORS ---
+
+/**
+ * Builds the origin check from a comma-separated list such as CORS_ORIGINS. A \`*\` matches one
+ * hostname label or part of it, e.g. \`https://*--my-site.netlify.app\` for Netlify deploy previews;
+ * a lone \`*\` allows every origin. Without a list, only http://localhost and 127.0.0.1 are allowed.
+ */
+export function corsOrigins(list = process.env.CORS_ORIGINS): (origin: string) => boolean {
+  if (!list) return (origin) => /^http:\\/\\/(localhost|127\\.0\\.0\\.1)(:\\d+)?$/.test(origin);
+  const patterns = list
+    .split(",")
+    .map((o) => o.trim().replace(/\\/$/, ""))
+    .filter(Boolean)
+    .map((o) => new RegExp(\`^\${o.split("*").map((part) => part.replace(/[.+?^\${}()|[\\]\\\\]/g, "\\\\$&")).join(o === "*" ? ".*" : "[^./]*")}$\`));
+  return (origin) => patterns.some((p) => p.test(origin));
+}
+
+/** Sets the CORS headers for allowed origins; answers preflight requests. Returns true if it responded. */
+function applyCors(req: Request, res: Response, allowOrigin: (origin: string) => boolean): boolean {
+  const origin = header(req, "origin");
+  res.setHeader("vary", "Origin");
+  if (origin && allowOrigin(origin)) {
+    res.setHeader("access-control-allow-origin", origin);
+    res.setHeader("access-control-expose-headers", "x-request-id");
+  }
+  if (req.method !== "OPTIONS" || !header(req, "access-control-request-method")) return false;
+  if (origin && allowOrigin(origin)) {
+    res.setHeader("access-control-allow-methods", "GET, POST, PUT, PATCH, DELETE, OPTIONS");
+    res.setHeader("access-control-allow-headers", header(req, "access-control-request-headers") || "content-type, authorization");
+    res.setHeader("access-control-max-age", "3600");
+  }
+  res.status(204).end();
+  return true;
+}
+
+// --- Validation ---
+
+/**
+ * Checks a value against a schema. \`$ref\`s to \`#/components/schemas/<Name>\` resolve in \`schemas\`.
+ * Returns one "<path>: <problem>" entry per problem (empty when valid).
+ */
+export function validate(value: unknown, schema: Schema, schemas: Record<string, Schema> = {}, at = "body"): string[] {
+  if (schema.$ref) {
+    const target = schemas[schema.$ref.split("/").pop() as string];
+    if (!target) throw new Error(\`Unknown schema \${schema.$ref}\`);
+    return validate(value, target, schemas, at);
+  }
+  if (schema.enum && !schema.enum.includes(value)) return [\`\${at}: must be one of \${schema.enum.map((v) => JSON.stringify(v)).join(", ")}\`];
+
+  switch (schema.type) {
+    case "object": {
+      if (typeof value !== "object" || value === null || Array.isArray(value)) return [\`\${at}: must be an object\`];
+      const record = value as Record<string, unknown>;
+      const problems = (schema.required || []).filter((key) => record[key] === undefined).map((key) => \`\${at}.\${key}: is required\`);
+      for (const [key, item] of Object.entries(record)) {
+        const property = schema.properties?.[key];
+        if (property) problems.push(...validate(item, property, schemas, \`\${at}.\${key}\`));
+        else if (schema.additionalProperties === false) problems.push(\`\${at}.\${key}: is not allowed\`);
+      }
+      return problems;
+    }
+    case "array":
+      if (!Array.isArray(value)) return [\`\${at}: must be an array\`];
+      return schema.items ? value.flatMap((item, i) => validate(item, schema.items as Schema, schemas, \`\${at}[\${i}]\`)) : [];
+    case "string":
+      if (typeof value !== "string") return [\`\${at}: must be a string\`];
+      if (schema.minLength !== undefined && value.length < schema.minLength) return [\`\${at}: must be at least \${schema.minLength} characters\`];
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) return [\`\${at}: must be at most \${schema.maxLength} characters\`];
+      return [];
+    case "integer":
+    case "number":
+      if (typeof value !== "number" || !Number.isFinite(value) || (schema.type === "integer" && !Number.isInteger(value))) return [\`\${at}: must be \${schema.type === "integer" ? "an integer" : "a number"}\`];
+      if (schema.minimum !== undefined && value < schema.minimum) return [\`\${at}: must be at least \${schema.minimum}\`];
+      if (schema.maximum !== undefined && value > schema.maximum) return [\`\${at}: must be at most \${schema.maximum}\`];
+      return [];
+    case "boolean":
+      return typeof value === "boolean" ? [] : [\`\${at}: must be a boolean\`];
+    default:
+      return [];
+  }
+}
+
+/** Returns the parsed JSON body if it matches the schema; otherwise throws a 400 listing the problems. */
+export function parseBody<T>(req: Request, schema: Schema, schemas?: Record<string, Schema>): T {
+  const problems = validate(req.body, schema, schemas);
+  if (problems.length) throw new HttpError(400, "invalid_body", "The request body is invalid.", problems);
+  return req.body as T;
+}
+
+// --- Routing ---
+
+interface Entry {
+  method: string;
+  pattern: RegExp;
+  keys: string[];
+  route: Route;
+}
+
+/** Maps methods and paths (with \`:name\` parameters, e.g. \`/items/:id\`) to routes. */
+export class Router {
+  private readonly entries: Entry[] = [];
+
+  get(path: string, route: Route): this {
+    return this.add("GET", path, route);
+  }
+
+  post(path: string, route: Route): this {
+    return this.add("POST", path, route);
+  }
+
+  put(path: string, route: Route): this {
+    return this.add("PUT", path, route);
+  }
+
+  patch(path: string, route: Route): this {
+    return this.add("PATCH", path, route);
+  }
+
+  delete(path: string, route: Route): this {
+    return this.add("DELETE", path, route);
+  }
+
+  add(method: string, path: string, route: Route): this {
+    const keys: string[] = [];
+    const source = path
+      .split("/")
+      .map((segment) => {
+        if (!segment.startsWith(":")) return segment.replace(/[.+*?^\${}()|[\\]\\\\]/g, "\\\\$&");
+        keys.push(segment.slice(1));
+        return "([^/]+)";
+      })
+      .join("/");
+    this.entries.push({ method, pattern: new RegExp(\`^\${source}/?$\`), keys, route });
+    return this;
+  }
+
+  /** Finds the route for a request; \`allowed\` lists the methods the path supports when none matches. */
+  match(method: string, path: string): { route?: Route; params: Record<string, string>; allowed: string[] } {
+    const allowed: string[] = [];
+    for (const entry of this.entries) {
+      const m = entry.pattern.exec(path);
+      if (!m) continue;
+      if (entry.method === method || (method === "HEAD" && entry.method === "GET")) {
+        const params = Object.fromEntries(entry.keys.map((key, i) => [key, decodeURIComponent(m[i + 1])]));
+        return { route: entry.route, params, allowed };
+      }
+      allowed.push(entry.method);
+    }
+    return { params: {}, allowed };
+  }
+}
+
+/** Sends the error envelope; unexpected errors are logged and reported as a generic 500. */
+function sendError(res: Response, err: unknown, requestId: string, log: Logger): void {
+  const known = err instanceof HttpError ? err : null;
+  if (!known) log.error(err instanceof Error ? err.stack || err.message : String(err));
+  const status = known?.status ?? 500;
+  const error = {
+    code: known?.code ?? "internal",
+    message: known?.message ?? "Something went wrong.",
+    ...(known?.details === undefined ? {} : { details: known.details }),
+    requestId
+  };
+  res.status(status);
+  res.setHeader("content-type", "application/json");
+  res.send(JSON.stringify({ error }));
+}
+
+/** Removes \`basePath\` (e.g. "/api" behind a Firebase Hosting rewrite) from the start of a request path. */
+function stripBasePath(path: string, basePath: string): string {
+  const base = basePath.replace(/\\/+$/, "");
+  if (!base || (path !== base && !path.startsWith(\`\${base}/\`))) return path;
+  return path.slice(base.length) || "/";
+}
+
+/**
+ * Turns a router into an HTTP function (\`handler\` for functions-framework and Cloud Run).
+ * Every response carries \`x-request-id\`, errors use the envelope, and each request is logged with
+ * Cloud Logging's \`httpRequest\` fields. Routes also answer under \`BASE_PATH\` when it is set.
+ */
+export function createHandler(router: Router, { allowOrigin = corsOrigins(), basePath = process.env.BASE_PATH || "" } = {}) {
+  return async (req: Request, res: Response): Promise<void> => {
+    const started = Date.now();
+    const traceId = header(req, "x-cloud-trace-context")?.split("/")[0];
+    const requestId = requestIdOf(req, traceId);
+    const log = createLogger({ requestId, ...traceFields(traceId) });
+    const path = stripBasePath(req.path, basePath);
+    res.setHeader("x-request-id", requestId);
+
+    try {
+      if (applyCors(req, res, allowOrigin)) return;
+      const { route, params, allowed } = router.match(req.method, path);
+      if (!route) {
+        if (allowed.length) {
+          res.setHeader("allow", allowed.join(", "));
+          throw new HttpError(405, "method_not_allowed", \`\${req.method} is not allowed on \${path}.\`);
+        }
+        throw new HttpError(404, "not_found", \`No route for \${req.method} \${path}.\`);
+      }
+      const body = await route({ req, res, params, requestId, log });
+      if (res.headersSent) return;
+      if (body === undefined) {
+        res.status(204).end();
+      } else {
+        res.setHeader("content-type", "application/json");
+        res.send(JSON.stringify(body));
+      }
+    } catch (err) {
+      sendError(res, err, requestId, log);
+    } finally {
+      const latency = \`\${((Date.now() - started) / 1000).toFixed(3)}s\`;
+      log.info(\`\${req.method} \${path} \${res.statusCode}\`, {
+        httpRequest: { requestMethod: req.method, requestUrl: req.url, status: res.statusCode, latency, userAgent: header(req, "user-agent") }
+      });
+    }
+  };
+}
+`;
+}
+
+/**
+ * Generates the unit tests for src/http.ts (run with `npm test`).
+ * @returns {string} The content of the src/http.test.ts file.
+ */
+export function apiHttpTestTs() {
+  return `import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { Router, corsOrigins, validate, type Schema } from "./http.js";
+
+describe("corsOrigins", () => {
+  test("allows listed origins and wildcard labels", () => {
+    const allow = corsOrigins("https://shop.netlify.app, https://*--shop.netlify.app");
+    assert.ok(allow("https://shop.netlify.app"));
+    assert.ok(allow("https://deploy-preview-7--shop.netlify.app"));
+    assert.ok(!allow("https://evil.example"));
+    assert.ok(!allow("https://a.b--shop.netlify.app"));
+  });
+
+  test("allows only localhost when nothing is configured", () => {
+    const allow = corsOrigins("");
+    assert.ok(allow("http://localhost:5000"));
+    assert.ok(!allow("https://shop.netlify.app"));
+  });
+});
+
+describe("validate", () => {
+  const schemas: Record<string, Schema> = {
+    Item: { type: "object", required: ["name"], additionalProperties: false, properties: { name: { type: "string", minLength: 1 }, qty: { type: "integer" } } }
+  };
+
+  test("accepts matching values", () => {
+    assert.deepEqual(validate({ name: "a", qty: 2 }, { $ref: "#/components/schemas/Item" }, schemas), []);
+  });
+
+  test("lists every problem with its path", () => {
+    assert.deepEqual(validate({ qty: 1.5, extra: true }, { $ref: "#/components/schemas/Item" }, schemas), [
+      "body.name: is required",
+      "body.qty: must be an integer",
+      "body.extra: is not allowed"
+    ]);
+    assert.deepEqual(validate([{ name: "" }], { type: "array", items: schemas.Item }), ["body[0].name: must be at least 1 characters"]);
+  });
+});
+
+describe("Router", () => {
+  const route = () => "ok";
+  const router = new Router().get("/items/:id", route).delete("/items/:id", route);
+
+  test("matches methods and decodes path parameters", () => {
+    const found = router.match("GET", "/items/a%20b");
+    assert.equal(found.route, route);
+    assert.deepEqual(found.params, { id: "a b" });
+  });
+
+  test("reports the allowed methods when only the path matches", () => {
+    const found = router.match("POST", "/items/1");
+    assert.equal(found.route, undefined);
+    assert.deepEqual(found.allowed, ["GET", "DELETE"]);
+    assert.deepEqual(router.match("GET", "/nope").allowed, []);
+  });
+});
+`;
+}
+
+/**
+ * Generates the unit tests for the routes in src/index.ts, calling `handler` with stand-ins for
+ * the request and response (run with `npm test`).
+ * @returns {string} The content of the src/index.test.ts file.
+ */
+export function apiIndexTestTs() {
+  return `import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import type { Request, Response } from "@google-cloud/functions-framework";
+
+process.env.LOG_LEVEL = "silent";
+process.env.CORS_ORIGINS = "https://shop.netlify.app";
+process.env.BASE_PATH = "/api";
+const { handler } = await import("./index.js");
+
+// Calls the handler with just enough of Express's request and response
+async function call(method: string, path: string, { headers = {}, body }: { headers?: Record<string, string>; body?: unknown } = {}) {
+  const req = { method, path, url: path, headers, body };
+  const res = {
+    statusCode: 200,
+    headers: {} as Record<string, string>,
+    text: "",
+    headersSent: false,
+    status(code: number) {
+      this.statusCode = code;
+      return this;
+    },
+    setHeader(name: string, value: string) {
+      this.headers[name.toLowerCase()] = value;
+      return this;
+    },
+    send(text: string) {
+      this.text = text;
+      this.headersSent = true;
+      return this;
+    },
+    end() {
+      this.headersSent = true;
+      return this;
+    }
+  };
+  await handler(req as unknown as Request, res as unknown as Response);
+  return { status: res.statusCode, headers: res.headers, json: res.text ? JSON.parse(res.text) : undefined };
+}
+
+describe("handler", () => {
+  test("answers the health check with a request id", async () => {
+    const res = await call("GET", "/health", { headers: { "x-request-id": "r-1" } });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.json, { status: "ok" });
+    assert.equal(res.headers["x-request-id"], "r-1");
+  });
+
+  test("sets CORS headers for the web app and answers preflight requests", async () => {
+    const origin = "https://shop.netlify.app";
+    assert.equal((await call("GET", "/", { headers: { origin } })).headers["access-control-allow-origin"], origin);
+    const preflight = await call("OPTIONS", "/echo", { headers: { origin, "access-control-request-method": "POST" } });
+    assert.equal(preflight.status, 204);
+    assert.match(preflight.headers["access-control-allow-methods"], /POST/);
+    assert.equal((await call("GET", "/", { headers: { origin: "https://evil.example" } })).headers["access-control-allow-origin"], undefined);
+  });
+
+  test("validates JSON bodies", async () => {
+    assert.deepEqual((await call("POST", "/echo", { body: { message: "hi" }, headers: { "x-request-id": "r-2" } })).json, { message: "hi", requestId: "r-2" });
+    const bad = await call("POST", "/echo", { body: { message: 42 }, headers: { "x-request-id": "r-3" } });
+    assert.equal(bad.status, 400);
+    assert.deepEqual(bad.json, {
+      error: { code: "invalid_body", message: "The request body is invalid.", details: ["body.message: must be a string"], requestId: "r-3" }
+    });
+  });
+
+  test("answers under BASE_PATH as well", async () => {
+    assert.deepEqual((await call("GET", "/api/health")).json, { status: "ok" });
+    assert.equal((await call("GET", "/apiary")).status, 404);
+  });
+
+  test("uses the error envelope for unknown routes and methods", async () => {
+    const missing = await call("GET", "/nope");
+    assert.equal(missing.status, 404);
+    assert.equal(missing.json.error.code, "not_found");
+    const wrongMethod = await call("DELETE", "/health");
+    assert.equal(wrongMethod.status, 405);
+    assert.equal(wrongMethod.headers.allow, "GET");
+  });
+});
+`;
+}
+
+/**
+ * Generates the API's openapi.json: the contract `scripts/gen-client.mjs` turns into the Dart
+ * client and the TypeScript types, and src/index.ts validates request bodies against.
+ * It describes the starter routes and the error envelope.
+ * @param {object} options - Document metadata.
+ * @param {string} options.title - The API title (its package name).
+ * @returns {string} The content of the openapi.json file.
+ */
+export function apiOpenApi({ title }) {
+  const json = (schema) => ({ "application/json": { schema } });
+  const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+  const error = { description: "The error envelope.", content: json(ref("ApiError")) };
+  const doc = {
+    openapi: "3.0.3",
+    info: { title, version: "0.1.0" },
+    paths: {
+      "/": {
+        get: {
+          operationId: "getStatus",
+          summary: "Reports that the API is up.",
+          responses: { 200: { description: "The API is up.", content: json(ref("Status")) } }
+        }
+      },
+      "/health": {
+        get: {
+          operationId: "getHealth",
+          summary: "Health check for load balancers and deploy checks.",
+          responses: { 200: { description: "Healthy.", content: json(ref("Health")) } }
+        }
+      },
+      "/echo": {
+        post: {
+          operationId: "echo",
+          summary: "Returns the message it was sent (an example of a validated JSON body).",
+          requestBody: { required: true, content: json(ref("Message")) },
+          responses: { 200: { description: "The message.", content: json(ref("Echo")) }, 400: error }
+        }
+      }
+    },
+    components: {
+      schemas: {
+        Status: {
+          type: "object",
+          required: ["ok", "path"],
+          properties: {
+            ok: { type: "boolean" },
+            path: { type: "string", description: "The request path." }
+          }
+        },
+        Health: {
+          type: "object",
+          required: ["status"],
+          properties: { status: { type: "string", enum: ["ok"] } }
+        },
+        Message: {
+          type: "object",
+          required: ["message"],
+          additionalProperties: false,
+          properties: { message: { type: "string", minLength: 1, maxLength: 1000 } }
+        },
+        Echo: {
+          type: "object",
+          required: ["message", "requestId"],
+          properties: { message: { type: "string" }, requestId: { type: "string" } }
+        },
+        ApiError: {
+          type: "object",
+          description: "Every error response: 4xx for bad requests, 500 for failures (details are logged, not returned).",
+          required: ["error"],
+          properties: { error: ref("ErrorBody") }
+        },
+        ErrorBody: {
+          type: "object",
+          required: ["code", "message", "requestId"],
+          properties: {
+            code: { type: "string", description: "Stable machine-readable code, e.g. not_found or invalid_body." },
+            message: { type: "string" },
+            details: { type: "array", items: { type: "string" }, description: "What was wrong, e.g. each invalid field." },
+            requestId: { type: "string", description: "Also in the x-request-id header and every log entry for the request." }
+          }
+        }
+      }
+    }
+  };
+  return JSON.stringify(doc, null, 2) + "\n";
+}
+
+/**
+ * Generates the API's .env.example: the variables it reads, with local development values. `deploy.mjs --env`
+ * requires each of them in the environment's `env` or `secrets`.
+ * @returns {string} The content of the .env.example file.
+ */
+export function apiEnvExample() {
+  return `NODE_ENV=development
+# Browser origins allowed to call the API (comma-separated; * matches part of a hostname). Unset: localhost only.
+CORS_ORIGINS=http://localhost:5000
+# Path prefix to strip, e.g. /api behind a Firebase Hosting rewrite (set in deploy.config.json)
+# BASE_PATH=/api
+`;
+}
+
+// Service settings every environment starts from; `deploy` in .rapid-dev.json overrides them.
+// Not public by default: callers need IAM permission unless `auth` is "public".
+export const DEFAULT_DEPLOY_SETTINGS = {
+  auth: "iam",
+  invokers: [],
+  ingress: "all",
+  timeout: "60s",
+  maxInstances: 10,
+  healthPath: "/health",
+  rollout: [100]
+};
+
+// Environments every generated API starts with; `environments` in .rapid-dev.json adds to and overrides them
+export const DEFAULT_ENVIRONMENTS = {
+  dev: { serviceSuffix: "-dev", memory: "256Mi", minInstances: 0, env: { NODE_ENV: "production" } },
+  staging: { serviceSuffix: "-staging", memory: "256Mi", minInstances: 0, env: { NODE_ENV: "production" } },
+  prod: { serviceSuffix: "", memory: "512Mi", minInstances: 1, confirm: true, env: { NODE_ENV: "production" } }
+};
+
+/**
+ * Lists the browser origins an environment's API accepts (its `CORS_ORIGINS`): the web app's URL and,
+ * outside prod, the Netlify deploy previews and branch deploys of the same site (`https://*--<site>.netlify.app`).
+ * @param {string} webUrl - The web app's URL, or empty for none.
+ * @param {boolean} previews - Whether to add the Netlify preview origins.
+ * @returns {string} Comma-separated origins.
+ */
+function corsOrigins(webUrl, previews) {
+  if (!webUrl) return "";
+  const { origin, host } = new URL(webUrl);
+  return previews && host.endsWith(".netlify.app") ? `${origin},https://*--${host}` : origin;
+}
+
+/**
+ * Generates the API's deploy.config.json: service settings shared by every deploy (`defaults`: auth,
+ * invokers, service account, ingress, runtime and sizing) and the named environments
+ * `deploy.mjs --env <name>` deploys to, which can override any of them.
+ * Each environment also has its own project, region, service name suffix, env vars, Secret Manager
+ * references (`{ "KEY": "secret-id[:version]" }`) and sizing; `confirm` makes the deploy ask before it starts.
+ * @param {object} [options] - Options for the config.
+ * @param {string} [options.project=""] - GCP project for environments that do not set one.
+ * @param {string} [options.region="us-east1"] - GCP region for environments that do not set one.
+ * @param {string} [options.target="functions"] - Where `deploy.mjs` deploys unless `--target` says otherwise (`functions` or `run`).
+ * @param {object} [options.deploy] - Service settings from .rapid-dev.json, merged over `DEFAULT_DEPLOY_SETTINGS`.
+ * @param {object} [options.environments] - Environments from .rapid-dev.json, merged over `DEFAULT_ENVIRONMENTS` by name
+ *   (and their `env` and `secrets` maps by key).
+ * @param {string} [options.webUrl=""] - The web app's URL, allowed as a CORS origin (`CORS_ORIGINS`) in every environment.
+ * @param {string} [options.basePath=""] - Path prefix the API strips (`BASE_PATH`), e.g. `/api` behind a Firebase Hosting rewrite.
+ * @returns {string} The content of deploy.config.json.
+ */
+export function apiDeployConfig({ project = "", region = "us-east1", target = "functions", deploy = {}, environments = {}, webUrl = "", basePath = "" } = {}) {
+  const names = [...new Set([...Object.keys(DEFAULT_ENVIRONMENTS), ...Object.keys(environments)])];
+  const merged = Object.fromEntries(
+    names.map((name) => {
+      const base = DEFAULT_ENVIRONMENTS[name] || {};
+      const own = environments[name] || {};
+      const env = { ...base.env, CORS_ORIGINS: corsOrigins(webUrl, name !== "prod"), ...(basePath ? { BASE_PATH: basePath } : {}), ...own.env };
+      const secrets = { ...base.secrets, ...own.secrets };
+      return [name, { project, region, ...base, ...own, env, secrets }];
+    })
+  );
+  return JSON.stringify({ defaults: { target, ...DEFAULT_DEPLOY_SETTINGS, ...deploy }, environments: merged }, null, 2) + "\n";
+}
+
+/**
+ * Generates a Flutter app's deploy.config.json for deploy-web.mjs: build settings (`defaults`:
+ * `baseHref`, `renderer` and `--dart-define` values) and the named environments `--env <name>`
+ * builds for, which can override them and merge their own `defines`. `prod` publishes to the
+ * host's production site instead of a draft or preview channel.
+ * @param {object} [options] - Options for the config.
+ * @param {object} [options.environments] - Environments from .rapid-dev.json; only their names are used.
+ * @returns {string} The content of deploy.config.json.
+ */
+export function webDeployConfig({ environments = {} } = {}) {
+  const names = [...new Set([...Object.keys(DEFAULT_ENVIRONMENTS), ...Object.keys(environments)])];
+  const merged = Object.fromEntries(names.map((name) => [name, { ...(name === "prod" ? { prod: true } : {}), defines: {} }]));
+  return JSON.stringify({ defaults: { baseHref: "/", renderer: "canvaskit", defines: {} }, environments: merged }, null, 2) + "\n";
+}
+
+/**
+ * Generates the content for the API's scripts/deploy.mjs file.
+ * Handles deployment to Google Cloud Functions or Cloud Run with dry-run support. `--env <name>`
+ * takes the project, region, service suffix, env vars, secrets and sizing from deploy.config.json;
+ * flags still override them, and every key in .env.example must be covered by `env` or `secrets`.
+ * Deploys are refused from a dirty git tree, and environments with `confirm` (prod) ask first.
+ * Auth (IAM-only unless configured public, plus optional invokers), service account, ingress,
+ * runtime (from `engines.node`) and sizing come from flags, the environment or `defaults`.
+ * With `--target run --image`, the Dockerfile is built locally, pushed to Artifact Registry and
+ * deployed as an image (`--image <ref>` deploys an existing image instead).
+ * On Cloud Run, a new revision of an existing service is deployed with no traffic under a tag
+ * (`--tag`, default `candidate`), its health path (`healthPath`) is checked on the tagged URL, and only
+ * then does traffic move to it, in one step or gradually (`rollout`, `--gradual` for 10/50/100%) with
+ * a check after each step; a failed check returns the traffic to the previous revision.
+ * `rollback` shifts all traffic back to the revision before the current one (or `--to <revision>`).
+ * `secrets push --env <name>` uploads the environment's secrets from `.env.<name>` to Secret Manager.
+ * `url` prints the deployed service's URL as gcloud describes it, for the root deploy.mjs.
+ * @param {object} [options] - Options for the deploy script.
+ * @param {string} [options.service] - A fixed default service name, for APIs other than the first.
+ *   When omitted the default comes from `GCP_SERVICE` (or `api`).
+ * @returns {string} The content of the deploy.mjs file for the API.
+ */
+export function apiDeployScript({ service } = {}) {
+  const serviceDefault = service ? JSON.stringify(service) : 'process.env.GCP_SERVICE || "api"';
+  return `#!/usr/bin/env node
+import { execSync } from "child_process";
+import fs from "fs";
+import readline from "readline";
+
+/**
+ * Executes a shell command synchronously.
+ * If dryRun is enabled, it only logs the command without executing it.
+ * @param {string} cmd - The command string to execute.
+ */
+function run(cmd) {
+  console.log("\\n> " + cmd);
+  if (dryRun) {
+    console.log("Would run (dry-run):", cmd);
+    return;
+  }
+  execSync(cmd, { stdio: "inherit" });
+}
+
+/**
+ * Retrieves a command-line argument by key.
+ * @param {string} key - The key of the argument (e.g., "target").
+ * @param {*} def - The default value if the argument is not found.
+ * @returns {*} The argument value or the default value.
+ */
+function getArg(key, def) {
+  const ix = process.argv.indexOf("--" + key);
+  if (ix === -1) return def;
+  const v = process.argv[ix + 1];
+  if (!v || v.startsWith("--")) return def;
+  return v;
+}
+
+/**
+ * Checks whether a boolean flag was passed.
+ * @param {string} key - The flag name without dashes.
+ * @returns {boolean} True if the flag is present.
+ */
+function hasFlag(key) {
+  return process.argv.includes("--" + key);
+}
+
+/**
+ * Prints an error message and exits.
+ * @param {string} msg - The error message.
+ */
+function fail(msg) {
+  console.error("\\n" + msg);
+  process.exit(1);
+}
+
+/**
+ * Quotes a value for the shell.
+ * @param {string} value - The value to quote.
+ * @returns {string} The quoted value.
+ */
+function quote(value) {
+  if (process.platform === "win32") return '"' + value.replace(/"/g, '\\\\"') + '"';
+  return "'" + value.replace(/'/g, "'\\\\''") + "'";
+}
+
+/**
+ * Loads the settings for a deploy from deploy.config.json (next to this scripts/ folder):
+ * its \`defaults\`, overridden by the named environment's settings when one is given.
+ * @param {string} name - The environment name, e.g. "staging", or "" for none.
+ * @returns {object} The merged settings.
+ */
+function loadEnvironment(name) {
+  const file = new URL("../deploy.config.json", import.meta.url);
+  if (!fs.existsSync(file)) {
+    if (name) fail("--env needs deploy.config.json next to package.json.");
+    return {};
+  }
+  const { defaults = {}, environments = {} } = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (name && !environments[name]) {
+    fail(\`Unknown environment "\${name}". deploy.config.json defines: \${Object.keys(environments).join(", ")}\`);
+  }
+  return { ...defaults, ...environments[name] };
+}
+
+/**
+ * Derives the Cloud Functions runtime from \`engines.node\` in package.json (">=22" gives nodejs22).
+ * @returns {string} The runtime id; nodejs20 when package.json does not say.
+ */
+function nodeRuntime() {
+  const file = new URL("../package.json", import.meta.url);
+  const pkg = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+  const major = String(pkg.engines?.node || "").match(/\\d+/)?.[0];
+  return "nodejs" + (major || "20");
+}
+
+/**
+ * Reads a dotenv file into an object. Blank lines and comments are skipped; quotes around values are removed.
+ * @param {URL} file - The file.
+ * @returns {object|null} Variable names and values, or null if the file does not exist.
+ */
+function readDotenv(file) {
+  if (!fs.existsSync(file)) return null;
+  const vars = {};
+  for (const line of fs.readFileSync(file, "utf8").split(/\\r?\\n/)) {
+    const m = line.match(/^\\s*(?:export\\s+)?([A-Za-z_][A-Za-z0-9_]*)\\s*=\\s*(.*)$/);
+    if (m) vars[m[1]] = m[2].trim().replace(/^(['"])(.*)\\1$/, "$2");
+  }
+  return vars;
+}
+
+/**
+ * Checks that an environment sets every variable .env.example declares, through either
+ * \`env\` or \`secrets\`, and never both.
+ * @param {string} name - The environment name.
+ * @param {object} environment - The environment's settings.
+ */
+function checkCoverage(name, environment) {
+  const env = environment.env || {};
+  const secrets = environment.secrets || {};
+  const both = Object.keys(env).filter((k) => k in secrets);
+  if (both.length) fail(\`\${both.join(", ")} set in both "env" and "secrets" of environment "\${name}"; keep one.\`);
+
+  const declared = Object.keys(readDotenv(new URL("../.env.example", import.meta.url)) || {});
+  const missing = declared.filter((k) => !(k in env) && !(k in secrets));
+  if (missing.length) {
+    fail(\`.env.example declares \${missing.join(", ")}, but environment "\${name}" sets neither "env" nor "secrets" for \${missing.length > 1 ? "them" : "it"} in deploy.config.json.\`);
+  }
+}
+
+/**
+ * Splits a Secret Manager reference into the secret id and version.
+ * @param {string} ref - "secret-id" or "secret-id:version".
+ * @returns {{id: string, version: string}} The parts; the version defaults to "latest".
+ */
+function parseSecret(ref) {
+  const [id, version = "latest"] = ref.split(":");
+  return { id, version };
+}
+
+/**
+ * Uploads an environment's secrets from .env.<name> to Secret Manager: a new version of each
+ * existing secret, or a new secret. Values go to gcloud on stdin, never on the command line.
+ * @param {string} name - The environment name.
+ * @param {object} environment - The environment's settings.
+ */
+function pushSecrets(name, environment) {
+  const secrets = Object.entries(environment.secrets || {});
+  if (!secrets.length) fail(\`Environment "\${name}" declares no secrets in deploy.config.json.\`);
+  const values = readDotenv(new URL(\`../.env.\${name}\`, import.meta.url));
+  if (!values) fail(\`Missing .env.\${name} next to package.json (it is git-ignored; put the secret values there).\`);
+
+  for (const [key, ref] of secrets) {
+    const { id } = parseSecret(ref);
+    if (!(key in values)) {
+      console.log(\`\\nSkipping \${key}: not set in .env.\${name}.\`);
+      continue;
+    }
+    const exists = !dryRun && canRun(\`gcloud secrets describe \${id} --project=\${project}\`);
+    const cmd = exists
+      ? \`gcloud secrets versions add \${id} --project=\${project} --data-file=-\`
+      : \`gcloud secrets create \${id} --project=\${project} --replication-policy=automatic --data-file=-\`;
+    console.log(\`\\n> \${cmd}   (\${key} from .env.\${name})\`);
+    if (dryRun) {
+      console.log("Would run (dry-run); creates the secret, or adds a version if it exists.");
+      continue;
+    }
+    execSync(cmd, { input: values[key], stdio: ["pipe", "inherit", "inherit"] });
+  }
+}
+
+/**
+ * Checks whether a command succeeds, without printing its output.
+ * @param {string} cmd - The command.
+ * @returns {boolean} True if it exited with status 0.
+ */
+function canRun(cmd) {
+  try {
+    execSync(cmd, { stdio: "ignore" });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Runs a gcloud command that prints JSON, without showing its output.
+ * @param {string} cmd - The command, including --format=json.
+ * @returns {*} The parsed output, or null if the command failed.
+ */
+function gcloudJson(cmd) {
+  try {
+    return JSON.parse(execSync(cmd, { encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] }));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Asks gcloud for the deployed service's URL: \`status.url\` of the Cloud Run service, or
+ * \`serviceConfig.uri\` of the gen2 function.
+ * @returns {string} The URL, or empty if the service does not exist.
+ */
+function serviceUrl() {
+  const cmd =
+    target === "run"
+      ? \`gcloud run services describe \${service} --project=\${project} --region=\${region} --format="value(status.url)"\`
+      : \`gcloud functions describe \${service} --gen2 --project=\${project} --region=\${region} --format="value(serviceConfig.uri)"\`;
+  try {
+    return execSync(cmd, { encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] }).trim();
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Reads the Cloud Run service's current state.
+ * @returns {object|null} The service, or null if it does not exist yet.
+ */
+function describeService() {
+  return gcloudJson(\`gcloud run services describe \${service} --project=\${project} --region=\${region} --format=json\`);
+}
+
+/**
+ * Lists the revisions that receive traffic, the largest share first.
+ * @param {object} svc - The service, as describeService() returns it.
+ * @returns {{revision: string, percent: number}[]} The revisions and their traffic percentages.
+ */
+function servingRevisions(svc) {
+  return (svc?.status?.traffic || [])
+    .filter((t) => t.percent > 0)
+    .map((t) => ({ revision: t.revisionName || svc.status.latestReadyRevisionName, percent: t.percent }))
+    .sort((a, b) => b.percent - a.percent);
+}
+
+/**
+ * Sends all traffic to one revision.
+ * @param {string} revision - The revision name.
+ */
+function sendAllTraffic(revision) {
+  run(\`gcloud run services update-traffic \${service} --project=\${project} --region=\${region} --to-revisions=\${revision}=100\`);
+}
+
+/**
+ * Shifts all traffic back to the revision that served before the current one (or \`--to <revision>\`).
+ */
+function rollback() {
+  let to = getArg("to", "");
+  if (!to && dryRun) to = "<previous revision>";
+  if (!to) {
+    const svc = describeService();
+    if (!svc) fail(\`Cloud Run service \${service} not found in \${project} (\${region}).\`);
+    const current = servingRevisions(svc)[0]?.revision;
+    const revisions = gcloudJson(\`gcloud run revisions list --service=\${service} --project=\${project} --region=\${region} --sort-by=~metadata.creationTimestamp --format=json\`) || [];
+    const ready = revisions.filter((r) => r.status?.conditions?.some((c) => c.type === "Ready" && c.status === "True")).map((r) => r.metadata.name);
+    to = ready.slice(ready.indexOf(current) + 1)[0];
+    if (!to || ready.indexOf(current) === -1) fail(\`No ready revision older than \${current} to roll back to; pass --to <revision>.\`);
+    console.log(\`Rolling back \${service} from \${current} to \${to}\`);
+  }
+  sendAllTraffic(to);
+}
+
+/**
+ * Gets an identity token from gcloud, for calling IAM-only services.
+ * @returns {string} The token, or empty if gcloud has none.
+ */
+function identityToken() {
+  try {
+    return execSync("gcloud auth print-identity-token", { encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] }).trim();
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Calls a health endpoint until it answers 2xx, retrying while the revision starts.
+ * @param {string} url - The health check URL.
+ * @returns {Promise<boolean>} True once it is healthy.
+ */
+async function isHealthy(url) {
+  const retries = Number(setting("health-retries", "healthRetries", 5));
+  const token = auth === "iam" ? identityToken() : "";
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt) await new Promise((resolve) => setTimeout(resolve, 3000));
+    try {
+      const res = await fetch(url, { headers: token ? { authorization: \`Bearer \${token}\` } : {}, signal: AbortSignal.timeout(10000) });
+      console.log(\`GET \${url}: \${res.status}\`);
+      if (res.ok) return true;
+    } catch (err) {
+      console.log(\`GET \${url}: \${err.cause?.message || err.message}\`);
+    }
+  }
+  return false;
+}
+
+/**
+ * Reads the traffic steps for a new revision: \`--gradual\` (10, 50, 100), \`--rollout 25,100\`, or \`rollout\` in deploy.config.json.
+ * @returns {number[]} Ascending percentages ending at 100.
+ */
+function rolloutSteps() {
+  const configured = setting("rollout", "rollout", [100]);
+  // An empty list (or flag value) means the default: all traffic at once
+  const value = hasFlag("gradual") ? "10,50,100" : String(configured) || "100";
+  const steps = String(value).split(",").map(Number);
+  const valid = steps.every((p, i) => Number.isInteger(p) && p > 0 && p <= 100 && (i === 0 || p > steps[i - 1])) && steps.at(-1) === 100;
+  if (!valid) fail(\`Invalid rollout "\${value}": use ascending percentages ending at 100, e.g. 10,50,100.\`);
+  return steps;
+}
+
+/**
+ * Checks the new Cloud Run revision on its tagged URL, then moves traffic to it step by step,
+ * checking it again after each wait. A failed check leaves the traffic on (or returns it to) the
+ * revision that served before. A new service serves its first revision straight away, so that is
+ * only checked.
+ * @param {object|null} before - The service before the deploy, or null if it is new.
+ * @param {string} tag - The tag the new revision was deployed with.
+ */
+async function verifyAndMigrate(before, tag) {
+  const healthPath = setting("health-path", "healthPath", "/health");
+  const steps = rolloutSteps();
+  if (dryRun) {
+    console.log(\`\\nWould check \${healthPath} on the "\${tag}" revision URL, then move traffic to it: \${steps.join("% → ")}%\`);
+    return;
+  }
+  const svc = describeService();
+  if (!svc) fail(\`Cloud Run service \${service} not found after the deploy.\`);
+  if (!before) {
+    if (!(await isHealthy(svc.status.url + healthPath))) fail(\`The first revision of \${service} failed its health check (\${healthPath}).\`);
+    console.log(\`\\nService URL: \${svc.status.url}\`);
+    return;
+  }
+
+  const candidate = (svc.status.traffic || []).find((t) => t.tag === tag);
+  if (!candidate) fail(\`No revision of \${service} is tagged "\${tag}"; check the deploy output above.\`);
+  const previous = servingRevisions(before)[0]?.revision;
+  const revision = candidate.revisionName;
+  const healthUrl = candidate.url + healthPath;
+  if (!(await isHealthy(healthUrl))) {
+    fail(\`Revision \${revision} failed its health check at \${healthUrl}. It gets no traffic; \${previous} keeps serving.\`);
+  }
+
+  const wait = Number(setting("rollout-wait", "rolloutWait", 60));
+  for (const percent of steps) {
+    const rest = percent < 100 && previous ? \`,\${previous}=\${100 - percent}\` : "";
+    run(\`gcloud run services update-traffic \${service} --project=\${project} --region=\${region} --to-revisions=\${revision}=\${percent}\${rest}\`);
+    if (percent === 100) break;
+    console.log(\`\\n\${revision} serves \${percent}% of traffic; checking again in \${wait}s\`);
+    await new Promise((resolve) => setTimeout(resolve, wait * 1000));
+    if (!(await isHealthy(healthUrl))) {
+      if (!previous) fail(\`Revision \${revision} failed its health check at \${percent}% of traffic.\`);
+      sendAllTraffic(previous);
+      fail(\`Revision \${revision} failed its health check at \${percent}% of traffic; all traffic is back on \${previous}.\`);
+    }
+  }
+  console.log(\`\\n✅ \${revision} serves all traffic\`);
+  console.log(\`Service URL: \${svc.status.url}\`);
+}
+
+/**
+ * Returns a tag for a locally built image: the git commit, or a timestamp outside a git checkout.
+ * @returns {string} The tag.
+ */
+function imageTag() {
+  try {
+    return execSync("git rev-parse --short HEAD", { encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] }).trim();
+  } catch {
+    return new Date().toISOString().replace(/[-:TZ.]/g, "").slice(0, 14);
+  }
+}
+
+/**
+ * Builds the Dockerfile next to package.json for Cloud Run (linux/amd64) and pushes it to an
+ * Artifact Registry repository in the deploy region, creating the repository if needed.
+ * @returns {string} The pushed image reference.
+ */
+function buildAndPushImage() {
+  if (!fs.existsSync(new URL("../Dockerfile", import.meta.url))) {
+    fail("--image needs a Dockerfile next to package.json. Generate one from the starter kit: node scripts/add.mjs docker");
+  }
+  const repository = setting("repository", "repository", "containers");
+  const host = \`\${region}-docker.pkg.dev\`;
+  const image = \`\${host}/\${project}/\${repository}/\${service}:\${imageTag()}\`;
+
+  const where = \`--project=\${project} --location=\${region}\`;
+  if (dryRun || !canRun(\`gcloud artifacts repositories describe \${repository} \${where}\`)) {
+    run(\`gcloud artifacts repositories create \${repository} \${where} --repository-format=docker\`);
+  }
+  run(\`gcloud auth configure-docker \${host} --quiet\`);
+  run(\`docker build --platform linux/amd64 -t \${image} .\`);
+  run(\`docker push \${image}\`);
+  return image;
+}
+
+/**
+ * Checks for uncommitted changes. Outside a git checkout there is nothing to check.
+ * @returns {boolean} True if the working tree has changes.
+ */
+function isDirty() {
+  try {
+    return execSync("git status --porcelain", { encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] }).trim() !== "";
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Asks a yes/no question on the terminal.
+ * @param {string} question - The question.
+ * @returns {Promise<boolean>} True if the answer was yes.
+ */
+function confirm(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise((resolve) => {
+    rl.question(question + " [y/N] ", (answer) => {
+      rl.close();
+      resolve(/^y(es)?$/i.test(answer.trim()));
+    });
+  });
+}
+
+/**
+ * Builds the --set-env-vars flag for gcloud.
+ * @param {object} vars - Variable names and values.
+ * @returns {string|null} The flag, or null when there are no variables.
+ */
+function envVarsFlag(vars) {
+  const pairs = Object.entries(vars).map(([k, v]) => k + "=" + v);
+  if (!pairs.length) return null;
+  // gcloud splits the list on commas unless another delimiter is declared with ^delim^
+  const list = pairs.some((p) => p.includes(",")) ? "^@^" + pairs.join("@") : pairs.join(",");
+  return "--set-env-vars=" + quote(list);
+}
+
+/**
+ * Builds the --set-secrets flag for gcloud, mounting each secret version as an env var.
+ * @param {object} secrets - Variable names and Secret Manager references.
+ * @returns {string|null} The flag, or null when there are no secrets.
+ */
+function secretsFlag(secrets) {
+  const pairs = Object.entries(secrets).map(([k, ref]) => {
+    const { id, version } = parseSecret(ref);
+    return k + "=" + id + ":" + version;
+  });
+  return pairs.length ? "--set-secrets=" + quote(pairs.join(",")) : null;
+}
+
+/**
+ * Asks for confirmation when the environment requires it (prod), unless --yes was passed.
+ * @param {string} action - What is about to happen, for the question.
+ * @returns {Promise<void>}
+ */
+async function confirmEnvironment(action) {
+  if (!environment.confirm || dryRun || hasFlag("yes")) return;
+  if (!process.stdin.isTTY) fail(\`\${action} for "\${envName}" needs confirmation; pass --yes to run non-interactively.\`);
+  const ok = await confirm(\`\${action} for \${envName} (project \${project}, \${region})?\`);
+  if (!ok) fail("Aborted.");
+}
+
+const envName = getArg("env", "");
+const environment = loadEnvironment(envName);
+
+/**
+ * Resolves a setting: the flag, then the environment (or defaults) in deploy.config.json, then \`def\`.
+ * @param {string} flag - The flag name without dashes.
+ * @param {string} key - The key in deploy.config.json.
+ * @param {*} [def=""] - The fallback.
+ * @returns {*} The value.
+ */
+function setting(flag, key, def = "") {
+  return getArg(flag, environment[key] ?? def);
+}
+
+// Ingress values per target (Cloud Functions and Cloud Run name them differently)
+const INGRESS = {
+  all: { functions: "all", run: "all" },
+  internal: { functions: "internal-only", run: "internal" },
+  "internal-and-lb": { functions: "internal-and-gclb", run: "internal-and-cloud-load-balancing" }
+};
+
+const target = setting("target", "target", process.env.GCP_TARGET || "functions"); // functions | run
+const service = getArg("service", ${serviceDefault}) + (environment.serviceSuffix || "");
+const region = getArg("region", environment.region || process.env.GCP_REGION || "us-east1");
+const project = getArg("project", environment.project || process.env.GCP_PROJECT || "");
+const entry = getArg("entry", process.env.GCP_ENTRY_POINT || "handler");
+const auth = setting("auth", "auth", "iam"); // public | iam
+const invokers = getArg("invokers", "") ? getArg("invokers", "").split(",") : environment.invokers || [];
+const serviceAccount = setting("service-account", "serviceAccount");
+const ingress = setting("ingress", "ingress", "all");
+const runtime = setting("runtime", "runtime", "") || nodeRuntime();
+const memory = setting("memory", "memory");
+const cpu = setting("cpu", "cpu");
+const timeout = setting("timeout", "timeout");
+const concurrency = setting("concurrency", "concurrency");
+const minInstances = setting("min-instances", "minInstances");
+const maxInstances = setting("max-instances", "maxInstances");
+const source = ".";
+// --image builds and pushes the Dockerfile; --image <ref> deploys an existing image
+const imageRef = getArg("image", "");
+const useImage = Boolean(imageRef) || hasFlag("image");
+const dryRun = hasFlag("dryRun") || hasFlag("dry-run");
+
+if (!project) {
+  fail(\`Missing project. Set GCP_PROJECT env var, pass --project <id>\${envName ? \` or set environments.\${envName}.project in deploy.config.json\` : ""}.\`);
+}
+
+if (process.argv[2] === "secrets") {
+  if (process.argv[3] !== "push" || !envName) fail("Usage: node scripts/deploy.mjs secrets push --env <name> [--project <id>] [--dryRun]");
+  await confirmEnvironment("Push secrets");
+  pushSecrets(envName, environment);
+  process.exit(0);
+}
+
+if (process.argv[2] === "rollback") {
+  if (target !== "run") fail("rollback moves Cloud Run traffic between revisions; pass --target run.");
+  await confirmEnvironment(\`Roll back \${service}\`);
+  rollback();
+  process.exit(0);
+}
+
+if (process.argv[2] === "url") {
+  if (!["functions", "run"].includes(target)) fail(\`Unknown --target "\${target}" (use "functions" or "run")\`);
+  const url = serviceUrl();
+  if (!url) fail(\`gcloud reports no URL for \${service} in \${project} (\${region}, --target \${target}). Is it deployed there?\`);
+  console.log(url);
+  process.exit(0);
+}
+
+if (envName) checkCoverage(envName, environment);
+if (!["functions", "run"].includes(target)) fail(\`Unknown --target "\${target}" (use "functions" or "run")\`);
+if (!["public", "iam"].includes(auth)) fail(\`Unknown --auth "\${auth}" (use "public" or "iam")\`);
+if (!INGRESS[ingress]) fail(\`Unknown --ingress "\${ingress}" (use \${Object.keys(INGRESS).join(", ")})\`);
+if (auth === "public" && invokers.length) console.log("Warning: invokers are ignored because auth is public.");
+if (useImage && target !== "run") fail("--image deploys a container to Cloud Run; pass --target run.");
+
+if (isDirty()) {
+  if (dryRun) console.log("Warning: the git tree has uncommitted changes; a real deploy would be refused.");
+  else if (!hasFlag("allow-dirty")) fail("Refusing to deploy from a dirty git tree. Commit or stash your changes first (or pass --allow-dirty).");
+}
+
+await confirmEnvironment(\`Deploy \${service}\`);
+
+if (envName) console.log(\`Environment: \${envName} (project \${project}, region \${region}, service \${service})\`);
+
+const image = useImage ? imageRef || buildAndPushImage() : "";
+// Cloud Run: a new revision of an existing service starts with no traffic, reachable on its tag's URL
+const tag = setting("tag", "tag", "candidate");
+const before = target === "run" && !dryRun ? describeService() : null;
+const canary = target === "run" && (dryRun || Boolean(before));
+
+const common = [
+  \`--project=\${project}\`,
+  \`--region=\${region}\`,
+  image ? \`--image=\${image}\` : \`--source=\${source}\`,
+  auth === "public" ? "--allow-unauthenticated" : "--no-allow-unauthenticated",
+  serviceAccount && \`--service-account=\${serviceAccount}\`,
+  memory && \`--memory=\${memory}\`,
+  cpu && \`--cpu=\${cpu}\`,
+  timeout && \`--timeout=\${timeout}\`,
+  concurrency !== "" && \`--concurrency=\${concurrency}\`,
+  minInstances !== "" && \`--min-instances=\${minInstances}\`,
+  maxInstances !== "" && \`--max-instances=\${maxInstances}\`,
+  envVarsFlag(environment.env || {}),
+  secretsFlag(environment.secrets || {})
+];
+
+if (target === "functions") {
+  run(
+    [
+      \`gcloud functions deploy \${service}\`,
+      "--gen2",
+      \`--runtime=\${runtime}\`,
+      \`--entry-point=\${entry}\`,
+      "--trigger-http",
+      \`--ingress-settings=\${INGRESS[ingress].functions}\`,
+      ...common
+    ]
+      .filter(Boolean)
+      .join(" ")
+  );
+} else {
+  run(
+    [\`gcloud run deploy \${service}\`, \`--ingress=\${INGRESS[ingress].run}\`, ...common, canary && "--no-traffic", canary && \`--tag=\${tag}\`]
+      .filter(Boolean)
+      .join(" ")
+  );
+}
+
+// IAM-only services: grant the configured members permission to call the service
+for (const member of auth === "iam" ? invokers : []) {
+  if (target === "functions") {
+    run(\`gcloud functions add-invoker-policy-binding \${service} --project=\${project} --region=\${region} --member=\${member}\`);
+  } else {
+    run(\`gcloud run services add-iam-policy-binding \${service} --project=\${project} --region=\${region} --member=\${member} --role=roles/run.invoker\`);
+  }
+}
+
+if (target === "run") await verifyAndMigrate(before, tag);
+`;
+}
+
+// --- templates for the Cloud Run container ---
+
+/**
+ * Generates a multi-stage Dockerfile for the API: compiles TypeScript with `tsc`, then serves
+ * `dist/index.js` with functions-framework on `$PORT` using production dependencies only.
+ * @param {object} [options] - Options for the Dockerfile.
+ * @param {string} [options.nodeVersion="20"] - Node.js major version of the base images.
+ * @returns {string} The content of the Dockerfile.
+ */
+export function apiDockerfile({ nodeVersion = "20" } = {}) {
+  return `# syntax=docker/dockerfile:1
+FROM node:${nodeVersion}-slim AS build
+WORKDIR /app
+COPY package*.json ./
+RUN npm ci
+COPY tsconfig.json ./
+COPY src ./src
+RUN npm run build
+
+FROM node:${nodeVersion}-slim
+WORKDIR /app
+ENV NODE_ENV=production
+COPY package*.json ./
+RUN npm ci --omit=dev
+COPY --from=build /app/dist ./dist
+# Request bodies are validated against its schemas at runtime
+COPY openapi.json ./
+# Cloud Run sets PORT; functions-framework listens on it (8080 when run locally)
+ENV PORT=8080
+EXPOSE 8080
+CMD ["node_modules/.bin/functions-framework", "--target=handler", "--source=dist"]
+`;
+}
+
+/**
+ * Generates the API's .dockerignore so local builds and secrets stay out of the image.
+ * @returns {string} The content of the .dockerignore file.
+ */
+export function apiDockerignore() {
+  return `node_modules
+dist
+.env
+.env.*
+!.env.example
+*.log
+`;
+}
@@ -0,0 +1,76 @@
+// scripts/_toolchain.mjs
+import fs from "fs";
+import path from "path";
+import { matchesSpec } from "./_versions.mjs";
+
+export const LOCK_FILE_NAME = "toolchain.lock";
+
+/**
+ * Returns the toolchain spec pinned for a tool in the `toolchain` config section.
+ * Tools can be pinned by registry key (`netlify`) or by npm package name (`netlify-cli`).
+ *
+ * @param {object} tool - A tool entry from the registry.
+ * @param {object} [toolchain={}] - The `toolchain` section of `.rapid-dev.json`.
+ * @returns {string|null} The spec (e.g., "3.24.x"), or null if the tool is not pinned.
+ */
+export function specFor(tool, toolchain = {}) {
+  const spec = toolchain[tool.key] ?? (tool.npmGlobal ? toolchain[tool.npmGlobal] : undefined);
+  return spec == null ? null : String(spec);
+}
+
+/**
+ * Loads `toolchain.lock` from a directory.
+ *
+ * @param {string} [dir=process.cwd()] - The directory holding the lockfile.
+ * @returns {object|null} The parsed lock (`{ generatedAt, tools: { [key]: version } }`), or null if missing.
+ */
+export function loadLock(dir = process.cwd()) {
+  const p = path.join(dir, LOCK_FILE_NAME);
+  if (!fs.existsSync(p)) return null;
+  return JSON.parse(fs.readFileSync(p, "utf8"));
+}
+
+/**
+ * Writes `toolchain.lock` with exact versions, sorted by tool key.
+ *
+ * @param {object} versions - Map of tool key to exact version.
+ * @param {string} [dir=process.cwd()] - The directory to write the lockfile to.
+ * @returns {string} The path of the written lockfile.
+ */
+export function writeLock(versions, dir = process.cwd()) {
+  const p = path.join(dir, LOCK_FILE_NAME);
+  const tools = Object.fromEntries(Object.entries(versions).sort(([a], [b]) => a.localeCompare(b)));
+  fs.writeFileSync(p, JSON.stringify({ generatedAt: new Date().toISOString(), tools }, null, 2) + "\n", "utf8");
+  return p;
+}
+
+/**
+ * Works out the pin for every tool named in the `toolchain` config. The exact version comes from
+ * the lockfile when it still satisfies the spec; otherwise `resolve` is asked for the newest match.
+ *
+ * @param {object[]} registry - The effective tool list.
+ * @param {object} [toolchain={}] - The `toolchain` section of `.rapid-dev.json`.
+ * @param {object|null} lock - The loaded lockfile, if any.
+ * @param {function(object, string): Promise<string|null>} resolve - Resolves a spec to an exact version for a tool.
+ * @returns {Promise<Map<string, {spec: string, version: string|null, fromLock: boolean}>>} Pins by tool key.
+ */
+export async function resolvePins(registry, toolchain = {}, lock, resolve) {
+  const pins = new Map();
+  for (const tool of registry) {
+    const spec = specFor(tool, toolchain);
+    if (!spec) continue;
+    const locked = lock?.tools?.[tool.key];
+    if (locked && matchesSpec(locked, spec)) {
+      pins.set(tool.key, { spec, version: locked, fromLock: true });
+      continue;
+    }
+    let version = null;
+    try {
+      version = await resolve(tool, spec);
+    } catch {
+      // Offline or unknown source: fall back to matching the spec only
+    }
+    pins.set(tool.key, { spec, version, fromLock: false });
+  }
+  return pins;
+}
@@ -1,23 +1,112 @@
 // scripts/_tooling.config.mjs
+//
+// Tool registry used by bootstrap.mjs. Each entry:
+//   key        unique id (also used by `dependsOn` and by overrides in .rapid-dev.json)
+//   cmd        executable looked up on PATH
+//   win        { winget, choco } package ids
+//   mac        { brew } formula
+//   linux      { apt, dnf } packages, plus optionally `repo` (a key of `linuxRepos`
+//              below, added before installing) or `tarball` (Flutter's upstream archive)
+//   npmGlobal  npm package installed with `npm i -g`
+//   pythonPackage  package installed with pipx (or pip as a fallback)
+//   flutter    true for the Flutter SDK (upgraded with `flutter upgrade`)
+//   version    arguments that print the version (default "--version")
+//   minVersion lowest acceptable version, checked by doctor.mjs
+//   auth       command that succeeds (with output) only when the CLI is logged in, checked by doctor.mjs
+//   upgrade    command run instead of the package manager upgrade, or false to never upgrade
+//   postInstall  command run after a fresh install
+//   dependsOn  keys that must be ensured first
+//   optional   if true, a failure is reported but does not fail bootstrap
 export const tools = [
   // Core
-  { key: "git",  cmd: "git",  win: { winget: "Git.Git", choco: "git" } },
-  { key: "node", cmd: "node", win: { winget: "OpenJS.NodeJS.LTS", choco: "nodejs-lts" } },
-  { key: "gh",   cmd: "gh",   win: { winget: "GitHub.cli", choco: "gh" } },
+  { key: "git",  cmd: "git",  win: { winget: "Git.Git", choco: "git" }, mac: { brew: "git" }, linux: { apt: "git", dnf: "git" } },
+  { key: "node", cmd: "node", win: { winget: "OpenJS.NodeJS.LTS", choco: "nodejs-lts" }, mac: { brew: "node" }, linux: { apt: "nodejs", dnf: "nodejs" }, minVersion: "20" },
+  { key: "npm",  cmd: "npm",  dependsOn: ["node"] }, // ships with node
+  { key: "gh",   cmd: "gh",   win: { winget: "GitHub.cli", choco: "gh" }, mac: { brew: "github-cli" }, linux: { apt: "gh", dnf: "gh", repo: "github-cli" }, auth: "gh auth status" },
 
   // Netlify CLI (npm)
-  { key: "netlify", cmd: "netlify", npmGlobal: "netlify-cli" },
+  { key: "netlify", cmd: "netlify", npmGlobal: "netlify-cli", dependsOn: ["npm"], auth: "netlify status" },
 
   // GCP
-  { key: "gcloud", cmd: "gcloud", win: { winget: "Google.CloudSDK", choco: "google-cloud-sdk" } },
+  { key: "gcloud", cmd: "gcloud", win: { winget: "Google.CloudSDK", choco: "google-cloud-sdk" }, mac: { brew: "google-cloud-sdk" }, linux: { apt: "google-cloud-cli", dnf: "google-cloud-cli", repo: "google-cloud-cli" }, auth: 'gcloud auth list --filter=status:ACTIVE --format="value(account)"' },
 
   // Flutter SDK (special)
-  { key: "flutter", cmd: "flutter", flutter: true },
+  { key: "flutter", cmd: "flutter", flutter: true, win: { winget: "Flutter.Flutter", choco: "flutter" }, mac: { brew: "flutter" },
+    linux: { tarball: { releases: "https://storage.googleapis.com/flutter_infra_release/releases/releases_linux.json", dir: "~/development" } } },
 
   // Optional: pipx + aider
-  { key: "pipx", cmd: "pipx", win: { winget: "Python.Pipx", choco: "pipx" }, optional: true },
-  { key: "python", cmd: "python", win: { winget: "Python.Python.3.12", choco: "python" }, optional: true },
+  { key: "python", cmd: "python", win: { winget: "Python.Python.3.12", choco: "python" }, mac: { brew: "python" }, linux: { apt: "python-is-python3", dnf: "python-unversioned-command" }, upgrade: "python -m pip install --upgrade pip", optional: true },
+  { key: "pipx", cmd: "pipx", win: { winget: "Python.Pipx", choco: "pipx" }, mac: { brew: "pipx" }, linux: { apt: "pipx", dnf: "pipx" }, postInstall: "pipx ensurepath", upgrade: false, dependsOn: ["python"], optional: true },
 
   // Aider (python)
-  { key: "aider", cmd: "aider", pythonPackage: "aider-chat", optional: true },
+  { key: "aider", cmd: "aider", pythonPackage: "aider-chat", dependsOn: ["python", "pipx"], optional: true },
 ];
+
+// Upstream package repositories for Linux tools the distros don't ship (or ship outdated).
+// `marker` is the file the setup creates; setup is skipped when it already exists.
+// Setup commands run as root (bootstrap prefixes them with sudo when needed).
+export const linuxRepos = {
+  "github-cli": {
+    apt: {
+      marker: "/etc/apt/sources.list.d/github-cli.list",
+      setup: [
+        "mkdir -p -m 755 /etc/apt/keyrings",
+        "curl -fsSL https://cli.github.com/packages/githubcli-archive-keyring.gpg -o /etc/apt/keyrings/githubcli-archive-keyring.gpg",
+        "chmod go+r /etc/apt/keyrings/githubcli-archive-keyring.gpg",
+        `echo "deb [arch=$(dpkg --print-architecture) signed-by=/etc/apt/keyrings/githubcli-archive-keyring.gpg] https://cli.github.com/packages stable main" > /etc/apt/sources.list.d/github-cli.list`,
+        "apt-get update",
+      ],
+    },
+    dnf: {
+      marker: "/etc/yum.repos.d/gh-cli.repo",
+      setup: [
+        "curl -fsSL https://cli.github.com/packages/rpm/gh-cli.repo -o /etc/yum.repos.d/gh-cli.repo",
+      ],
+    },
+  },
+  "google-cloud-cli": {
+    apt: {
+      marker: "/etc/apt/sources.list.d/google-cloud-sdk.list",
+      setup: [
+        "apt-get install -y apt-transport-https ca-certificates gnupg curl",
+        "curl -fsSL https://packages.cloud.google.com/apt/doc/apt-key.gpg | gpg --dearmor --yes -o /usr/share/keyrings/cloud.google.gpg",
+        `echo "deb [signed-by=/usr/share/keyrings/cloud.google.gpg] https://packages.cloud.google.com/apt cloud-sdk main" > /etc/apt/sources.list.d/google-cloud-sdk.list`,
+        "apt-get update",
+      ],
+    },
+    dnf: {
+      marker: "/etc/yum.repos.d/google-cloud-sdk.repo",
+      setup: [
+        `printf '[google-cloud-cli]\\nname=Google Cloud CLI\\nbaseurl=https://packages.cloud.google.com/yum/repos/cloud-sdk-el9-x86_64\\nenabled=1\\ngpgcheck=1\\nrepo_gpgcheck=0\\ngpgkey=https://packages.cloud.google.com/yum/doc/rpm-package-key.gpg\\n' > /etc/yum.repos.d/google-cloud-sdk.repo`,
+      ],
+    },
+  },
+};
+
+/**
+ * Merges the built-in tool registry with entries from the `tools` array in `.rapid-dev.json`.
+ * An entry whose `key` matches a built-in tool is merged over it (per-platform package maps are
+ * merged too); `{ "key": "...", "disabled": true }` removes a tool; any other entry is appended.
+ *
+ * @param {object[]} [overrides=[]] - Tool entries from the user's configuration.
+ * @returns {object[]} The effective tool list, in install order.
+ */
+export function resolveTools(overrides = []) {
+  const byKey = new Map(tools.map((t) => [t.key, t]));
+
+  for (const o of overrides) {
+    if (!o || !o.key) throw new Error('Each entry in "tools" needs a "key".');
+    const base = byKey.get(o.key);
+    if (!base) {
+      byKey.set(o.key, { cmd: o.key, ...o });
+      continue;
+    }
+    const merged = { ...base, ...o };
+    for (const platform of ["win", "mac", "linux"]) {
+      if (base[platform] || o[platform]) merged[platform] = { ...base[platform], ...o[platform] };
+    }
+    byKey.set(o.key, merged);
+  }
+
+  return [...byKey.values()].filter((t) => !t.disabled);
+}
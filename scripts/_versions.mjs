@@ -0,0 +1,45 @@
+// scripts/_versions.mjs
+
+/**
+ * Extracts the first version number (e.g., `2.45.1`, `v20.11.0`, `3.24`) from a tool's version output.
+ *
+ * @param {string} text - The output of `<tool> --version` or similar.
+ * @returns {string|null} The version as `major.minor.patch` (missing parts become 0), or null if none was found.
+ */
+export function parseVersion(text) {
+  const m = String(text ?? "").match(/(\d+)\.(\d+)(?:\.(\d+))?/);
+  if (!m) return null;
+  return [m[1], m[2], m[3] ?? "0"].map(Number).join(".");
+}
+
+/**
+ * Compares two dotted version strings numerically. Missing parts count as 0.
+ *
+ * @param {string} a - The first version (e.g., "20.11.0").
+ * @param {string} b - The second version (e.g., "20").
+ * @returns {number} A negative number if a < b, 0 if equal, a positive number if a > b.
+ */
+export function compareVersions(a, b) {
+  const pa = String(a).replace(/^v/, "").split(".").map(Number);
+  const pb = String(b).replace(/^v/, "").split(".").map(Number);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const d = (pa[i] || 0) - (pb[i] || 0);
+    if (d !== 0) return d;
+  }
+  return 0;
+}
+
+/**
+ * Checks whether a version satisfies a toolchain spec. A spec pins a prefix of the version:
+ * "20" matches any 20.x.y, "3.24.x" (or "3.24") any 3.24.y, and "3.24.5" only that release.
+ *
+ * @param {string} version - An installed or candidate version (e.g., "3.24.5").
+ * @param {string} spec - The pin from the `toolchain` config (e.g., "3.24.x").
+ * @returns {boolean} True if the version satisfies the spec.
+ */
+export function matchesSpec(version, spec) {
+  if (!version) return false;
+  const v = String(version).replace(/^v/, "").split(".");
+  const s = String(spec).replace(/^v/, "").split(".");
+  return s.every((part, i) => part === "x" || part === "*" || Number(part) === Number(v[i] ?? 0));
+}
@@ -0,0 +1,108 @@
+// scripts/_wizard.mjs
+import { buildRepoName, validateRepoName } from "./_naming.mjs";
+
+// Naming patterns supported by buildRepoName, with the segments each one needs
+const PATTERNS = [
+  { value: "general", label: "General    {project}-{description}   e.g. website-frontend", segments: ["project", "description"] },
+  { value: "service", label: "Service    {project}-{service}-{type}  e.g. ecom-order-api", segments: ["project", "service", "type"] },
+  { value: "component", label: "Component  {team}-{component}         e.g. data-analytics-module", segments: ["team", "component"] }
+];
+
+// Shown next to the region prompt; any region matching the GCP format is accepted
+const REGION_HINT = "e.g. us-east1, us-central1, europe-west1, asia-northeast1";
+
+/**
+ * Walks the user through naming and options for a new project, defaulting every answer to
+ * `.rapid-dev.json`. The repo name is previewed and validated as the segments are entered.
+ *
+ * @param {object} args - Parsed command-line arguments; answers are merged over them.
+ * @param {object} config - Loaded `.rapid-dev.json` configuration.
+ * @param {{ask: Function, choose: Function, confirm: Function}} prompter - Prompt helpers from `_prompt.mjs`.
+ * @param {{name: string, description: string, components?: object}[]} [templates=[]] - Templates to offer,
+ *   from `listTemplates`; with fewer than two the question is skipped.
+ * @returns {Promise<object|null>} The completed arguments, or null if the user did not confirm.
+ */
+export async function runWizard(args, config, prompter, templates = []) {
+  const defaults = config.defaults || {};
+  const answers = { ...args };
+
+  console.log("\nNew project — press Enter to accept [defaults].");
+
+  let template;
+  if (templates.length > 1) {
+    answers.template = await prompter.choose(
+      "Template:",
+      templates.map((t) => ({ value: t.name, label: `${t.name.padEnd(18)} ${t.description}` })),
+      answers.template || defaults.template || templates[0].name
+    );
+    template = templates.find((t) => t.name === answers.template);
+  }
+
+  const patternValue = await prompter.choose("Naming pattern:", PATTERNS);
+  const pattern = PATTERNS.find((p) => p.value === patternValue);
+
+  for (;;) {
+    for (const segment of pattern.segments) {
+      answers[segment] = await prompter.ask(`  ${segment}`, {
+        defaultValue: answers[segment] || "",
+        validate: (v) => (v ? null : `${segment} is required`)
+      });
+    }
+    const repoName = buildRepoName(answers);
+    const v = validateRepoName(repoName);
+    if (v.ok) {
+      console.log(`  ✓ Repo name: ${repoName}`);
+      answers.repo = repoName;
+      break;
+    }
+    console.log(`  ✗ "${repoName}" violates rules:`);
+    for (const e of v.errors) console.log(`    - ${e}`);
+  }
+
+  answers.org = await prompter.ask("\nGitHub org (empty for your user account)", { defaultValue: answers.org || defaults.org || "" });
+  answers.private = (await prompter.choose(
+    "Visibility:",
+    [{ value: "private", label: "private" }, { value: "public", label: "public" }],
+    defaults.private ? "private" : "public"
+  )) === "private";
+  // Templates that declare no app (or no API) skip the questions that only apply to it
+  const hasApp = template?.components ? Boolean(template.components.app) : true;
+  const hasApi = template?.components ? Boolean(template.components.api) : true;
+  // Only a Netlify-hosted web app gets a Netlify site (--web-host lands in defaults.webHost)
+  const onNetlify = (defaults.webHost || "netlify") === "netlify";
+  answers.netlify = hasApp && onNetlify && (await prompter.confirm("\nCreate and link a Netlify site?", Boolean(defaults.netlify)));
+
+  // The answer is the API's deploy target (new-project.mjs --gcp); template packs from directories
+  // deploy where they say, so they only offer their own target
+  const ownTarget = template?.components?.target || "functions";
+  const targets = [
+    { value: "functions", label: "Cloud Functions (gen2)" },
+    { value: "run", label: "Cloud Run" }
+  ].filter((t) => !template || template.source === "built-in" || t.value === ownTarget);
+  if (hasApi) {
+    answers.gcp = await prompter.choose(
+      "GCP target for the API:",
+      [{ value: "none", label: "none (scaffold only)" }, ...targets],
+      !defaults.gcp?.project ? "none" : ownTarget
+    );
+  }
+  if (answers.gcp === "none") {
+    delete answers["gcp-project"];
+    delete answers.region;
+  } else if (hasApi) {
+    answers["gcp-project"] = await prompter.ask("  GCP project id", { defaultValue: defaults.gcp?.project || "" });
+    answers.region = await prompter.ask(`  Region (${REGION_HINT})`, {
+      defaultValue: defaults.gcp?.region || "us-east1",
+      validate: (r) => (/^[a-z]+-[a-z]+\d+$/.test(r) ? null : `"${r}" does not look like a GCP region`)
+    });
+  }
+
+  const ghName = answers.org ? `${answers.org}/${answers.repo}` : answers.repo;
+  console.log("\nSummary:");
+  console.log(`  Repo:       ${ghName} (${answers.private ? "private" : "public"})`);
+  if (answers.template) console.log(`  Template:   ${answers.template}`);
+  console.log(`  Netlify:    ${answers.netlify ? "yes" : "no"}`);
+  console.log(`  GCP:        ${answers.gcp && answers.gcp !== "none" ? `${answers.gcp} in ${answers.region} (project ${answers["gcp-project"] || "not set"})` : "none"}`);
+
+  return (await prompter.confirm("\nCreate it?", true)) ? answers : null;
+}
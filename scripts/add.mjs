@@ -0,0 +1,363 @@
+#!/usr/bin/env node
+import { execSync } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { MANIFEST_FILE, blobHash, manifestJson, readManifest } from "./_manifest.mjs";
+import { apiFiles, dockerFiles, webHostFiles } from "./_template-packs.mjs";
+import { deployApiScript, deployScript, deployWebScript, devScript, genClientScript, netlifyToml, readmeSection, rootEnvExample, smokeScript, webDeployConfig } from "./_templates.mjs";
+
+const USAGE = `Usage:
+  node scripts/add.mjs service <name> [--dir <repo>] [--skip-install] [--dry-run]
+  node scripts/add.mjs app <name> [--dir <repo>] [--dry-run]
+  node scripts/add.mjs docker [<service>] [--dir <repo>] [--dry-run]`;
+
+let dryRun = false;
+
+/**
+ * Executes a shell command synchronously, or only prints it in dry-run mode.
+ *
+ * @param {string} cmd - The command string to execute.
+ * @param {string} cwd - The directory to run it in.
+ */
+function run(cmd, cwd) {
+  console.log(`\n> ${cmd}`);
+  if (dryRun) {
+    console.log("Would run (dry-run):", cmd);
+    return;
+  }
+  execSync(cmd, { stdio: "inherit", cwd });
+}
+
+/**
+ * Writes a file inside the repo, creating parent directories, or only prints it in dry-run mode.
+ *
+ * @param {string} root - The repo root.
+ * @param {string} rel - The file path relative to the root.
+ * @param {string} content - The file content.
+ * @param {object} [options] - Write options.
+ * @param {boolean} [options.executable=false] - Whether to mark the file executable on *nix.
+ */
+function writeFile(root, rel, content, { executable = false } = {}) {
+  if (dryRun) {
+    console.log(`Would write (dry-run): ${rel} (${Buffer.byteLength(content)} bytes)`);
+    return;
+  }
+  const abs = path.join(root, rel);
+  fs.mkdirSync(path.dirname(abs), { recursive: true });
+  fs.writeFileSync(abs, content, "utf8");
+  if (executable && os.platform() !== "win32") fs.chmodSync(abs, 0o755);
+  console.log(`  wrote ${rel}`);
+}
+
+/**
+ * Parses command-line arguments into an object.
+ * Supports `--key value` and `--flag` (boolean true).
+ *
+ * @param {string[]} argv - Array of command-line arguments (e.g., process.argv.slice(2)).
+ * @returns {object} An object containing parsed arguments.
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith("--")) continue;
+    const key = a.slice(2);
+    const next = argv[i + 1];
+    if (!next || next.startsWith("--")) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+/**
+ * Prints an error message and exits.
+ *
+ * @param {string} msg - The error message.
+ */
+function fail(msg) {
+  console.error(`\n❌ ${msg}`);
+  process.exit(1);
+}
+
+/**
+ * Lists the components already in the repo: Flutter apps (`apps/<name>` with a `pubspec.yaml`)
+ * and Node APIs (`functions/<name>` with a `package.json`). The original `apps/client` and
+ * `functions/api` come first so they stay the defaults.
+ *
+ * @param {string} root - The repo root.
+ * @returns {{apps: string[], apis: string[]}} Component directories relative to the root.
+ */
+function findComponents(root) {
+  const list = (parent, marker, primary) => {
+    const dir = path.join(root, parent);
+    if (!fs.existsSync(dir)) return [];
+    return fs
+      .readdirSync(dir, { withFileTypes: true })
+      .filter((e) => e.isDirectory() && fs.existsSync(path.join(dir, e.name, marker)))
+      .map((e) => `${parent}/${e.name}`)
+      .sort((a, b) => (a === primary ? -1 : b === primary ? 1 : a.localeCompare(b)));
+  };
+  return { apps: list("apps", "pubspec.yaml", "apps/client"), apis: list("functions", "package.json", "functions/api") };
+}
+
+/**
+ * Reads the default deploy target: `defaults.target` in the first API's `deploy.config.json`, or
+ * `GCP_TARGET` in the root `.env.example` for repos generated before deploy.config.json had it.
+ *
+ * @param {string} root - The repo root.
+ * @returns {string} `functions` or `run`.
+ */
+function deployTarget(root) {
+  const [api] = findComponents(root).apis;
+  const config = api && path.join(root, api, "deploy.config.json");
+  if (config && fs.existsSync(config)) {
+    try {
+      const { target } = JSON.parse(fs.readFileSync(config, "utf8")).defaults || {};
+      if (target) return target;
+    } catch {
+      // unreadable: fall back to .env.example
+    }
+  }
+  const file = path.join(root, ".env.example");
+  const m = fs.existsSync(file) && fs.readFileSync(file, "utf8").match(/^GCP_TARGET=(\w+)/m);
+  return m ? m[1] : "functions";
+}
+
+/**
+ * Adds a component to a README generated by `readme()`: a layout bullet, a local dev section
+ * before "## Deploy" and a deploy bullet. READMEs without those headings get a section at the end.
+ *
+ * @param {string} text - The current README.
+ * @param {{layout: string, dev: string, deploy: string}} section - Lines from `readmeSection()`.
+ * @param {string} dir - The component directory, used as the heading of a fallback section.
+ * @returns {string} The updated README.
+ */
+function addToReadme(text, section, dir) {
+  const lines = text.split("\n");
+  const layoutAt = lines.findIndex((l) => l.trim() === "Monorepo layout:");
+  const deployAt = lines.findIndex((l) => l.trim() === "## Deploy");
+  if (layoutAt === -1 || deployAt === -1 || deployAt < layoutAt) {
+    return `${text.trimEnd()}\n\n## ${dir}\n\n${section.layout}\n\n${section.dev}\n\n${section.deploy}\n`;
+  }
+
+  // Index of the last bullet in the list that starts after `from` (skipping blank lines)
+  const lastBullet = (from) => {
+    let i = from + 1;
+    while (i < lines.length && lines[i].trim() === "") i++;
+    while (i < lines.length && lines[i].startsWith("- ")) i++;
+    return i - 1;
+  };
+
+  lines.splice(lastBullet(deployAt) + 1, 0, section.deploy);
+  lines.splice(deployAt, 0, section.dev, "");
+  lines.splice(lastBullet(layoutAt) + 1, 0, section.layout);
+  return lines.join("\n");
+}
+
+/**
+ * Rewrites the files that list every component: the smoke and dev scripts, the web deploy script
+ * (when there are apps), the API deploy wrapper and client generator (when there are APIs), the
+ * release script (when there are both) and the README.
+ *
+ * @param {string} root - The repo root.
+ * @param {{apps: string[], apis: string[]}} components - All components, including the new one.
+ * @param {{layout: string, dev: string, deploy: string}} section - README lines for the new component.
+ * @param {string} dir - The new component's directory.
+ */
+function updateRepoFiles(root, components, section, dir) {
+  const vars = readManifest(root)?.vars || {};
+  writeFile(root, "scripts/smoke.mjs", smokeScript({ ...components, host: vars.webHost }), { executable: true });
+  writeFile(root, "scripts/dev.mjs", devScript(components), { executable: true });
+  const web = { host: vars.webHost, gcpProject: vars.gcpProject, netlify: vars.netlify };
+  if (components.apps.length) {
+    writeFile(root, "scripts/deploy-web.mjs", deployWebScript({ ...components, ...web }), { executable: true });
+  }
+  if (components.apis.length) {
+    writeFile(root, "scripts/deploy-api.mjs", deployApiScript({ apiDirs: components.apis }), { executable: true });
+    writeFile(root, "scripts/gen-client.mjs", genClientScript(components), { executable: true });
+  }
+  if (components.apps.length && components.apis.length) {
+    writeFile(root, "scripts/deploy.mjs", deployScript({ ...components, host: web.host, netlify: web.netlify }), { executable: true });
+  }
+
+  const readmePath = path.join(root, "README.md");
+  const current = fs.existsSync(readmePath) ? fs.readFileSync(readmePath, "utf8") : `# ${path.basename(root)}\n`;
+  writeFile(root, "README.md", addToReadme(current, section, dir));
+}
+
+/**
+ * Records a new component and its generated files in the repo's manifest, so `new-project.mjs
+ * upgrade` keeps them up to date too. Repos without a manifest are left as they are.
+ *
+ * @param {string} root - The repo root.
+ * @param {object} component - The manifest entry, e.g. `{ kind: "service", dir, service, docker }`.
+ * @param {{path: string, content: string}[]} files - The files written for it.
+ */
+function recordComponent(root, component, files) {
+  const manifest = readManifest(root);
+  if (!manifest) return;
+  manifest.components = [...(manifest.components || []), component];
+  for (const file of files) manifest.files[file.path] = blobHash(file.content);
+  writeFile(root, MANIFEST_FILE, manifestJson(manifest));
+}
+
+/**
+ * Adds a TypeScript API at `functions/<name>` from the same generators new-project uses,
+ * with a Dockerfile when the repo deploys to Cloud Run.
+ *
+ * @param {string} root - The repo root.
+ * @param {string} name - The service name.
+ * @param {object} args - Parsed command-line arguments.
+ */
+function addService(root, name, args) {
+  const dir = `functions/${name}`;
+  const target = deployTarget(root);
+
+  // Same variables as the first API (project, region, environments), when the repo has a manifest
+  const vars = { repoName: path.basename(root), ...readManifest(root)?.vars };
+  const docker = target === "run";
+  const files = apiFiles(vars, { dir, service: name, target });
+  for (const file of files) writeFile(root, file.path, file.content, { executable: file.executable });
+  recordComponent(root, { kind: "service", dir, service: name, docker }, files);
+  if (!fs.existsSync(path.join(root, ".env.example"))) {
+    writeFile(root, ".env.example", rootEnvExample({ target }));
+  }
+
+  const components = findComponents(root);
+  if (!components.apis.includes(dir)) components.apis.push(dir);
+  updateRepoFiles(root, components, readmeSection("api", dir, target), dir);
+
+  // src/index.ts imports the types generated from openapi.json
+  run("node scripts/gen-client.mjs", root);
+  if (!args["skip-install"]) {
+    run("npm install", path.join(root, dir));
+    run("npm run build", path.join(root, dir));
+  }
+
+  console.log(`\n✅ Added service ${dir}`);
+  console.log("\nNext steps:");
+  if (args["skip-install"]) console.log(`  cd ${dir} && npm install && npm run build`);
+  console.log(`  node scripts/deploy-api.mjs ${name} --project <id>`);
+  console.log(`  git add -A && git commit -m "feat: add ${name} service"`);
+}
+
+/**
+ * Adds a Flutter app at `apps/<name>` and its hosting configuration. On Netlify the first web app
+ * uses the root `netlify.toml`; later ones get their own `apps/<name>/netlify.toml` (a separate
+ * Netlify site with that base directory), noted in the root file. On Firebase Hosting the first web
+ * app gets `firebase.json`; later ones need a hosting target of their own. Cloud Storage needs no
+ * configuration: `deploy-web.mjs --app <name> --bucket <bucket>` deploys any app. Every app gets a
+ * deploy.config.json with its build settings per environment.
+ *
+ * @param {string} root - The repo root.
+ * @param {string} name - The app name.
+ */
+function addApp(root, name) {
+  const dir = `apps/${name}`;
+  // Dart package names cannot contain hyphens
+  run(`flutter create ${dir} --project-name ${name.replace(/-/g, "_")} --platforms=android,ios,web`, root);
+
+  const vars = readManifest(root)?.vars || {};
+  const host = vars.webHost || "netlify";
+  const rootToml = path.join(root, "netlify.toml");
+  const config = { path: `${dir}/deploy.config.json`, content: webDeployConfig({ environments: vars.environments }) };
+  writeFile(root, config.path, config.content);
+  if (host === "firebase") {
+    if (fs.existsSync(path.join(root, "firebase.json"))) {
+      console.log(`\nfirebase.json already hosts another app; add a hosting target for ${dir} to deploy it to Firebase Hosting.`);
+      recordComponent(root, { kind: "app", dir }, [config]);
+    } else {
+      const api = findComponents(root).apis.find((d) => d === "functions/api") || null;
+      const files = webHostFiles(vars, { app: dir, api });
+      for (const file of files) writeFile(root, file.path, file.content);
+      recordComponent(root, { kind: "app", dir, firebase: true }, [config, ...files]);
+    }
+  } else if (host === "gcs") {
+    recordComponent(root, { kind: "app", dir }, [config]);
+  } else if (fs.existsSync(rootToml)) {
+    const current = fs.readFileSync(rootToml, "utf8");
+    const nodeVersion = current.match(/NODE_VERSION\s*=\s*"([^"]+)"/)?.[1] || "20";
+    const file = { path: `${dir}/netlify.toml`, content: netlifyToml({ nodeVersion, base: null, ...vars.netlify }) };
+    writeFile(root, file.path, file.content);
+    const note = `# ${dir} is a separate Netlify site: create it with base directory "${dir}"; its settings are in ${dir}/netlify.toml`;
+    if (!current.includes(note)) writeFile(root, "netlify.toml", `${current.trimEnd()}\n\n${note}\n`);
+    recordComponent(root, { kind: "app", dir, netlify: "own" }, [config, file]);
+  } else {
+    const file = { path: "netlify.toml", content: netlifyToml({ nodeVersion: vars.nodeVersion, base: dir, ...vars.netlify }) };
+    writeFile(root, file.path, file.content);
+    recordComponent(root, { kind: "app", dir, netlify: "root" }, [config, file]);
+  }
+
+  const components = findComponents(root);
+  if (!components.apps.includes(dir)) components.apps.push(dir);
+  updateRepoFiles(root, components, readmeSection("app", dir, deployTarget(root), host), dir);
+
+  console.log(`\n✅ Added app ${dir}`);
+  console.log("\nNext steps:");
+  console.log(`  cd ${dir} && flutter run`);
+  console.log(`  git add -A && git commit -m "feat: add ${name} app"`);
+}
+
+/**
+ * Adds a Dockerfile and .dockerignore to an existing API, so it can be deployed to Cloud Run as an
+ * image (`deploy.mjs --target run --image`) and run locally with `docker run`.
+ *
+ * @param {string} root - The repo root.
+ * @param {string} name - The service name (`api` for `functions/api`).
+ */
+function addDocker(root, name) {
+  const dir = `functions/${name}`;
+  const pkg = JSON.parse(fs.readFileSync(path.join(root, dir, "package.json"), "utf8"));
+  const nodeVersion = String(pkg.engines?.node || "").match(/\d+/)?.[0] || "20";
+  const files = dockerFiles({ nodeVersion, ...readManifest(root)?.vars }, dir);
+  for (const file of files) writeFile(root, file.path, file.content);
+  recordComponent(root, { kind: "docker", dir }, files);
+
+  console.log(`\n✅ Added ${dir}/Dockerfile`);
+  console.log("\nNext steps:");
+  console.log(`  cd ${dir} && docker build -t ${name} . && docker run --rm -p 8080:8080 ${name}`);
+  console.log(`  node scripts/deploy-api.mjs ${name} --target run --image --project <id>`);
+  console.log(`  git add -A && git commit -m "feat: add Dockerfile for ${name}"`);
+}
+
+/**
+ * Main function: adds a service or app to an existing generated monorepo and updates the
+ * files that list components (README, smoke and dev scripts, deploy wrapper, netlify.toml), or adds
+ * a Dockerfile to an existing API.
+ */
+function main() {
+  const argv = process.argv.slice(2);
+  const positional = argv.slice(0, (argv.findIndex((a) => a.startsWith("--")) + 1 || argv.length + 1) - 1);
+  const [kind, name = kind === "docker" ? "api" : undefined] = positional;
+  const args = parseArgs(argv.slice(positional.length));
+  dryRun = Boolean(args["dry-run"]);
+
+  if (!["service", "app", "docker"].includes(kind) || !name) fail(`Missing component.\n${USAGE}`);
+  if (!/^[a-z][a-z0-9]*(-[a-z0-9]+)*$/.test(name)) {
+    fail(`Invalid name "${name}": use lowercase letters, numbers and single hyphens (e.g. billing, admin-portal).`);
+  }
+
+  const root = path.resolve(args.dir || ".");
+  if (!fs.existsSync(path.join(root, "apps")) && !fs.existsSync(path.join(root, "functions"))) {
+    fail(`${root} does not look like a generated monorepo (no apps/ or functions/). Pass --dir <repo>.`);
+  }
+  const dir = kind === "app" ? `apps/${name}` : `functions/${name}`;
+  if (kind === "docker") {
+    if (!fs.existsSync(path.join(root, dir, "package.json"))) fail(`No API at ${dir} in ${root}.`);
+    if (fs.existsSync(path.join(root, dir, "Dockerfile"))) fail(`${dir}/Dockerfile already exists.`);
+    addDocker(root, name);
+  } else {
+    if (fs.existsSync(path.join(root, dir))) fail(`${dir} already exists in ${root}.`);
+    if (kind === "service") addService(root, name, args);
+    else addApp(root, name);
+  }
+
+  if (dryRun) console.log("\nDry run complete. Nothing was changed.");
+}
+
+main();
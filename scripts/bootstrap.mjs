@@ -1,6 +1,12 @@
 #!/usr/bin/env node
-import { exec } from "child_process";
+import { exec, spawnSync } from "child_process";
+import fs from "fs";
 import os from "os";
+import path from "path";
+import { loadConfig } from "./_config.mjs";
+import { loadLock, resolvePins, writeLock } from "./_toolchain.mjs";
+import { linuxRepos, resolveTools } from "./_tooling.config.mjs";
+import { matchesSpec, parseVersion } from "./_versions.mjs";
 
 let oraInstance = null;
 try {
@@ -70,7 +76,7 @@ async function exists(cmd) {
 /**
  * Detects the primary package manager available on the current operating system.
  *
- * @returns {Promise<{kind: "winget" | "choco" | "brew" | "apt" | "none"}>} A promise that resolves with an object indicating the package manager kind.
+ * @returns {Promise<{kind: "winget" | "choco" | "brew" | "apt" | "dnf" | "none"}>} A promise that resolves with an object indicating the package manager kind.
  */
 async function detectPkgMgr() {
   const platform = os.platform();
@@ -81,9 +87,58 @@ async function detectPkgMgr() {
   }
   if (platform === "darwin") return await exists("brew") ? { kind: "brew" } : { kind: "none" };
   if (await exists("apt-get")) return { kind: "apt" };
+  if (await exists("dnf")) return { kind: "dnf" };
   return { kind: "none" };
 }
 
+let rootAccess = null;
+
+/**
+ * Works out how to run commands as root on Linux: directly when already root, via passwordless
+ * `sudo`, or via `sudo` after prompting once for the password (TTY only). Memoized.
+ *
+ * @returns {Promise<{ok: boolean, prefix?: string, reason?: string}>} How to get root, or why it is not possible.
+ */
+function detectRoot() {
+  rootAccess ??= (async () => {
+    if (process.getuid && process.getuid() === 0) return { ok: true, prefix: "" };
+    if (!(await exists("sudo"))) return { ok: false, reason: "not running as root and sudo is not installed" };
+    if (await canRun("sudo -n true")) return { ok: true, prefix: "sudo " };
+    if (process.stdin.isTTY) {
+      console.log("\nSome packages need root. Enter your password for sudo:");
+      if (spawnSync("sudo", ["-v"], { stdio: "inherit" }).status === 0) return { ok: true, prefix: "sudo " };
+    }
+    return { ok: false, reason: "sudo needs a password and no terminal is available" };
+  })();
+  return rootAccess;
+}
+
+/**
+ * Wraps a shell command so it runs as root.
+ *
+ * @param {{prefix: string}} root - The result of `detectRoot()`.
+ * @param {string} cmd - The shell command (may contain pipes and redirects).
+ * @returns {string} The command to pass to `run`.
+ */
+function asRoot(root, cmd) {
+  if (!root.prefix) return cmd;
+  return `${root.prefix}sh -c '${cmd.replace(/'/g, `'\\''`)}'`;
+}
+
+let pkgLock = Promise.resolve();
+
+/**
+ * Serializes package manager operations; apt and dnf hold a global lock, so parallel installs fail.
+ *
+ * @param {function(): Promise<*>} fn - The operation to run once earlier ones have finished.
+ * @returns {Promise<*>} The operation's result.
+ */
+function withPkgLock(fn) {
+  const next = pkgLock.then(fn, fn);
+  pkgLock = next.catch(() => {});
+  return next;
+}
+
 /**
  * Executes a shell command with a progress spinner for visual feedback.
  *
@@ -171,25 +226,135 @@ async function ensureBrew(cmd, pkg) {
   }
 }
 
+/**
+ * Ensures a tool is installed or updated using apt or dnf, adding its upstream package
+ * repository first when the registry names one. Falls back to a clear error when root is unavailable.
+ *
+ * @param {object} mgr - The detected package manager object (`apt` or `dnf`).
+ * @param {string} cmd - The command name (e.g., 'gh').
+ * @param {string} pkg - The distro package name (e.g., 'gh').
+ * @param {string} [repoKey] - A key of `linuxRepos` to set up before installing.
+ * @returns {Promise<void>} A promise that resolves when the operation is complete.
+ */
+async function ensureLinuxPkg(mgr, cmd, pkg, repoKey) {
+  const root = await detectRoot();
+  const manual = mgr.kind === "apt" ? `sudo apt-get install -y ${pkg}` : `sudo dnf install -y ${pkg}`;
+  if (!root.ok) {
+    throw new Error(`${cmd} needs root to install via ${mgr.kind} (${root.reason}). Run "${manual}" yourself, or re-run bootstrap as root.`);
+  }
+
+  await withPkgLock(async () => {
+    const repo = repoKey && linuxRepos[repoKey]?.[mgr.kind];
+    if (repo && !fs.existsSync(repo.marker)) {
+      for (const step of repo.setup) {
+        await runWithSpinner(asRoot(root, step), `Adding ${repoKey} package repository`);
+      }
+    }
+
+    const installed = await exists(cmd);
+    if (mgr.kind === "apt") {
+      const env = "DEBIAN_FRONTEND=noninteractive";
+      if (!installed) {
+        await runWithSpinner(asRoot(root, `${env} apt-get install -y ${pkg}`), `Installing ${cmd} (${pkg}) via apt`);
+      } else {
+        await runWithSpinner(asRoot(root, `${env} apt-get install --only-upgrade -y ${pkg}`), `Upgrading ${cmd} (${pkg}) via apt`);
+      }
+      return;
+    }
+    if (!installed) {
+      await runWithSpinner(asRoot(root, `dnf install -y ${pkg}`), `Installing ${cmd} (${pkg}) via dnf`);
+    } else {
+      await runWithSpinner(asRoot(root, `dnf upgrade -y ${pkg}`), `Upgrading ${cmd} (${pkg}) via dnf`);
+    }
+  });
+}
+
+/** PATH additions to print at the end, for tools installed into user directories. */
+const pathHints = [];
+
+/**
+ * Installs the Flutter SDK on Linux from the upstream stable tarball into a user directory
+ * (no root needed), and records a PATH hint for the shell profile.
+ *
+ * @param {{releases: string, dir: string}} tarball - The releases index URL and install directory (`~` allowed).
+ * @param {string|null} [version=null] - An exact stable release to install instead of the current one.
+ * @returns {Promise<void>} A promise that resolves when the SDK is unpacked.
+ */
+async function ensureFlutterTarball({ releases, dir }, version = null) {
+  const baseDir = dir.replace(/^~(?=$|\/)/, os.homedir());
+  const binDir = path.join(baseDir, "flutter", "bin");
+
+  if (!fs.existsSync(path.join(binDir, "flutter"))) {
+    const res = await fetch(releases);
+    if (!res.ok) throw new Error(`Could not fetch Flutter releases (${res.status} ${res.statusText})`);
+    const index = await res.json();
+    const stable = version
+      ? index.releases.find((r) => r.channel === "stable" && r.version === version)
+      : index.releases.find((r) => r.hash === index.current_release.stable);
+    if (!stable) throw new Error(`Could not find the ${version ? `stable Flutter ${version}` : "current stable Flutter"} release`);
+
+    const archive = path.join(os.tmpdir(), path.basename(stable.archive));
+    fs.mkdirSync(baseDir, { recursive: true });
+    await runWithSpinner(`curl -fL -o "${archive}" "${index.base_url}/${stable.archive}"`, `Downloading Flutter ${stable.version}`);
+    await runWithSpinner(`tar -xf "${archive}" -C "${baseDir}"`, `Unpacking Flutter into ${baseDir}`);
+    fs.rmSync(archive, { force: true });
+  }
+
+  // Make it visible to the rest of this run, and tell the user how to make it permanent
+  process.env.PATH = `${binDir}${path.delimiter}${process.env.PATH}`;
+  pathHints.push(binDir);
+}
+
+/**
+ * Maps a tool registry entry to the package ids used by `ensurePkg`.
+ *
+ * @param {object} tool - A tool entry from `_tooling.config.mjs`.
+ * @returns {{wingetId?: string, chocoPkg?: string, brewPkg?: string, aptPkg?: string, dnfPkg?: string, linuxRepo?: string}} Package ids per manager.
+ */
+function pkgInfo(tool) {
+  return {
+    wingetId: tool.win?.winget,
+    chocoPkg: tool.win?.choco,
+    brewPkg: tool.mac?.brew,
+    aptPkg: tool.linux?.apt,
+    dnfPkg: tool.linux?.dnf,
+    linuxRepo: tool.linux?.repo
+  };
+}
+
 /**
  * Ensures a package is installed or updated using the detected package manager.
  *
  * @param {object} mgr - The detected package manager object (e.g., {kind: "winget"}).
  * @param {string} cmd - The command name (e.g., 'git').
  * @param {object} pkgInfo - Package information for different managers.
- * @param {string} pkgInfo.wingetId - Winget package ID.
- * @param {string} pkgInfo.chocoPkg - Chocolatey package name.
- * @param {string} pkgInfo.brewPkg - Homebrew package name.
+ * @param {string} [pkgInfo.wingetId] - Winget package ID.
+ * @param {string} [pkgInfo.chocoPkg] - Chocolatey package name.
+ * @param {string} [pkgInfo.brewPkg] - Homebrew package name.
+ * @param {string} [pkgInfo.aptPkg] - apt package name.
+ * @param {string} [pkgInfo.dnfPkg] - dnf package name.
+ * @param {string} [pkgInfo.linuxRepo] - Upstream repository (key of `linuxRepos`) for apt/dnf.
  * @returns {Promise<void>} A promise that resolves when the operation is complete.
  */
-async function ensurePkg(mgr, cmd, { wingetId, chocoPkg, brewPkg }) { // Added brewPkg
-  if (mgr.kind === "winget") return await ensureWinget(cmd, wingetId);
-  if (mgr.kind === "choco") return await ensureChoco(cmd, chocoPkg);
-  if (mgr.kind === "brew") { // New: Handle brew
+async function ensurePkg(mgr, cmd, { wingetId, chocoPkg, brewPkg, aptPkg, dnfPkg, linuxRepo }) {
+  if (mgr.kind === "winget") {
+    if (!wingetId) throw new Error(`No winget package for ${cmd}`);
+    return await ensureWinget(cmd, wingetId);
+  }
+  if (mgr.kind === "choco") {
+    if (!chocoPkg) throw new Error(`No choco package for ${cmd}`);
+    return await ensureChoco(cmd, chocoPkg);
+  }
+  if (mgr.kind === "brew") {
     if (!brewPkg) throw new Error(`No brew package for ${cmd}`);
     return await ensureBrew(cmd, brewPkg);
   }
-  throw new Error("No supported package manager found (need winget/choco/brew/apt)."); // Updated error message
+  if (mgr.kind === "apt" || mgr.kind === "dnf") {
+    const pkg = mgr.kind === "apt" ? aptPkg : dnfPkg;
+    if (!pkg) throw new Error(`No ${mgr.kind} package for ${cmd}`);
+    return await ensureLinuxPkg(mgr, cmd, pkg, linuxRepo);
+  }
+  throw new Error("No supported package manager found (need winget/choco/brew/apt/dnf).");
 }
 
 /**
@@ -205,7 +370,7 @@ async function ensureNpmGlobal(cmd, pkg) {
   if (!(await exists(cmd))) {
     await runWithSpinner(`npm i -g ${pkg}`, `Installing ${pkg} globally`);
   } else {
-    await runWithSpinner(`npm i -g ${pkg} @latest`, `Upgrading ${pkg} globally`);
+    await runWithSpinner(`npm i -g ${pkg}@latest`, `Upgrading ${pkg} globally`);
   }
 }
 
@@ -213,18 +378,16 @@ async function ensureNpmGlobal(cmd, pkg) {
  * Ensures Flutter is installed and updated, preferring `flutter upgrade` if already present.
  *
  * @param {object} mgr - The detected package manager object.
+ * @param {object} tool - The Flutter entry from the tool registry (supplies package ids).
  * @returns {Promise<void>} A promise that resolves when the operation is complete.
  */
-async function ensureFlutter(mgr) {
-  const message = `Ensuring Flutter is installed and updated`;
-  if (!(await exists("flutter"))) {
+async function ensureFlutter(mgr, tool) {
+  if (!(await exists(tool.cmd)) && os.platform() === "linux" && tool.linux?.tarball) {
+    await ensureFlutterTarball(tool.linux.tarball);
+  } else if (!(await exists(tool.cmd))) {
     // Try to install via package manager
     try {
-      await ensurePkg(mgr, "flutter", {
-        wingetId: "Flutter.Flutter",
-        chocoPkg: "flutter",
-        brewPkg: "flutter" // Homebrew package for Flutter
-      });
+      await ensurePkg(mgr, tool.cmd, pkgInfo(tool));
     } catch (e) {
       console.log(`(Flutter install via package manager failed or not configured: ${e.message})`);
       throw new Error("Flutter missing and no installer configured (or failed). Please install Flutter manually.");
@@ -235,104 +398,252 @@ async function ensureFlutter(mgr) {
 }
 
 /**
- * Ensures Python and pipx are installed and updated.
+ * Ensures a Python CLI package is installed and updated using pipx, falling back to pip.
  *
- * @param {object} mgr - The detected package manager object.
+ * @param {string} cmd - The command name provided by the package (e.g., 'aider').
+ * @param {string} pkg - The Python package name (e.g., 'aider-chat').
  * @returns {Promise<void>} A promise that resolves when the operation is complete.
  */
-async function ensurePythonAndPipx(mgr) {
-  // Python installation/update
-  const pythonCmd = "python";
-  if (!(await exists(pythonCmd))) {
-    try {
-      await ensurePkg(mgr, pythonCmd, {
-        wingetId: "Python.Python.3.12",
-        chocoPkg: "python",
-        brewPkg: "python"
-      });
-    } catch {
-      console.log("(Python install skipped: no mapping or installer issue)");
+async function ensurePythonPackage(cmd, pkg) {
+  const platform = os.platform(); // Get platform
+  const searchCommand = platform === "win32" ? "findstr /i" : "grep -i"; // Use grep for non-Windows
+
+  if (await exists("pipx")) {
+    const listed = await canRun(`pipx list | ${searchCommand} ${pkg}`);
+    if (listed) {
+      await runWithSpinner(`pipx upgrade ${pkg}`, `Upgrading ${pkg} via pipx`);
+    } else {
+      await runWithSpinner(`pipx install ${pkg}`, `Installing ${pkg} via pipx`);
     }
+    return;
+  }
+  if (await exists("python")) {
+    await runWithSpinner(`python -m pip install --upgrade ${pkg}`, `Installing/Upgrading ${pkg} via pip`);
   } else {
-    try {
-      await runWithSpinner(`python -m pip install --upgrade pip`, `Upgrading pip`);
-    } catch {}
+    throw new Error(`python not found (needed for ${cmd})`);
   }
+}
 
-  // Pipx installation/update
-  const pipxCmd = "pipx";
-  if (!(await exists(pipxCmd))) {
-    try {
-      await ensurePkg(mgr, pipxCmd, {
-        wingetId: "Python.Pipx",
-        chocoPkg: "pipx",
-        brewPkg: "pipx" // pipx is generally installed via pip, but brew might have a package
-      });
-    } catch {
-      console.log("(pipx install skipped)");
-    }
-    // After installing pipx, ensure it's set up
-    if (await exists(pipxCmd)) {
-      await runWithSpinner(`pipx ensurepath`, `Ensuring pipx path`);
-    }
+/**
+ * Reads the installed version of a tool, using its `version` arguments.
+ *
+ * @param {object} tool - A tool entry from the registry.
+ * @returns {Promise<string|null>} The parsed version, or null if the tool is missing or silent.
+ */
+async function installedVersion(tool) {
+  if (!(await exists(tool.cmd))) return null;
+  try {
+    return parseVersion(await run(`${tool.cmd} ${tool.version || "--version"}`, { silent: true }));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Resolves a toolchain spec (e.g., "3.24.x") to the newest exact version that satisfies it.
+ * Supported for npm globals (`npm view`), Flutter (the releases index) and Node (nodejs.org).
+ *
+ * @param {object} tool - A tool entry from the registry.
+ * @param {string} spec - The toolchain spec.
+ * @returns {Promise<string|null>} The exact version, or null if it cannot be resolved.
+ */
+async function resolveExact(tool, spec) {
+  if (tool.npmGlobal) {
+    const out = JSON.parse(await run(`npm view ${tool.npmGlobal}@${spec} version --json`, { silent: true }));
+    return Array.isArray(out) ? out[out.length - 1] : out;
+  }
+  const index = tool.flutter ? tool.linux?.tarball?.releases : tool.key === "node" ? "https://nodejs.org/dist/index.json" : null;
+  if (!index) return null;
+
+  const res = await fetch(index);
+  if (!res.ok) return null;
+  const data = await res.json();
+  // Both indexes list the newest release first
+  const versions = tool.flutter
+    ? data.releases.filter((r) => r.channel === "stable").map((r) => r.version)
+    : data.map((r) => r.version.replace(/^v/, ""));
+  return versions.find((v) => matchesSpec(v, spec)) || null;
+}
+
+/**
+ * Switches an installed Flutter SDK to an exact release by checking out its git tag,
+ * installing it first if needed.
+ *
+ * @param {object} mgr - The detected package manager object.
+ * @param {object} tool - The Flutter entry from the tool registry.
+ * @param {string|null} version - The exact release to switch to.
+ * @param {boolean} installed - Whether Flutter is already on PATH.
+ * @returns {Promise<void>} A promise that resolves when the SDK is on the requested release.
+ */
+async function switchFlutter(mgr, tool, version, installed) {
+  if (!installed) {
+    if (os.platform() === "linux" && tool.linux?.tarball) return await ensureFlutterTarball(tool.linux.tarball, version);
+    await ensureFlutter(mgr, tool);
+  }
+  if (!version) return;
+
+  const machine = await run("flutter --version --machine", { silent: true });
+  const { flutterRoot } = JSON.parse(machine.slice(machine.indexOf("{")));
+  await runWithSpinner(`git -C "${flutterRoot}" fetch --tags`, `Fetching Flutter releases`);
+  await runWithSpinner(`git -C "${flutterRoot}" checkout ${version}`, `Switching Flutter to ${version}`);
+  await runWithSpinner(`flutter --version`, `Rebuilding the Flutter tool`);
+}
+
+/**
+ * Ensures a tool pinned in the `toolchain` config is on its pinned version instead of the latest.
+ * Nothing is upgraded when the installed version already matches. Where the installer cannot
+ * target a version (apt, dnf, brew), the tool is left alone and reported as drift by `main()`.
+ *
+ * @param {object} mgr - The detected package manager object.
+ * @param {object} tool - A tool entry from the registry.
+ * @param {{spec: string, version: string|null}} pin - The pin; `version` is exact when resolved.
+ * @returns {Promise<void>} A promise that resolves when the operation is complete.
+ */
+async function ensurePinned(mgr, tool, pin) {
+  const target = pin.version || pin.spec;
+  const current = await installedVersion(tool);
+  if (pin.version ? current === pin.version : matchesSpec(current, pin.spec)) {
+    console.log(`${tool.key} ${current} matches toolchain (${target})`);
+    return;
+  }
+
+  if (tool.npmGlobal) {
+    await runWithSpinner(`npm i -g ${tool.npmGlobal}@${target}`, `Installing ${tool.npmGlobal}@${target} globally`);
+  } else if (tool.flutter) {
+    await switchFlutter(mgr, tool, pin.version, Boolean(current));
+  } else if (tool.key === "node" && pin.version && process.env.NVM_DIR) {
+    const nvm = `. "$NVM_DIR/nvm.sh" && nvm install ${pin.version} && nvm alias default ${pin.version}`;
+    await runWithSpinner(`bash -c '${nvm}'`, `Installing Node ${pin.version} via nvm (open a new shell afterwards)`);
+  } else if (mgr.kind === "winget" && tool.win?.winget && pin.version) {
+    await runWithSpinner(`winget install --id ${tool.win.winget} -e --version ${pin.version} --source winget --force`, `Installing ${tool.key} ${pin.version}`);
+  } else if (mgr.kind === "choco" && tool.win?.choco && pin.version) {
+    await runWithSpinner(`choco install ${tool.win.choco} --version ${pin.version} -y --allow-downgrade`, `Installing ${tool.key} ${pin.version}`);
+  } else if (!current) {
+    await ensureTool(mgr, tool);
   } else {
-    try {
-      await runWithSpinner(`pipx --version`, `Verifying pipx version`);
-    } catch {}
+    console.log(`(${tool.key}: ${mgr.kind} cannot install ${target}; leaving ${current} in place)`);
   }
 }
 
 /**
- * Ensures Aider is installed and updated using pipx or pip.
+ * Ensures a single registry tool is installed and updated, picking the installer from its metadata:
+ * `npmGlobal`, `pythonPackage`, `flutter`, or the platform package manager.
+ * Tools pinned in the `toolchain` config are installed at their pinned version instead.
  *
+ * @param {object} mgr - The detected package manager object.
+ * @param {object} tool - A tool entry from the registry.
+ * @param {{spec: string, version: string|null}} [pin] - The tool's toolchain pin, if any.
  * @returns {Promise<void>} A promise that resolves when the operation is complete.
  */
-async function ensureAider() {
-  const message = `Ensuring Aider is installed and updated`;
-  const platform = os.platform(); // Get platform
-  const searchCommand = platform === "win32" ? "findstr /i" : "grep -i"; // Use grep for non-Windows
+async function ensureTool(mgr, tool, pin) {
+  if (pin) return await ensurePinned(mgr, tool, pin);
 
-  if (await exists("pipx")) {
-    const listed = await canRun(`pipx list | ${searchCommand} aider-chat`); 
-    if (listed) {
-      await runWithSpinner(`pipx upgrade aider-chat`, `Upgrading Aider via pipx`);
-    } else {
-      await runWithSpinner(`pipx install aider-chat`, `Installing Aider via pipx`);
-    }
+  const installed = await exists(tool.cmd);
+
+  if (installed && tool.upgrade === false) return;
+  if (installed && typeof tool.upgrade === "string") {
+    await runWithSpinner(tool.upgrade, `Upgrading ${tool.key}`);
     return;
   }
-  if (await exists("python")) {
-    await runWithSpinner(`python -m pip install --upgrade aider-chat`, `Installing/Upgrading Aider via pip`);
-  } else {
-    console.log("(aider skipped: python not found)");
+
+  if (tool.npmGlobal) {
+    await ensureNpmGlobal(tool.cmd, tool.npmGlobal);
+  } else if (tool.pythonPackage) {
+    await ensurePythonPackage(tool.cmd, tool.pythonPackage);
+  } else if (tool.flutter) {
+    await ensureFlutter(mgr, tool);
+  } else if (tool.win || tool.mac || tool.linux) {
+    await ensurePkg(mgr, tool.cmd, pkgInfo(tool));
+  } else if (!installed) {
+    throw new Error(`${tool.cmd} not found and no installer is configured for "${tool.key}".`);
+  }
+
+  if (!installed && tool.postInstall && (await exists(tool.cmd))) {
+    await runWithSpinner(tool.postInstall, `Configuring ${tool.key}`);
+  }
+}
+
+/**
+ * Ensures every tool in the registry, in parallel where possible. A tool waits for the tools
+ * named in its `dependsOn` before it starts; failures are collected rather than thrown.
+ *
+ * @param {object} mgr - The detected package manager object.
+ * @param {object[]} registry - The effective tool list.
+ * @param {Map<string, object>} pins - Toolchain pins by tool key.
+ * @returns {Promise<{tool: object, error: Error}[]>} The tools that failed, with their errors.
+ */
+async function ensureAll(mgr, registry, pins) {
+  const byKey = new Map(registry.map((t) => [t.key, t]));
+  const pending = new Map();
+  const failures = [];
+
+  function ensure(tool) {
+    if (!pending.has(tool.key)) {
+      pending.set(tool.key, (async () => {
+        const deps = (tool.dependsOn || []).filter((k) => byKey.has(k));
+        await Promise.all(deps.map((k) => ensure(byKey.get(k))));
+        try {
+          await ensureTool(mgr, tool, pins.get(tool.key));
+        } catch (error) {
+          failures.push({ tool, error });
+        }
+      })());
+    }
+    return pending.get(tool.key);
   }
+
+  await Promise.all(registry.map(ensure));
+  return failures;
 }
 
 /**
- * Prints the versions of various installed command-line tools.
+ * Prints the versions of the installed tools in the registry.
  *
+ * @param {object[]} registry - The effective tool list.
  * @returns {Promise<void>} A promise that resolves when all versions have been attempted to print.
  */
-async function printVersions() {
-  const checks = [
-    ["git", "--version"],
-    ["node", "--version"],
-    ["npm", "--version"],
-    ["gh", "--version"],
-    ["netlify", "--version"],
-    ["gcloud", "--version"],
-    ["flutter", "--version"],
-    ["aider", "--version"],
-    ["ollama", "--version"],
-  ];
-  for (const [c, arg] of checks) {
-    if (!(await exists(c))) continue;
+async function printVersions(registry) {
+  for (const tool of registry) {
+    if (!(await exists(tool.cmd))) continue;
     try {
-      await run(`${c} ${arg}`);
+      await run(`${tool.cmd} ${tool.version || "--version"}`);
     } catch {}
   }
 }
 
+/**
+ * Compares pinned tools with what is installed after bootstrap, prints any drift, and writes
+ * `toolchain.lock` when there was none, a spec changed, or `--update-lock` was passed.
+ *
+ * @param {object[]} registry - The effective tool list.
+ * @param {Map<string, object>} pins - Toolchain pins by tool key.
+ * @param {boolean} updateLock - Whether the lockfile must be rewritten.
+ * @returns {Promise<void>} A promise that resolves when the report has been printed.
+ */
+async function reportToolchain(registry, pins, updateLock) {
+  if (pins.size === 0) return;
+
+  const locked = {};
+  const drift = [];
+  for (const [key, pin] of pins) {
+    const current = await installedVersion(registry.find((t) => t.key === key));
+    if (!(pin.version ? current === pin.version : matchesSpec(current, pin.spec))) {
+      drift.push(`${key}: installed ${current || "none"}, toolchain wants ${pin.version || pin.spec}`);
+    }
+    const version = pin.version || (matchesSpec(current, pin.spec) ? current : null);
+    if (version) locked[key] = version;
+  }
+
+  if (drift.length) {
+    console.log("\nToolchain drift:");
+    for (const d of drift) console.log(`  WARN ${d}`);
+  }
+
+  if (updateLock || [...pins.values()].some((p) => !p.fromLock)) {
+    console.log(`\nWrote ${writeLock(locked)}`);
+  }
+}
+
 /**
  * Provides hints for authenticating with various CLIs.
  *
@@ -347,31 +658,50 @@ function authHints() {
 
 /**
  * Main function to orchestrate the bootstrapping process.
- * Detects OS and package manager, then ensures all required tools are installed and updated in parallel where possible.
+ * Detects OS and package manager, then ensures every tool in the registry (`_tooling.config.mjs`,
+ * extended by the `tools` array in `.rapid-dev.json`) is installed and updated in parallel where possible.
+ * Tools pinned in the `toolchain` section are installed at the version recorded in `toolchain.lock`
+ * (resolved and written on first run, or with `--update-lock`) instead of being upgraded.
+ * Exits non-zero if a tool that is not `optional` fails.
  *
  * @returns {Promise<void>} A promise that resolves when the bootstrapping process is complete.
  */
 async function main() {
+  const updateLock = process.argv.includes("--update-lock");
+  const config = loadConfig();
+  const registry = resolveTools(config.tools);
   const mgr = await detectPkgMgr();
-  console.log(`Bootstrap: OS=${os.platform()} pkgmgr=${mgr.kind}`);
+  console.log(`Bootstrap: OS=${os.platform()} pkgmgr=${mgr.kind} tools=${registry.length}`);
 
-  await Promise.all([
-    ensurePkg(mgr, "git", { wingetId: "Git.Git", chocoPkg: "git", brewPkg: "git" }),
-    ensurePkg(mgr, "node", { wingetId: "OpenJS.NodeJS.LTS", chocoPkg: "nodejs-lts", brewPkg: "node" }),
-    ensurePkg(mgr, "gh", { wingetId: "GitHub.cli", chocoPkg: "gh", brewPkg: "github-cli" }),
-    ensureNpmGlobal("netlify", "netlify-cli"),
-    ensurePkg(mgr, "gcloud", { wingetId: "Google.CloudSDK", chocoPkg: "google-cloud-sdk", brewPkg: "google-cloud-sdk" }),
-    ensureFlutter(mgr),
-  ]);
+  const pins = await resolvePins(registry, config.toolchain, updateLock ? null : loadLock(), resolveExact);
+  for (const [key, pin] of pins) {
+    console.log(`  pin ${key} ${pin.spec} -> ${pin.version || "(unresolved)"}${pin.fromLock ? " (toolchain.lock)" : ""}`);
+  }
 
-  await ensurePythonAndPipx(mgr);
-  await ensureAider();
+  const failures = await ensureAll(mgr, registry, pins);
+  for (const { tool, error } of failures.filter((f) => f.tool.optional)) {
+    console.log(`(optional ${tool.key} skipped: ${error.message})`);
+  }
+
+  const required = failures.filter((f) => !f.tool.optional);
+  if (required.length) {
+    console.error("\nBootstrap failed for required tools:");
+    for (const { tool, error } of required) console.error(`- ${tool.key}: ${error.message}`);
+    process.exit(1);
+  }
 
   console.log("\nVersions:");
-  await printVersions();
+  await printVersions(registry);
+
+  await reportToolchain(registry, pins, updateLock);
+
+  if (pathHints.length) {
+    console.log("\nAdd to your shell profile (~/.bashrc, ~/.zshrc or ~/.profile):");
+    for (const dir of pathHints) console.log(`  export PATH="${dir}:$PATH"`);
+  }
 
   authHints();
   console.log("\nDone.");
 }
 
-main();
\ No newline at end of file
+main();
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+import { configLayers, configOrigins, loadConfig } from "./_config.mjs";
+
+const USAGE = `Usage:
+  node scripts/config.mjs show [--origin] [--json] [--org <org>] [--private] [--netlify] [--web-host <host>] [--gcp-project <id>] [--region <region>] [--api-url <url>] [--strict-config]
+  node scripts/config.mjs validate`;
+
+/**
+ * Parses command-line arguments into an object.
+ * Supports `--key value` and `--flag` (boolean true).
+ *
+ * @param {string[]} argv - Array of command-line arguments (e.g., process.argv.slice(2)).
+ * @returns {object} An object containing parsed arguments.
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith("--")) continue;
+    const key = a.slice(2);
+    const next = argv[i + 1];
+    if (!next || next.startsWith("--")) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+/**
+ * Prints each effective value with the layer it came from.
+ *
+ * @param {{path: string, value: *, source: string}[]} origins - Entries from `configOrigins`.
+ * @returns {void}
+ */
+function printOrigins(origins) {
+  const rows = origins.map((o) => [o.path, JSON.stringify(o.value), o.source]);
+  const widths = [0, 1].map((i) => Math.max(...rows.map((row) => row[i].length)));
+  for (const [key, value, source] of rows) {
+    console.log(`${key.padEnd(widths[0])}  ${value.padEnd(widths[1])}  ${source}`);
+  }
+}
+
+/**
+ * Main function: `config show` prints the effective configuration after merging built-in
+ * defaults, `~/.rapid-dev.json`, the project `.rapid-dev.json`, `RAPID_DEV_*` variables and
+ * flags. `--origin` adds where each value came from; `--json` prints JSON.
+ * `config validate` checks every layer against `rapid-dev.schema.json` and exits non-zero on problems.
+ *
+ * @returns {void}
+ */
+function main() {
+  const [command] = process.argv.slice(2);
+  const args = parseArgs(process.argv.slice(3));
+
+  if (command === "validate") {
+    const issues = configLayers({ args }).flatMap((layer) => layer.issues);
+    for (const issue of issues) console.error(issue);
+    console.log(issues.length ? `\n${issues.length} problem(s) found.` : "Configuration is valid.");
+    process.exit(issues.length ? 1 : 0);
+  }
+
+  if (command !== "show") {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  let config;
+  try {
+    config = loadConfig({ args });
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+
+  if (!args.origin) {
+    console.log(JSON.stringify(config, null, 2));
+    return;
+  }
+
+  const origins = configOrigins(configLayers({ args }));
+  if (args.json) {
+    console.log(JSON.stringify(origins, null, 2));
+  } else {
+    printOrigins(origins);
+  }
+}
+
+main();
@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+import { exec } from "child_process";
+import os from "os";
+import { loadConfig } from "./_config.mjs";
+import { loadLock, specFor } from "./_toolchain.mjs";
+import { resolveTools } from "./_tooling.config.mjs";
+import { compareVersions, matchesSpec, parseVersion } from "./_versions.mjs";
+
+// Auth commands that exit 0 but still mean "not logged in"
+const NOT_LOGGED_IN = /not logged in|no credentialed accounts|you are not logged/i;
+
+/**
+ * Runs a shell command and captures its output. Never rejects.
+ *
+ * @param {string} cmd - The command string to execute.
+ * @param {object} [options] - Options for the command execution.
+ * @param {number} [options.timeout=60000] - Milliseconds before the command is killed.
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>} The exit code and output.
+ */
+function capture(cmd, { timeout = 60000 } = {}) {
+  return new Promise((resolve) => {
+    exec(cmd, { timeout }, (error, stdout, stderr) => {
+      resolve({ code: error ? (typeof error.code === "number" ? error.code : 1) : 0, stdout, stderr });
+    });
+  });
+}
+
+/**
+ * Checks if a given command/executable exists in the system's PATH.
+ *
+ * @param {string} cmd - The command to check for existence.
+ * @returns {Promise<boolean>} True if the command exists, false otherwise.
+ */
+async function exists(cmd) {
+  const check = os.platform() === "win32" ? `where ${cmd}` : `command -v ${cmd}`;
+  return (await capture(check)).code === 0;
+}
+
+/**
+ * Parses command-line arguments into an object.
+ * Supports `--key value` and `--flag` (boolean true).
+ *
+ * @param {string[]} argv - Array of command-line arguments (e.g., process.argv.slice(2)).
+ * @returns {object} An object containing parsed arguments.
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith("--")) continue;
+    const key = a.slice(2);
+    const next = argv[i + 1];
+    if (!next || next.startsWith("--")) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+/**
+ * Checks one registry tool without changing anything: presence, version against `minVersion`,
+ * drift from its toolchain pin, and login state when the tool declares an `auth` command.
+ *
+ * @param {object} tool - A tool entry from the registry.
+ * @param {string|null} [pinned] - The locked version (or the spec, if unlocked) from the toolchain.
+ * @returns {Promise<object>} The check result (`status` is "ok", "warn" or "fail").
+ */
+async function checkTool(tool, pinned = null) {
+  const result = {
+    key: tool.key,
+    required: !tool.optional,
+    present: false,
+    version: null,
+    minVersion: tool.minVersion || null,
+    pinned,
+    auth: null,
+    status: "ok",
+    notes: []
+  };
+  const problem = (note) => {
+    result.notes.push(note);
+    result.status = result.required ? "fail" : "warn";
+  };
+
+  if (!(await exists(tool.cmd))) {
+    problem(`${tool.cmd} not found on PATH`);
+    return result;
+  }
+  result.present = true;
+
+  const v = await capture(`${tool.cmd} ${tool.version || "--version"}`);
+  result.version = parseVersion(v.stdout || v.stderr);
+  if (result.minVersion && (!result.version || compareVersions(result.version, result.minVersion) < 0)) {
+    problem(`version ${result.version || "unknown"} is below ${result.minVersion}`);
+  }
+  if (pinned && !matchesSpec(result.version, pinned)) {
+    // Drift is a warning, not a failure: the tool works, it just isn't the team's version
+    result.notes.push(`drift: toolchain wants ${pinned}`);
+    if (result.status === "ok") result.status = "warn";
+  }
+
+  if (tool.auth) {
+    const a = await capture(tool.auth);
+    const out = `${a.stdout}${a.stderr}`;
+    result.auth = a.code === 0 && out.trim() !== "" && !NOT_LOGGED_IN.test(out) ? "ok" : "missing";
+    if (result.auth === "missing") problem(`not logged in (check: ${tool.auth})`);
+  }
+
+  return result;
+}
+
+/**
+ * Runs `flutter doctor` and turns its summary lines into findings.
+ * Findings are informational: missing Android/Xcode toolchains are common on web-only machines.
+ *
+ * @returns {Promise<{status: string, name: string}[]>} One finding per doctor category.
+ */
+async function flutterDoctor() {
+  const { stdout } = await capture("flutter doctor", { timeout: 300000 });
+  const marks = { "✓": "ok", "!": "warn", "✗": "fail", "☠": "fail" };
+  const findings = [];
+  for (const line of stdout.split(/\r?\n/)) {
+    const m = line.match(/^\[(✓|!|✗|☠)\]\s+(.*)$/);
+    if (m) findings.push({ status: marks[m[1]], name: m[2].trim() });
+  }
+  return findings;
+}
+
+/**
+ * Prints the check results as a table.
+ *
+ * @param {object[]} results - Results from `checkTool`.
+ * @returns {void}
+ */
+function printTable(results) {
+  const icon = { ok: "OK", warn: "WARN", fail: "FAIL" };
+  const rows = [
+    ["Tool", "Status", "Version", "Min", "Pinned", "Auth", "Notes"],
+    ...results.map((r) => [
+      r.key + (r.required ? "" : " (optional)"),
+      icon[r.status],
+      r.version || "-",
+      r.minVersion || "-",
+      r.pinned || "-",
+      r.auth || "-",
+      r.notes.join("; ")
+    ])
+  ];
+  const widths = rows[0].map((_, i) => Math.max(...rows.map((row) => row[i].length)));
+  for (const [i, row] of rows.entries()) {
+    console.log(row.map((cell, c) => cell.padEnd(widths[c])).join("  ").trimEnd());
+    if (i === 0) console.log(widths.map((w) => "-".repeat(w)).join("  "));
+  }
+}
+
+/**
+ * Main function: checks every tool in the registry (`_tooling.config.mjs` plus `.rapid-dev.json`)
+ * without installing or upgrading anything, then prints a table (or JSON with `--json`).
+ * Exits non-zero when a required tool is missing, too old or not logged in.
+ *
+ * @returns {Promise<void>} A promise that resolves when the report has been printed.
+ */
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const config = loadConfig();
+  const registry = resolveTools(config.tools);
+
+  const lock = loadLock();
+  const pinnedFor = (tool) => {
+    const spec = specFor(tool, config.toolchain);
+    const locked = lock?.tools?.[tool.key];
+    return spec && locked && matchesSpec(locked, spec) ? locked : spec;
+  };
+
+  const results = await Promise.all(registry.map((tool) => checkTool(tool, pinnedFor(tool))));
+  const wantFlutterDoctor = !args["skip-flutter-doctor"] && results.some((r) => r.key === "flutter" && r.present);
+  const flutter = wantFlutterDoctor ? await flutterDoctor() : [];
+  const ok = results.every((r) => r.status !== "fail");
+
+  if (args.json) {
+    console.log(JSON.stringify({ ok, tools: results, flutterDoctor: flutter }, null, 2));
+  } else {
+    printTable(results);
+    if (flutter.length) {
+      console.log("\nflutter doctor:");
+      for (const f of flutter) console.log(`  [${f.status}] ${f.name}`);
+    }
+    console.log(ok ? "\nAll required checks passed." : "\nSome required checks failed. Run: node scripts/bootstrap.mjs");
+  }
+
+  process.exit(ok ? 0 : 1);
+}
+
+main();
@@ -3,17 +3,56 @@ import { execSync } from "child_process";
 import fs from "fs";
 import path from "path";
 import os from "os";
-import { buildRepoName, validateRepoName } from "./_naming.mjs";
-import { netlifyToml, gitignore, readme } from "./_templates.mjs";
+import {
+  createJournal,
+  isCompleted,
+  journalPath,
+  loadJournal,
+  removeJournal,
+  saveJournal,
+  undoActions
+} from "./_journal.mjs";
+import { MANIFEST_FILE, createManifest, generatedFiles, kitVersion, manifestJson, planUpgrade, readBlob, readManifest, writeBlob } from "./_manifest.mjs";
+import { buildRepoName, toKebab, validateRepoName } from "./_naming.mjs";
+import { isInteractive, terminalPrompter } from "./_prompt.mjs";
+import { DEFAULT_TEMPLATE, GCP_TARGETS, WEB_HOSTS, isBinary, listTemplates, resolveTemplate } from "./_template-packs.mjs";
 import { loadConfig } from './_config.mjs';
+import { runWizard } from "./_wizard.mjs";
+
+/**
+ * Records every side effect `main()` performs (or would perform, in dry-run mode).
+ * `cwd` tracks the logical working directory so paths resolve correctly even when
+ * the target directory is never created.
+ */
+const plan = {
+  dryRun: false,
+  json: false,
+  cwd: process.cwd(),
+  steps: [],
+  warnings: []
+};
+
+/**
+ * Logs a message unless `--plan-json` is active (stdout is reserved for the JSON plan).
+ * @param {...*} msg - Values to log.
+ */
+function log(...msg) {
+  if (!plan.json) console.log(...msg);
+}
 
 /**
  * Executes a shell command synchronously and streams its output.
+ * In dry-run mode the command is only recorded in the plan.
  * @param {string} cmd - The command string to execute.
  * @param {object} [opts] - Options for `execSync`.
  */
 function run(cmd, opts = {}) {
-  console.log(`\n> ${cmd}`);
+  plan.steps.push({ kind: "run", cmd, cwd: plan.cwd });
+  log(`\n> ${cmd}`);
+  if (plan.dryRun) {
+    log("Would run (dry-run):", cmd);
+    return;
+  }
   execSync(cmd, { stdio: "inherit", ...opts });
 }
 
@@ -64,22 +103,84 @@ function parseArgs(argv) {
   return args;
 }
 
+/**
+ * Returns the web app's default URL on its host: the Netlify site (`--netlify-name` or the repo name)
+ * or the Firebase Hosting site of the GCP project. A Cloud Storage bucket has no fixed origin.
+ * @param {string} webHost - `netlify`, `firebase` or `gcs`.
+ * @param {object} args - Parsed command-line arguments.
+ * @param {string} repoName - The repository name.
+ * @param {string} gcpProject - The GCP project, or empty for none.
+ * @returns {string} The URL, or empty when unknown.
+ */
+function webUrl(webHost, args, repoName, gcpProject) {
+  if (webHost === "netlify") return `https://${args["netlify-name"] || repoName}.netlify.app`;
+  return webHost === "firebase" && gcpProject ? `https://${gcpProject}.web.app` : "";
+}
+
+/**
+ * Collects the `netlify.toml` options for a new repo: the `netlify` section of the config (where
+ * `--api-url` lands) plus `--preview-api-url`, the API that deploy previews and branch deploys call.
+ * @param {object} args - Parsed command-line arguments.
+ * @param {object} config - The loaded configuration.
+ * @returns {object} Options for `netlifyToml`.
+ */
+function netlifyOptions(args, config) {
+  const netlify = { ...config.netlify };
+  const preview = args["preview-api-url"];
+  if (typeof preview === "string") {
+    const contexts = { ...netlify.contexts };
+    for (const name of ["deploy-preview", "branch-deploy"]) contexts[name] = { ...contexts[name], API_URL: preview };
+    netlify.contexts = contexts;
+  }
+  return netlify;
+}
+
+/**
+ * Checks whether a path exists, relative to the logical working directory.
+ * Always false in dry-run mode, since nothing has been created yet.
+ * @param {string} p - The path to check.
+ * @returns {boolean} True if the path exists, false otherwise.
+ */
+function exists(p) {
+  if (plan.dryRun) return false;
+  return fs.existsSync(path.resolve(plan.cwd, p));
+}
+
+/**
+ * Changes the working directory (logically only, in dry-run mode).
+ * @param {string} dir - The directory to switch to.
+ */
+function chdir(dir) {
+  plan.cwd = path.resolve(plan.cwd, dir);
+  if (!plan.dryRun) process.chdir(plan.cwd);
+}
+
 /**
  * Ensures a directory exists, creating it and any necessary parent directories.
  * @param {string} p - The path to the directory.
  */
 function ensureDir(p) {
-  fs.mkdirSync(p, { recursive: true });
+  const abs = path.resolve(plan.cwd, p);
+  plan.steps.push({ kind: "mkdir", path: abs });
+  if (plan.dryRun) return;
+  fs.mkdirSync(abs, { recursive: true });
 }
 
 /**
  * Writes content to a file, ensuring its parent directory exists.
+ * In dry-run mode the file is only recorded in the plan.
  * @param {string} p - The path to the file.
  * @param {string} content - The content to write.
  */
 function writeFile(p, content) {
-  ensureDir(path.dirname(p));
-  fs.writeFileSync(p, content, "utf8");
+  const abs = path.resolve(plan.cwd, p);
+  plan.steps.push({ kind: "write", path: abs, bytes: Buffer.byteLength(content, "utf8") });
+  if (plan.dryRun) {
+    log(`Would write (dry-run): ${path.relative(process.cwd(), abs)}`);
+    return;
+  }
+  fs.mkdirSync(path.dirname(abs), { recursive: true });
+  fs.writeFileSync(abs, content, "utf8");
 }
 
 /**
@@ -96,584 +197,670 @@ function fail(msg) {
  * @param {string} cmd - The command to check for.
  */
 function requireCmd(cmd) {
-  if (!existsCmd(cmd)) fail(`Missing required CLI: ${cmd}. Run scripts/bootstrap.mjs first.`);
-}
-
-// --- templates for generated helper scripts ---
-
-/**
- * Generates the content for a root `.env.example` file.
- * @returns {string} The content of the `.env.example` file.
- */
-function rootEnvExample() {
-  return `# Shared defaults used by scripts/deploy-api.mjs (and functions/api/scripts/deploy.mjs)
-GCP_PROJECT=your-gcp-project-id
-GCP_REGION=us-east1
-GCP_SERVICE=api
-GCP_ENTRY_POINT=handler
-`;
+  if (existsCmd(cmd)) return;
+  if (plan.dryRun) {
+    plan.warnings.push(`Missing CLI: ${cmd} (required for a real run)`);
+    return;
+  }
+  fail(`Missing required CLI: ${cmd}. Run scripts/bootstrap.mjs first.`);
 }
 
 /**
- * Generates the content for the root deploy-api.mjs helper script.
- * This script acts as a wrapper to call the API's internal deploy script.
- * @returns {string} The content of the deploy-api.mjs file.
+ * Prints the recorded plan, either as JSON (`--plan-json`) or as a human-readable summary.
+ * @param {object} summary - Resolved inputs (repo name, target dir, ...) to include in the output.
  */
-function deployApiScript() {
-  return `#!/usr/bin/env node
-import { execSync } from "child_process";
-import path from "path";
-
-function run(cmd, cwd) {
-  console.log("\\n> " + cmd);
-  execSync(cmd, { stdio: "inherit", cwd });
-}
-
-const args = process.argv.slice(2).join(" ");
-const apiDir = path.resolve("functions/api");
+function printPlan(summary) {
+  if (plan.json) {
+    console.log(JSON.stringify({ ...summary, warnings: plan.warnings, steps: plan.steps }, null, 2));
+    return;
+  }
 
-run(\`node scripts/deploy.mjs \${args}\`, apiDir);
-`;
+  const commands = plan.steps.filter((s) => s.kind === "run");
+  const files = plan.steps.filter((s) => s.kind === "write");
+  console.log(`\nDry run for ${summary.ghName} -> ${summary.targetDir}`);
+  console.log(`\nCommands (${commands.length}):`);
+  for (const s of commands) console.log(`  [${s.cwd}] ${s.cmd}`);
+  console.log(`\nFiles (${files.length}):`);
+  for (const s of files) console.log(`  ${path.relative(summary.targetDir, s.path)} (${s.bytes} bytes)`);
+  if (plan.warnings.length) {
+    console.log("\nWarnings:");
+    for (const w of plan.warnings) console.log(`  ${w}`);
+  }
+  console.log("\nDry run complete. Nothing was changed.");
 }
 
-/**
- * Generates the content for the smoke.mjs helper script.
- * Performs basic sanity checks on the project structure and build status.
- * @returns {string} The content of the smoke.mjs file.
- */
-function smokeScript() {
-  return `#!/usr/bin/env node
-import fs from "fs";
-import { exec } from "child_process";
-import path from "path";
+// --- main ---
 
 /**
- * Asserts a condition, logging success or failure and exiting on failure.
- * @param {boolean} cond - The condition to check.
- * @param {string} msg - The message to display.
+ * Resolves the GitHub owner/name and visibility for a repo from flags and config defaults.
+ * @param {object} args - Parsed command-line arguments.
+ * @param {object} config - Loaded `.rapid-dev.json` configuration.
+ * @param {string} repoName - The validated repository name.
+ * @returns {{org: string, visibility: string, ghName: string}} The resolved GitHub target.
  */
-function ok(cond, msg) {
-  if (!cond) {
-    console.error("FAIL:", msg);
-    process.exit(1);
-  }
-  console.log("OK:", msg);
+function githubTarget(args, config, repoName) {
+  const org = args.org || config.defaults.org || "";
+  const visibility = (args.private ?? config.defaults.private) ? "private" : "public";
+  const ghName = org ? `${org}/${repoName}` : repoName;
+  return { org, visibility, ghName };
 }
 
 /**
- * Runs an asynchronous shell command.
- * @param {string} cmd - The command to execute.
- * @param {string} cwd - The current working directory for the command.
- * @returns {Promise<boolean>} Resolves to true if the command succeeds, false otherwise.
+ * Creates a Netlify site and links it to the repo in the current working directory.
+ * @param {object} args - Parsed command-line arguments (reads `--netlify-name`).
+ * @returns {string|null} The linked site id, if Netlify recorded one.
  */
-function runAsync(cmd, cwd) {
-  return new Promise((resolve) => {
-    exec(cmd, { cwd }, (error, stdout, stderr) => {
-      if (error) {
-        console.error(\`Command failed: \${cmd}\n\${stderr}\`);
-        resolve(false);
-      } else {
-        resolve(true);
-      }
-    });
-  });
-}
+function createNetlifySite(args) {
+  const nlName = args["netlify-name"] ? `--name ${args["netlify-name"]}` : "";
+  run(`netlify sites:create ${nlName}`);
+  run(`netlify link`);
+  run(`netlify status`);
 
-/**
- * Checks if the Flutter application at the given path builds successfully.
- * @param {string} projectPath - The path to the Flutter project.
- * @returns {Promise<boolean>} True if the build succeeds, false otherwise.
- */
-async function canBuildFlutter(projectPath) {
-  return await runAsync("flutter build web --release", projectPath);
+  // netlify link records the site id; the rollback journal needs it to delete the site
+  const state = path.resolve(plan.cwd, ".netlify/state.json");
+  if (plan.dryRun || !fs.existsSync(state)) return null;
+  return JSON.parse(fs.readFileSync(state, "utf8")).siteId || null;
 }
 
 /**
- * Checks if the API application at the given path builds successfully.
- * @param {string} projectPath - The path to the API project.
- * @returns {Promise<boolean>} True if the build succeeds, false otherwise.
+ * Publishes a repo scaffolded with `--local`: creates the GitHub repo, adds it as `origin`
+ * and pushes, then optionally creates and links a Netlify site.
+ * Usage: `node scripts/new-project.mjs publish --dir <path> [--org <org>] [--private] [--netlify]`
+ * @param {object} args - Parsed command-line arguments.
+ * @param {object} config - Loaded `.rapid-dev.json` configuration.
+ * @returns {void}
  */
-async function canBuildApi(projectPath) {
-  return await runAsync("npm run build", projectPath);
-}
+function publish(args, config) {
+  requireCmd("git");
+  requireCmd("gh");
 
-/**
- * Main function to perform smoke tests.
- */
-async function main() { // Make main async
-  ok(fs.existsSync("apps/client/pubspec.yaml"), "Flutter app exists at apps/client");
-  ok(fs.existsSync("functions/api/package.json"), "API exists at functions/api");
-  ok(fs.existsSync("netlify.toml"), "netlify.toml exists");
-  ok(fs.existsSync(".gitignore"), ".gitignore exists");
+  const wantNetlify = args.netlify ?? config.defaults.netlify;
+  if (wantNetlify) requireCmd("netlify");
 
-  // Check that dependencies are installed
-  ok(fs.existsSync(path.join("apps/client", ".dart_tool")), "Flutter dependencies installed");
-  ok(fs.existsSync(path.join("functions/api", "node_modules")), "API dependencies installed");
+  const targetDir = path.resolve(args.dir || ".");
+  if (!fs.existsSync(path.join(targetDir, ".git"))) {
+    fail(`Not a git repository: ${targetDir}. Scaffold it with --local first.`);
+  }
+  if (canRun(`git -C "${targetDir}" remote get-url origin`)) {
+    fail(`${targetDir} already has an "origin" remote; it has been published before.`);
+  }
 
-  // Check that builds work
-  ok(await canBuildFlutter("apps/client"), "Flutter app builds");
-  ok(await canBuildApi("functions/api"), "API builds");
+  const repoName = toKebab(args.repo || path.basename(targetDir));
+  const v = validateRepoName(repoName);
+  if (!v.ok) {
+    console.error(`\nRepo name "${repoName}" violates rules (pass --repo to override):`);
+    for (const e of v.errors) console.error(`- ${e}`);
+    process.exit(1);
+  }
 
-  console.log("\\nSmoke checks passed.");
-}
+  const { visibility, ghName } = githubTarget(args, config, repoName);
 
-main(); // Call the async main
-`;
-}
+  chdir(targetDir);
+  run(`gh repo create ${ghName} --${visibility} --source . --remote origin${args.skipPush ? "" : " --push"}`);
 
-/**
- * Generates the content for the zip-flutter.mjs helper script.
- * Creates a ZIP archive of essential Flutter source files for sharing.
- * @returns {string} The content of the zip-flutter.mjs file.
- */
-function zipFlutterScript() {
-  return `#!/usr/bin/env node
-import { execSync } from "child_process";
-import fs from "fs";
-import path from "path";
-import os from "os";
+  if (wantNetlify) createNetlifySite(args);
 
-/**
- * Executes a shell command synchronously.
- * @param {string} cmd - The command string to execute.
- */
-function run(cmd) {
-  console.log("\\n> " + cmd);
-  execSync(cmd, { stdio: "inherit" });
+  if (plan.dryRun) {
+    printPlan({ repoName, ghName, visibility, targetDir, netlify: Boolean(wantNetlify) });
+    return;
+  }
+
+  console.log(`\n✅ Published ${targetDir} as ${ghName}`);
 }
 
 /**
- * Checks if a path exists.
- * @param {string} p - The path to check.
- * @returns {boolean} True if the path exists, false otherwise.
+ * Brings a generated repo up to date with the current starter kit, using the manifest written when
+ * it was generated. Files the team has not touched are replaced; customized ones are three-way
+ * merged, and conflicts are left as `<file>.rej` next to the untouched file.
+ * Usage: `node scripts/new-project.mjs upgrade [--dir <path>] [--dry-run] [--check]`
+ * (`--check` exits with status 1 when the repo is behind, without changing anything).
+ * @param {object} args - Parsed command-line arguments.
+ * @param {object} config - Loaded `.rapid-dev.json` configuration.
+ * @returns {void}
  */
-function exists(p) {
-  return fs.existsSync(p);
-}
-
-const outDir = path.resolve("artifacts");
-if (!exists(outDir)) fs.mkdirSync(outDir, { recursive: true });
-
-const stamp = new Date().toISOString().replace(/[:.]/g, "-");
-const zipPath = path.join(outDir, 'flutter-source-' + stamp + '.zip');
-
-const base = path.resolve("apps/client");
-if (!exists(base)) {
-  console.error("apps/client not found.");
-  process.exit(1);
-}
-
-// what to include
-const include = [
-  "lib",
-  "pubspec.yaml",
-  "pubspec.lock",
-  "analysis_options.yaml",
-  "web",
-  "assets"
-].filter((p) => exists(path.join(base, p)));
-
-if (include.length === 0) {
-  console.error("Nothing found to zip.");
-  process.exit(1);
-}
+function upgrade(args, config) {
+  requireCmd("git");
+  const root = path.resolve(args.dir || ".");
+  const manifest = readManifest(root);
+  if (!manifest) fail(`No ${MANIFEST_FILE} in ${root}. It was not generated by new-project.mjs, or predates upgrade support.`);
 
-if (os.platform() === "win32") {
-  // Use PowerShell Compress-Archive
-  // We'll copy selected files into a temp folder to avoid pulling in build artifacts.
-  const tmp = path.join(outDir, 'tmp-flutter-' + stamp);
-  fs.mkdirSync(tmp, { recursive: true });
-
-  for (const rel of include) {
-    const src = path.join(base, rel);
-    const dst = path.join(tmp, rel);
-    const stat = fs.statSync(src);
-    if (stat.isDirectory()) {
-      // robocopy handles dirs better on Windows
-      run('robocopy "' + src + '" "' + dst + '" /E /NFL /NDL /NJH /NJS /NC /NS /NP');
-    } else {
-      fs.mkdirSync(path.dirname(dst), { recursive: true });
-      fs.copyFileSync(src, dst);
-    }
+  let template;
+  try {
+    template = resolveTemplate(manifest.template, config, { fetch: (source, dir) => fetchTemplate(manifest.template, source, dir, false) });
+  } catch (e) {
+    fail(e.message);
   }
 
-  // Create zip
-  // -Force overwrites if needed
-  run('powershell -NoProfile -Command "Compress-Archive -Path ''' + tmp + '\\\\*'' -DestinationPath ''' + zipPath + ''' -Force"');
-
-  // Cleanup temp folder
-  run('powershell -NoProfile -Command "Remove-Item -Recurse -Force ''' + tmp + '''"');
-
-  console.log("\\nCreated:", zipPath);
-  process.exit(0);
-}
+  // Binary files stay Buffers, so their hashes match the pack's byte-for-byte copies
+  const readFile = (rel) => {
+    if (!fs.existsSync(path.join(root, rel))) return null;
+    const raw = fs.readFileSync(path.join(root, rel));
+    return isBinary(raw) ? raw : raw.toString("utf8");
+  };
+  const generated = generatedFiles(template, manifest);
+  const results = planUpgrade({ manifest, files: generated, readFile, readBase: (hash) => readBlob(root, hash) });
+
+  const kit = kitVersion();
+  const label = (k) => `${k.version}${k.commit ? ` (${k.commit})` : ""}`;
+  log(`Upgrading ${root} (template ${manifest.template}) from kit ${label(manifest.kit)} to ${label(kit)}`);
+
+  const notes = {
+    create: "added",
+    update: "updated",
+    merge: "merged with your changes",
+    conflict: "CONFLICT, see .rej",
+    kept: "customized, unchanged in the kit",
+    deleted: "deleted here, not recreated",
+    dropped: "no longer generated by the kit"
+  };
+  const changes = results.filter((r) => r.action !== "current");
+  for (const r of changes) log(`  ${r.action.padEnd(8)} ${r.path}  (${notes[r.action]})`);
+  if (!changes.length) log("  Everything is up to date.");
+
+  const behind = results.some((r) => ["create", "update", "merge", "conflict"].includes(r.action));
+  if (args.check) process.exit(behind ? 1 : 0);
+
+  chdir(root);
+  for (const r of results) {
+    if (r.action === "conflict") writeFile(`${r.path}.rej`, r.content);
+    if (!["create", "update", "merge"].includes(r.action)) continue;
+    writeFile(r.path, r.content);
+    if (r.executable && !plan.dryRun && os.platform() !== "win32") fs.chmodSync(path.join(root, r.path), 0o755);
+  }
 
-// mac/linux fallback: use zip if available
-try {
-  execSync("zip -v", { stdio: "ignore" });
-} catch {
-  console.error("zip command not found (non-Windows). Install zip or run on Windows.");
-  process.exit(1);
-}
+  // Merged files are committed with the team's changes, so store the kit's version as the next base
+  if (!plan.dryRun) {
+    for (const r of results) if (r.action === "merge") writeBlob(root, generated.find((f) => f.path === r.path).content);
+  }
+  const files = Object.fromEntries(results.filter((r) => r.hash).map((r) => [r.path, r.hash]));
+  writeFile(MANIFEST_FILE, manifestJson({ ...manifest, kit, files }));
 
-const args = include.map((p) => '"' + p + '"').join(" ");
-run('cd "' + base + '" && zip -r "' + zipPath + '" ' + args + ' -x "build/*" ".dart_tool/*"');
-console.log("\\nCreated:", zipPath);
-`;
+  if (plan.dryRun) {
+    log("\nDry run complete. Nothing was changed.");
+    return;
+  }
+  const conflicts = results.filter((r) => r.action === "conflict");
+  if (conflicts.length) {
+    console.log(`\n⚠️  ${conflicts.length} file(s) need a manual merge. Each <file>.rej holds the merge with conflict markers`);
+    console.log("   (or the kit's version, when the original is not in git history). Apply it by hand, delete the .rej and commit.");
+  }
+  console.log(`\n✅ Upgraded. Review with: git -C "${root}" diff`);
 }
 
-// --- templates for functions/api scaffold ---
-
 /**
- * Generates the content for the API's package.json file.
- * @param {string} repoName - The name of the repository, used for the API's package name.
- * @returns {string} The content of the package.json file.
+ * Builds the repository name from the naming flags and validates it, exiting on violations.
+ * @param {object} args - Parsed command-line arguments.
+ * @returns {string} The validated repository name.
  */
-function apiPackageJson(repoName) {
-  return JSON.stringify(
-    {
-      name: `${repoName}-api`,
-      private: true,
-      version: "0.0.0",
-      type: "module",
-      main: "dist/index.js",
-      scripts: {
-        "dev:ts": "tsx watch src/index.ts",
-        build: "tsc -p tsconfig.json",
-        start: "node dist/index.js",
-        lint: "eslint .",
-        format: "prettier -w .",
-        "deploy:functions": "node scripts/deploy.mjs --target functions",
-        "deploy:run": "node scripts/deploy.mjs --target run"
-      },
-      dependencies: {
-        "@google-cloud/functions-framework": "^3.5.0",
-        dotenv: "^16.4.5"
-      },
-      devDependencies: {
-        "@eslint/js": "^9.10.0",
-        "@types/node": "^22.5.5",
-        eslint: "^9.10.0",
-        globals: "^15.9.0",
-        prettier": "^3.3.3",
-        tsx": "^4.19.0",
-        typescript": "^5.6.3"
-      }
-    },
-    null,
-    2
-  ).concat("\n");
-}
+function resolveRepoName(args) {
+  const repoName = buildRepoName({
+    raw: args.repo,
+    prefix: args.prefix,
+    project: args.project,
+    description: args.description,
+    service: args.service,
+    type: args.type,
+    team: args.team,
+    component: args.component
+  });
+  if (!repoName) {
+    fail("No repo name given. Pass --repo <name> or naming flags such as --project <p> --description <d>, or run in a terminal for the interactive wizard.");
+  }
 
-/**
- * Generates the content for the API's tsconfig.json file.
- * @returns {string} The content of the tsconfig.json file.
- */
-function apiTsconfig() {
-  return `{
-  "compilerOptions": {
-    "target": "ES2022",
-    "lib": ["ES2022"],
-    "module": "ES2022",
-    "moduleResolution": "Bundler",
-    "outDir": "dist",
-    "rootDir": "src",
-    "strict": true,
-    "esModuleInterop": true,
-    "skipLibCheck": true,
-    "sourceMap": true,
-    "types": ["node"]
-  },
-  "include": ["src/**/*.ts"]
-}
-`;
+  const v = validateRepoName(repoName);
+  if (!v.ok) {
+    console.error(`\nRepo name "${repoName}" violates rules:`);
+    for (const e of v.errors) console.error(`- ${e}`);
+    process.exit(1);
+  }
+  return repoName;
 }
 
 /**
- * Generates the content for the API's eslint.config.js file.
- * @returns {string} The content of the eslint.config.js file.
+ * Runs one journaled scaffold step. Steps already completed in the journal are skipped
+ * (this is what makes `--resume` work); on success the step is recorded with its undo actions.
+ * A step that creates something before it can fail records its undo action at once with
+ * `record`, so a rollback still finds it; resuming the same step keeps what it recorded before.
+ * @param {object} journal - The run's journal.
+ * @param {string} id - A stable step id.
+ * @param {function(function(...object): void): (object[]|void)} fn - Performs the step; may record undo actions and return more.
  */
-function apiEslintConfig() {
-  return `import js from "@eslint/js";
-import globals from "globals";
-
-export default [
-  js.configs.recommended,
-  {
-    files: ["**/*.ts", "**/*.js"],
-    languageOptions: {
-      globals: { ...globals.node }
-    },
-    rules: {
-      "no-unused-vars": "off"
-    }
+function step(journal, id, fn) {
+  if (isCompleted(journal, id)) {
+    log(`\n(resume) Skipping completed step: ${id}`);
+    return;
   }
-];
-`;
+  if (journal.failed !== id || !journal.pending) journal.pending = [];
+  journal.failed = id;
+  const record = (...actions) => {
+    const known = new Set(journal.pending.map((a) => JSON.stringify(a)));
+    journal.pending.push(...actions.filter((a) => !known.has(JSON.stringify(a))));
+    if (!plan.dryRun) saveJournal(journal);
+  };
+  const undo = fn(record) || [];
+  journal.completed.push({ id, undo: [...journal.pending, ...undo] });
+  journal.pending = [];
+  journal.failed = null;
+  if (!plan.dryRun) saveJournal(journal);
 }
 
 /**
- * Generates the content for the API's .prettierrc file.
- * @returns {string} The content of the .prettierrc file.
+ * Removes a directory tree (recorded only, in dry-run mode).
+ * @param {string} p - The directory to remove.
  */
-function apiPrettier() {
-  return `{
-  "singleQuote": true,
-  "semi": true,
-  "printWidth": 100
-}
-`;
+function removeDir(p) {
+  const abs = path.resolve(plan.cwd, p);
+  plan.steps.push({ kind: "rmdir", path: abs });
+  log(`\n> rm -rf ${abs}`);
+  if (plan.dryRun) return;
+  fs.rmSync(abs, { recursive: true, force: true });
 }
 
 /**
- * Generates the content for the API's src/index.ts file.
- * This is a basic Google Cloud Functions-compatible HTTP handler.
- * @returns {string} The content of the src/index.ts file.
+ * Undoes every completed step in a journal, most recent first: deletes the Netlify site,
+ * the GitHub repo and the local directory. The journal is removed once everything is undone.
+ * @param {object} journal - The run's journal.
+ * @returns {boolean} True if every undo action succeeded.
  */
-function apiIndexTs() {
-  return `import "dotenv/config";
-import { HttpFunction } from "@google-cloud/functions-framework";
+function rollbackJournal(journal) {
+  // Step out of the directory we are about to delete
+  chdir(path.dirname(journal.targetDir));
 
-export const handler: HttpFunction = (req, res) => {
-  res.setHeader("content-type", "application/json");
-  res.status(200).send(JSON.stringify({ ok: true, path: req.url }));
-};
-`;
-}
-
-/**
- * Generates the content for the API's scripts/deploy.mjs file.
- * Handles deployment to Google Cloud Functions or Cloud Run with dry-run support.
- * @returns {string} The content of the deploy.mjs file for the API.
- */
-function apiDeployScript() {
-  return `#!/usr/bin/env node
-import { execSync } from "child_process";
+  const failures = [];
+  for (const action of undoActions(journal)) {
+    try {
+      if (action.kind === "netlify-site") run(`netlify sites:delete ${action.siteId} --force`);
+      if (action.kind === "gh-repo") run(`gh repo delete ${action.ghName} --yes`);
+      if (action.kind === "dir") removeDir(action.path);
+    } catch (e) {
+      failures.push(`${action.kind}: ${e.message}`);
+    }
+  }
 
-/**
- * Executes a shell command synchronously.
- * If dryRun is enabled, it only logs the command without executing it.
- * @param {string} cmd - The command string to execute.
- */
-function run(cmd) {
-  console.log("\\n> " + cmd);
-  if (dryRun) {
-    console.log("Would run (dry-run):", cmd);
-    return;
+  if (failures.length) {
+    console.error("\nSome steps could not be undone:");
+    for (const f of failures) console.error(`- ${f}`);
+    console.error("(Deleting a GitHub repo needs the delete_repo scope: gh auth refresh -h github.com -s delete_repo)");
+    return false;
   }
-  execSync(cmd, { stdio: "inherit" });
+  if (!plan.dryRun) removeJournal(journal);
+  log("\nRolled back.");
+  return true;
 }
 
 /**
- * Retrieves a command-line argument by key.
- * @param {string} key - The key of the argument (e.g., "target").
- * @param {*} def - The default value if the argument is not found.
- * @returns {*} The argument value or the default value.
+ * Reports a failed scaffold step and offers to undo the completed steps (TTY only).
+ * Otherwise prints how to resume from the failed step or roll back later.
+ * @param {object} journal - The run's journal, with `failed` set to the failing step.
+ * @param {Error} err - The error that stopped the run.
+ * @returns {Promise<void>}
  */
-function getArg(key, def) {
-  const ix = process.argv.indexOf("--" + key);
-  if (ix === -1) return def;
-  const v = process.argv[ix + 1];
-  if (!v || v.startsWith("--")) return def;
-  return v;
-}
+async function handleFailure(journal, err) {
+  console.error(`\nERROR: Step "${journal.failed}" failed: ${err.message}`);
 
-const target = getArg("target", "functions"); // functions | run
-const service = getArg("service", process.env.GCP_SERVICE || "api");
-const region = getArg("region", process.env.GCP_REGION || "us-east1");
-const project = getArg("project", process.env.GCP_PROJECT || "");
-const entry = getArg("entry", process.env.GCP_ENTRY_POINT || "handler");
-const source = ".";
-const dryRun = getArg("dryRun", false);
+  const actions = undoActions(journal);
+  if (actions.length === 0) {
+    removeJournal(journal);
+    console.error("Nothing was created; fix the problem and run the same command again.");
+    return;
+  }
 
-if (!project) {
-  console.log("\\nMissing project. Set GCP_PROJECT env var or pass --project <id>.");
-  process.exit(1);
-}
+  saveJournal(journal);
+  console.error(`Completed steps: ${journal.completed.map((s) => s.id).join(", ")}`);
 
-run(\`gcloud config set project \${project}\`);
-
-if (target === "functions") {
-  run(
-    [
-      \`gcloud functions deploy \${service}\`,
-      "--gen2",
-      \`--region=\${region}\`,
-      "--runtime=nodejs20",
-      \`--source=\${source}\`,
-      \`--entry-point=\${entry}\`,
-      "--trigger-http",
-      "--allow-unauthenticated"
-    ].join(" ")
-  );
-  process.exit(0);
-}
+  if (isInteractive() && !plan.json) {
+    const undo = actions.map((a) => (a.kind === "dir" ? a.path : a.kind === "gh-repo" ? a.ghName : `netlify site ${a.siteId}`));
+    const prompter = terminalPrompter();
+    const yes = await prompter.confirm(`\nUndo them (deletes ${undo.join(", ")})?`).finally(() => prompter.close());
+    if (yes) {
+      rollbackJournal(journal);
+      return;
+    }
+  }
 
-if (target === "run") {
-  run(
-    [
-      \`gcloud run deploy \${service}\`,
-      \`--region=\${region}\`,
-      \`--source=\${source}\`,
-      "--allow-unauthenticated"
-    ].join(" ")
-  );
-  process.exit(0);
+  const argv = journal.argv.map((a) => (/\s/.test(a) ? `"${a}"` : a)).join(" ");
+  console.error("\nThe journal was kept. Either:");
+  console.error(`  node scripts/new-project.mjs ${argv} --resume     # retry from "${journal.failed}"`);
+  console.error(`  node scripts/new-project.mjs rollback --repo ${journal.repoName}     # undo everything`);
 }
 
-console.log(\`Unknown --target "\${target}" (use "functions" or "run")\`);
-process.exit(1);
-`;
+/**
+ * Undoes a failed run recorded in the journal.
+ * Usage: `node scripts/new-project.mjs rollback --repo <name>` (or the same naming flags as the original run)
+ * @param {object} args - Parsed command-line arguments.
+ * @returns {void}
+ */
+function rollback(args) {
+  const repoName = resolveRepoName(args);
+  const journal = loadJournal(repoName);
+  if (!journal) fail(`No journal found for "${repoName}" (${journalPath(repoName)}).`);
+  if (!rollbackJournal(journal)) process.exit(1);
 }
 
-// --- main ---
-
 /**
  * Main function to orchestrate the new project creation process.
  * Parses arguments, validates repo name, creates GitHub repo, scaffolds Flutter and API projects,
  * generates config files, and performs initial git operations.
- * @returns {void}
+ * Each step is journaled so a failed run can be resumed (`--resume`) or rolled back.
+ * @returns {Promise<void>}
  */
-function main() {
+async function main() {
   const args = parseArgs(process.argv.slice(2));
-  const config = loadConfig(); // Load config
+  let config;
+  try {
+    config = loadConfig({ args }); // defaults < ~/.rapid-dev.json < .rapid-dev.json < RAPID_DEV_* < flags
+  } catch (e) {
+    fail(e.message);
+  }
+
+  plan.json = Boolean(args["plan-json"]);
+  plan.dryRun = plan.json || Boolean(args["dry-run"]);
+
+  if (process.argv[2] === "publish") return publish(args, config);
+  if (process.argv[2] === "rollback") return rollback(args);
+  if (process.argv[2] === "templates") return printTemplates(config);
+  if (process.argv[2] === "upgrade") return upgrade(args, config);
+
+  // No naming flags in a terminal: ask for everything instead of failing validation
+  const namingFlags = ["repo", "project", "service", "team", "component"];
+  if (!args.resume && !plan.json && isInteractive() && !namingFlags.some((k) => args[k])) {
+    const prompter = terminalPrompter();
+    const answers = await runWizard(args, config, prompter, listTemplates(config)).finally(() => prompter.close());
+    if (!answers) {
+      console.log("\nAborted. Nothing was created.");
+      return;
+    }
+    Object.assign(args, answers);
+  }
+
+  // --local: git init instead of gh clone; no GitHub, Netlify or network access
+  const local = Boolean(args.local);
+
+  const templateName = args.template || config.defaults.template || DEFAULT_TEMPLATE;
+  let template;
+  try {
+    template = resolveTemplate(templateName, config, { fetch: (source, dir) => fetchTemplate(templateName, source, dir, local) });
+  } catch (e) {
+    fail(e.message);
+  }
 
   // Required CLIs
   requireCmd("git");
-  requireCmd("gh");
-  requireCmd("flutter");
-  requireCmd("node");
-  requireCmd("npm");
-
-  const wantNetlify = args.netlify || config.defaults.netlify;
+  if (!local) requireCmd("gh");
+  for (const cmd of template.requires) requireCmd(cmd);
+
+  // Where the Flutter web build is hosted; --web-host lands in defaults.webHost
+  const webHost = config.defaults.webHost || "netlify";
+  if (!WEB_HOSTS.includes(webHost)) fail(`Unknown --web-host "${webHost}" (use ${WEB_HOSTS.join(", ")})`);
+
+  // Netlify hosts the Flutter web build, so templates without an app have nothing to deploy there
+  let wantNetlify = !local && (args.netlify ?? config.defaults.netlify);
+  if (wantNetlify && !template.components.app) {
+    log(`Template "${template.name}" has no web app; skipping Netlify.`);
+    wantNetlify = false;
+  }
+  if (wantNetlify && webHost !== "netlify") {
+    log(`The web app is hosted on ${webHost}; skipping Netlify.`);
+    wantNetlify = false;
+  }
   if (wantNetlify) requireCmd("netlify");
 
+  // --gcp functions|run picks where the API deploys; --gcp none leaves GCP out, even when
+  // .rapid-dev.json names a project
+  if (typeof args.gcp === "string" && !["none", ...GCP_TARGETS].includes(args.gcp)) {
+    fail(`Unknown --gcp "${args.gcp}" (use ${GCP_TARGETS.join(", ")} or none)`);
+  }
+  const noGcp = args.gcp === "none";
+  const gcpTarget = GCP_TARGETS.includes(args.gcp) ? args.gcp : template.components.target;
+  if (gcpTarget !== template.components.target && template.source !== "built-in") {
+    fail(`Template "${template.name}" deploys its API to ${template.components.target}; --gcp ${gcpTarget} only applies to built-in templates.`);
+  }
+  const gcpProject = noGcp ? "" : args["gcp-project"] || config.defaults.gcp?.project || "";
+
   // If deploying, gcloud required (but we don't force it for scaffold-only)
-  const wantGcp = args.gcp || (config.defaults.gcp && config.defaults.gcp.project) ? String(args.gcp || config.defaults.gcp.project) : "";
+  const wantGcp = noGcp || !(args.gcp || gcpProject) ? "" : gcpTarget;
   if (wantGcp && !existsCmd("gcloud")) {
-    fail("You passed --gcp but gcloud is missing. Run scripts/bootstrap.mjs first.");
+    if (plan.dryRun) plan.warnings.push("Missing CLI: gcloud (required for --gcp)");
+    else fail("You passed --gcp but gcloud is missing. Run scripts/bootstrap.mjs first.");
   }
 
   // Naming inputs
-  const repoName = buildRepoName({
-    raw: args.repo,
-    prefix: args.prefix,
-    project: args.project,
-    description: args.description,
-    service: args.service,
-    type: args.type,
-    team: args.team,
-    component: args.component
-  });
-
-  const v = validateRepoName(repoName);
-  if (!v.ok) {
-    console.error(`\nRepo name "${repoName}" violates rules:`);
-    for (const e of v.errors) console.error(`- ${e}`);
-    process.exit(1);
+  const repoName = resolveRepoName(args);
+  const { visibility, ghName } = githubTarget(args, config, repoName);
+
+  let journal;
+  if (args.resume) {
+    journal = loadJournal(repoName);
+    if (!journal) fail(`Nothing to resume: no journal for "${repoName}" (${journalPath(repoName)}).`);
+    log(`\nResuming ${repoName} from step "${journal.failed}"`);
+  } else {
+    // A journal left by an unfinished run would be overwritten, losing what it needs to undo
+    if (loadJournal(repoName)) {
+      fail(
+        `An earlier run for "${repoName}" did not finish (${journalPath(repoName)}).\n` +
+          `Continue it with --resume, undo it with: node scripts/new-project.mjs rollback --repo ${repoName}\n` +
+          `or delete the journal if you cleaned up by hand.`
+      );
+    }
+    const targetDir = path.resolve(args.dir || repoName);
+    if (fs.existsSync(targetDir) && fs.readdirSync(targetDir).length > 0) {
+      fail(`Target directory not empty: ${targetDir}`);
+    }
+    const argv = process.argv.slice(2);
+    journal = createJournal({ repoName, ghName, targetDir, local, argv });
   }
+  const { targetDir } = journal;
+
+  // Substitutions for template files and commands; pack variables can be overridden by a flag of the same name
+  const vars = {
+    ...Object.fromEntries(Object.entries(template.variables).map(([k, v]) => [k, args[k] ?? v])),
+    repoName,
+    org: args.org || config.defaults.org || "",
+    gcpProject,
+    gcpRegion: args.region || config.defaults.gcp?.region || "us-east1",
+    nodeVersion: String(args.node || config.toolchain?.node || "20"),
+    deploy: config.deploy || {},
+    environments: config.environments || {},
+    // The web app's default URL, allowed as a CORS origin by the API
+    webUrl: template.components.app ? webUrl(webHost, args, repoName, gcpProject) : "",
+    webHost,
+    // Where the API deploys (built-in templates follow it)
+    target: gcpTarget,
+    netlify: netlifyOptions(args, config),
+    local
+  };
 
-  const org = args.org || config.defaults.org || "";
-  const visibility = (args.private || config.defaults.private) ? "private" : "public";
-  const ghName = org ? `${org}/${repoName}` : repoName;
+  try {
+    scaffold({ args, journal, local, repoName, ghName, visibility, wantNetlify, template, vars });
+  } catch (e) {
+    if (!plan.dryRun) {
+      await handleFailure(journal, e);
+      process.exit(1);
+    }
+    // A dry run shows the plan up to the failing step, with the error as a warning
+    plan.warnings.push(`Scaffold failed: ${e.message}`);
+    process.exitCode = 1;
+  }
 
-  const targetDir = path.resolve(args.dir || repoName);
-  if (fs.existsSync(targetDir) && fs.readdirSync(targetDir).length > 0) {
-    fail(`Target directory not empty: ${targetDir}`);
+  if (plan.dryRun) {
+    printPlan({ repoName, ghName, visibility, targetDir, local, template: template.name, netlify: Boolean(wantNetlify), gcp: wantGcp });
+    return;
   }
 
-  // Create GitHub repo + clone
-  run(`gh repo create ${ghName} --${visibility} --clone`);
+  removeJournal(journal);
 
-  // gh clones into ./repoName by default
-  const clonedPath = path.resolve(repoName);
-  if (!fs.existsSync(clonedPath)) {
-    fail(`Expected cloned folder "${repoName}" was not created. Check gh CLI output.`);
-  }
+  const { app, api } = template.components;
+  const target = gcpTarget;
+  const deferred = template.commands.filter((c) => c.network).map((c) => c.run(vars));
 
-  // Move if user requested different --dir
-  if (path.resolve(targetDir) !== clonedPath) {
-    fs.renameSync(clonedPath, targetDir);
+  if (local) {
+    console.log(`\n✅ Created local repo: ${repoName} (no remote)`);
+    console.log(`📁 Location: ${targetDir}`);
+    console.log("\nNext steps:");
+    for (const cmd of deferred) console.log(`  ${cmd}`);
+    console.log(`  node scripts/new-project.mjs publish --dir "${targetDir}"   # when it deserves a GitHub repo`);
+    return;
   }
 
-  process.chdir(targetDir);
+  console.log(`\n✅ Created repo: ${ghName} (template: ${template.name})`);
+  console.log(`📁 Location: ${targetDir}`);
+  if (app) console.log(`🌐 Flutter: ${app}`);
+  if (api) console.log(`🧩 API (TS): ${api}${target === "run" ? " (Cloud Run container)" : ""}`);
+  if (template.source !== "built-in") return;
+
+  const helpers = ["scripts/smoke.mjs", ...(app ? ["scripts/zip-flutter.mjs", "scripts/deploy-web.mjs"] : []), ...(api ? ["scripts/deploy-api.mjs"] : []), ...(app && api ? ["scripts/deploy.mjs"] : [])];
+  console.log(`🛠  Helpers: ${helpers.join(", ")}`);
 
-  // Monorepo base dirs
-  ensureDir("apps");
-  ensureDir("functions");
-  ensureDir("scripts");
-  ensureDir("artifacts");
+  console.log("\nQuick commands:");
+  console.log("  node scripts/smoke.mjs");
+  if (app) console.log("  node scripts/zip-flutter.mjs");
+  if (app) console.log(`  node scripts/deploy-web.mjs   # build and deploy to ${vars.webHost}`);
+  if (api) console.log(`  node scripts/deploy-api.mjs --target ${target} --project <id> --region ${vars.gcpRegion} --service api`);
+  if (app && api) console.log("  node scripts/deploy.mjs --env staging   # API, then web app, then checks");
+  if (app) console.log(`  cd ${app} && flutter run`);
+  if (api) console.log(`  cd ${api} && npm run dev:ts`);
+}
 
-  // Flutter app at apps/client
-  if (!fs.existsSync("apps/client")) {
-    run(`flutter create apps/client --platforms=android,ios,web`);
+/**
+ * Prints the available templates for `--template`.
+ * @param {object} config - Loaded `.rapid-dev.json` configuration.
+ */
+function printTemplates(config) {
+  const current = config.defaults.template || DEFAULT_TEMPLATE;
+  const templates = listTemplates(config);
+  const width = Math.max(...templates.map((t) => t.name.length));
+  for (const t of templates) {
+    const source = t.source === "built-in" ? "" : `  [${t.source}]`;
+    console.log(`${t.name === current ? "*" : " "} ${t.name.padEnd(width)}  ${t.description}${source}`);
   }
+}
 
-  // API TypeScript scaffold at functions/api
-  ensureDir("functions/api/src");
-  ensureDir("functions/api/scripts");
+/**
+ * Clones a git template pack into its cache directory on first use, and pulls it on later runs.
+ * Cloning needs the network, so an uncached pack is an error with `--dry-run` and `--local`.
+ * @param {string} name - The template name.
+ * @param {{url: string, ref: string|null}} source - The git source from `.rapid-dev.json`.
+ * @param {string} dir - The cache directory.
+ * @param {boolean} local - Whether `--local` mode is active.
+ */
+function fetchTemplate(name, { url, ref }, dir, local) {
+  if (fs.existsSync(dir)) {
+    if (plan.dryRun || local) return;
+    try {
+      run(`git -C "${dir}" pull --ff-only`);
+    } catch {
+      console.warn(`⚠️  Could not update template "${name}"; using the cached copy in ${dir}.`);
+    }
+    return;
+  }
+  if (plan.dryRun || local) {
+    fail(`Template "${name}" has not been fetched yet. Run once without --dry-run/--local, or: git clone ${url} "${dir}"`);
+  }
+  run(`git clone --depth 1${ref ? ` --branch ${ref}` : ""} ${url} "${dir}"`);
+}
+
+/**
+ * Performs the journaled scaffold steps: repo creation, the template's create commands
+ * (e.g. `flutter create`), its files, its post-create commands (e.g. API install/build),
+ * the initial commit and push, and the optional Netlify site.
+ * @param {object} ctx - Resolved inputs from `main()`.
+ * @param {object} ctx.args - Parsed command-line arguments.
+ * @param {object} ctx.journal - The run's journal.
+ * @param {boolean} ctx.local - Whether `--local` mode is active.
+ * @param {string} ctx.repoName - The validated repository name.
+ * @param {string} ctx.ghName - The GitHub `owner/name`.
+ * @param {string} ctx.visibility - `private` or `public`.
+ * @param {boolean} ctx.wantNetlify - Whether to create and link a Netlify site.
+ * @param {object} ctx.template - The template pack from `_template-packs.mjs`.
+ * @param {object} ctx.vars - Template variables (repo name, GCP project/region, Node version, ...).
+ */
+function scaffold({ args, journal, local, repoName, ghName, visibility, wantNetlify, template, vars }) {
+  const { targetDir } = journal;
+
+  if (local) {
+    step(journal, "git-init", () => {
+      ensureDir(targetDir);
+      chdir(targetDir);
+      run(`git init -b main`);
+      return [{ kind: "dir", path: targetDir }];
+    });
+  } else {
+    // gh clones into ./repoName by default
+    const clonedPath = path.resolve(repoName);
+
+    // Create GitHub repo + clone
+    step(journal, "gh-repo", (record) => {
+      run(`gh repo create ${ghName} --${visibility} --clone`);
+      record({ kind: "gh-repo", ghName });
+      if (!plan.dryRun && !fs.existsSync(clonedPath)) {
+        throw new Error(`Expected cloned folder "${repoName}" was not created. Check gh CLI output.`);
+      }
+      return [{ kind: "dir", path: clonedPath }];
+    });
 
-  if (!fs.existsSync("functions/api/package.json")) {
-    writeFile("functions/api/package.json", apiPackageJson(repoName));
-    writeFile("functions/api/tsconfig.json", apiTsconfig());
-    writeFile("functions/api/eslint.config.js", apiEslintConfig());
-    writeFile("functions/api/.prettierrc", apiPrettier());
-    writeFile("functions/api/src/index.ts", apiIndexTs());
-    writeFile("functions/api/scripts/deploy.mjs", apiDeployScript());
-    writeFile("functions/api/.env.example", "NODE_ENV=development\n");
+    // Move if user requested different --dir
+    if (targetDir !== clonedPath) {
+      step(journal, "move", () => {
+        plan.steps.push({ kind: "move", from: clonedPath, to: targetDir });
+        if (!plan.dryRun) fs.renameSync(clonedPath, targetDir);
+        return [{ kind: "dir", path: targetDir }];
+      });
+    }
   }
 
-  // Root config files
-  writeFile("netlify.toml", netlifyToml({ nodeVersion: args.node || "20" }));
-  writeFile(".gitignore", gitignore());
-  writeFile("README.md", readme({ repoName }));
-  writeFile(".env.example", rootEnvExample());
+  chdir(targetDir);
+  for (const dir of template.dirs) ensureDir(dir);
 
-  // Generate helper scripts into the new repo
-  writeFile("scripts/zip-flutter.mjs", zipFlutterScript());
-  writeFile("scripts/deploy-api.mjs", deployApiScript());
-  writeFile("scripts/smoke.mjs", smokeScript());
+  // Network-bound commands (npm install/build) are deferred in --local mode
+  const commands = (stage) => template.commands.filter((c) => c.stage === stage && !(local && c.network));
 
-  // Make scripts executable on *nix
-  if (os.platform() !== "win32") {
-    try {
-      run("chmod +x scripts/*.mjs functions/api/scripts/*.mjs");
-    } catch {
-      // non-fatal
-    }
+  for (const command of commands("create")) {
+    step(journal, command.id, () => {
+      if (!command.unless || !exists(command.unless)) run(command.run(vars));
+    });
   }
 
-  // Install + build API
-  run(`cd functions/api && npm install`);
-  run(`cd functions/api && npm run build`);
+  step(journal, "scaffold-files", () => {
+    const files = template.files(vars);
+    const dirs = new Set(files.map((f) => path.dirname(f.path)).filter((d) => d !== "."));
+    for (const dir of dirs) ensureDir(dir);
+    for (const file of files) writeFile(file.path, file.content);
+    // Records the kit version and file hashes for `upgrade`
+    writeFile(MANIFEST_FILE, manifestJson(createManifest({ template: template.name, vars, files })));
+
+    // Make scripts executable on *nix
+    const executables = files.filter((f) => f.executable).map((f) => f.path);
+    if (executables.length && os.platform() !== "win32") {
+      try {
+        run(`chmod +x ${executables.join(" ")}`);
+      } catch {
+        // non-fatal
+      }
+    }
+  });
+
+  for (const command of commands("post")) {
+    step(journal, command.id, () => {
+      if (!command.unless || !exists(command.unless)) run(command.run(vars));
+    });
+  }
 
   // Git add/commit/push
-  run(`git add -A`);
-  run(`git commit -m "chore: initial scaffold"`);
-  if (!args.skipPush) {
-    run(`git push -u origin main`);
+  step(journal, "commit", () => {
+    run(`git add -A`);
+    run(`git commit -m "chore: initial scaffold"`);
+  });
+  if (!local && !args.skipPush) {
+    step(journal, "push", () => run(`git push -u origin main`));
   }
 
   // Optional Netlify site creation/link
   if (wantNetlify) {
-    const nlName = args["netlify-name"] ? `--name ${nlName}` : "";
-    run(`netlify sites:create ${nlName}`);
-    run(`netlify link`);
-    run(`netlify status`);
+    step(journal, "netlify", () => {
+      const siteId = createNetlifySite(args);
+      return siteId ? [{ kind: "netlify-site", siteId }] : [];
+    });
   }
-
-  console.log(`\n✅ Created repo: ${ghName}`);
-  console.log(`📁 Location: ${targetDir}`);
-  console.log(`🌐 Flutter: apps/client`);
-  console.log(`🧩 API (TS): functions/api`);
-  console.log(`🛠  Helpers: scripts/zip-flutter.mjs, scripts/deploy-api.mjs, scripts/smoke.mjs`);
-
-  console.log("\nQuick commands:");
-  console.log("  node scripts/smoke.mjs");
-  console.log("  node scripts/zip-flutter.mjs");
-  console.log("  node scripts/deploy-api.mjs --target functions --project <id> --region us-east1 --service api");
-  console.log("  cd apps/client && flutter run");
-  console.log("  cd functions/api && npm run dev:ts");
 }
 
-main();
\ No newline at end of file
+main().catch((e) => fail(e.message));